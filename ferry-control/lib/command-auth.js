@@ -0,0 +1,125 @@
+const schemas = require('ferry-schemas');
+
+// Authenticates control commands. A command must be signed by a known key, be
+// no older (or newer) than maxSkew, carry a nonce we haven't seen, and name a
+// system/action the key's role may use. Nonces are kept for twice maxSkew, after
+// which the timestamp check alone rejects a replay.
+//
+// Modes: 'enforce' rejects commands that fail; 'audit' only reports them, for
+// rolling signing out to senders; 'off' skips the checks.
+const MODES = ['enforce', 'audit', 'off'];
+
+class CommandAuthenticator {
+  constructor(options = {}) {
+    this.mode = MODES.includes(options.mode) ? options.mode : 'enforce';
+    this.maxSkew = options.maxSkew || 30000; // wall ms
+    this.roles = options.roles || {}; // role -> ['system/action', 'system/*', '*']
+    this.keys = this.loadKeys(options.keys);
+    this.nonces = new Map(); // nonce -> expiry (wall ms)
+    this.stats = { verified: 0, rejected: 0 };
+
+    if (this.mode !== 'off' && this.keys.size === 0) {
+      console.warn(`⚠️ No control signing keys configured - every control command will be ${this.mode === 'enforce' ? 'rejected' : 'reported'}`);
+    }
+  }
+
+  // Key specs as an array or JSON text (CONTROL_KEYS). A bad key is skipped, not fatal.
+  loadKeys(specs) {
+    const keys = new Map();
+    if (!specs) return keys;
+
+    let list = specs;
+    if (typeof specs === 'string') {
+      try {
+        list = JSON.parse(specs);
+      } catch (error) {
+        console.error('❌ CONTROL_KEYS is not valid JSON:', error.message);
+        return keys;
+      }
+    }
+
+    (Array.isArray(list) ? list : []).forEach(spec => {
+      try {
+        const key = schemas.signing.createKey(spec);
+        if (!key.role || !this.roles[key.role]) {
+          throw new Error(`unknown role ${key.role}`);
+        }
+        keys.set(key.keyId, key);
+      } catch (error) {
+        console.error(`❌ Ignoring control key ${spec && spec.keyId}: ${error.message}`);
+      }
+    });
+    return keys;
+  }
+
+  // Returns { allowed, reason, keyId, role }. In audit mode allowed stays true and
+  // reason says what would have been rejected.
+  check(command, payload) {
+    if (this.mode === 'off') return { allowed: true, reason: null, keyId: null, role: null };
+
+    const result = this.authenticate(command, payload || {});
+    if (result.reason) {
+      this.stats.rejected++;
+    } else {
+      this.stats.verified++;
+    }
+    return { ...result, allowed: !result.reason || this.mode === 'audit' };
+  }
+
+  authenticate(command, payload) {
+    const { valid, reason, key } = schemas.signing.verify(command, payload, this.keys);
+    const signer = { keyId: key ? key.keyId : null, role: key ? key.role : null };
+    if (!valid) return { ...signer, reason };
+
+    const sentAt = Date.parse(payload.timestamp);
+    const now = Date.now();
+    if (Number.isNaN(sentAt) || Math.abs(now - sentAt) > this.maxSkew) {
+      return { ...signer, reason: `Command timestamp outside the allowed ${this.maxSkew}ms window` };
+    }
+
+    this.pruneNonces(now);
+    const { nonce } = payload.signature;
+    if (this.nonces.has(nonce)) {
+      return { ...signer, reason: 'Replayed command (nonce already used)' };
+    }
+    // Only signed, fresh commands use up a nonce, so forged ones can't block a real one
+    this.nonces.set(nonce, now + this.maxSkew * 2);
+
+    if (!this.permits(key.role, command)) {
+      return { ...signer, reason: `Role ${key.role} may not send ${command.system}/${command.action}` };
+    }
+    return { ...signer, reason: null };
+  }
+
+  permits(role, { system, action }) {
+    return (this.roles[role] || []).some(allowed =>
+      allowed === '*' || allowed === `${system}/*` || allowed === `${system}/${action}`);
+  }
+
+  pruneNonces(now) {
+    this.nonces.forEach((expiry, nonce) => {
+      if (expiry <= now) this.nonces.delete(nonce);
+    });
+  }
+
+  // The command address of an HTTP vessel override or emergency under /api, from
+  // /override|emergency/:vesselId/:system/:action as the ops dashboard's /api/control
+  // forwards them. Null for any other path, which is not a control command.
+  static addressOf(apiPath) {
+    const match = apiPath.match(/^\/(?:override|emergency)\/([^/]+)\/([^/]+)\/([^/]+)$/);
+    if (!match) return null;
+    const [vesselId, system, action] = match.slice(1).map(decodeURIComponent);
+    return { vesselId, system, action };
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      maxSkew: this.maxSkew,
+      keys: Array.from(this.keys.values()).map(({ keyId, role, algorithm }) => ({ keyId, role, algorithm })),
+      ...this.stats
+    };
+  }
+}
+
+module.exports = CommandAuthenticator;
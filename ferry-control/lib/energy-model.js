@@ -0,0 +1,154 @@
+// Battery state-of-charge and fuel consumption, with automatic power mode selection
+
+// Electrical characteristics by vessel class
+const ENERGY_PROFILES = {
+  island: {
+    batteryCapacity: 800,     // kWh
+    propulsionPower: 1500,    // kW at rated RPM
+    ratedRpm: 1800,
+    hotelLoad: 90,            // kW for lighting, HVAC and auxiliaries
+    generatorRating: 1200,    // kW
+    shoreChargeRate: 600,     // kW
+    specificFuelConsumption: 0.22, // litres per kWh
+    generatorIdleFuel: 8      // litres per hour while a generator is running
+  },
+  coastal: {
+    batteryCapacity: 2000,
+    propulsionPower: 6000,
+    ratedRpm: 1800,
+    hotelLoad: 400,
+    generatorRating: 7500,
+    shoreChargeRate: 1000,
+    specificFuelConsumption: 0.21,
+    generatorIdleFuel: 25
+  }
+};
+
+// Share of propulsion and hotel demand the generators carry in each mode
+const GENERATOR_SHARE = {
+  electric: 0,
+  hybrid: 0.5,
+  diesel: 1
+};
+
+// SOC thresholds (%). Leaving a mode needs a larger swing than entering it so
+// the mode doesn't flap while SOC hovers around a single threshold.
+const MODE_THRESHOLDS = {
+  enterDiesel: 25,
+  leaveDiesel: 35,
+  enterElectric: 80,
+  leaveElectric: 70,
+  depleted: 5
+};
+
+class EnergyModel {
+  constructor(options = {}) {
+    this.profiles = options.profiles || ENERGY_PROFILES;
+    this.thresholds = { ...MODE_THRESHOLDS, ...options.thresholds };
+  }
+
+  getProfile(vesselClass) {
+    return this.profiles[vesselClass] || this.profiles.island;
+  }
+
+  getEnergyState(vessel) {
+    if (!vessel.energy) {
+      vessel.energy = { autoMode: true };
+    }
+    return vessel.energy;
+  }
+
+  // Manual mode selection turns automatic switching off; 'auto' turns it back on
+  setMode(vessel, mode) {
+    const energy = this.getEnergyState(vessel);
+    if (mode === 'auto') {
+      energy.autoMode = true;
+      vessel.state.power.mode = this.selectMode(vessel);
+    } else {
+      energy.autoMode = false;
+      vessel.state.power.mode = mode;
+    }
+    this.update(vessel, 0);
+  }
+
+  // Next power mode for the current SOC, with hysteresis around the thresholds
+  selectMode(vessel) {
+    const { batterySOC, mode } = vessel.state.power;
+    const t = this.thresholds;
+
+    switch (mode) {
+      case 'diesel':
+        if (batterySOC > t.enterElectric) return 'electric';
+        return batterySOC > t.leaveDiesel ? 'hybrid' : 'diesel';
+      case 'electric':
+        if (batterySOC < t.enterDiesel) return 'diesel';
+        return batterySOC < t.leaveElectric ? 'hybrid' : 'electric';
+      default:
+        if (batterySOC < t.enterDiesel) return 'diesel';
+        return batterySOC > t.enterElectric ? 'electric' : 'hybrid';
+    }
+  }
+
+  update(vessel, dtSeconds) {
+    const state = vessel.state;
+    const profile = this.getProfile(vessel.vesselClass);
+    const energy = this.getEnergyState(vessel);
+
+    if (energy.autoMode) {
+      const mode = this.selectMode(vessel);
+      if (mode !== state.power.mode) {
+        console.log(`🔋 ${vessel.vesselId} switching ${state.power.mode} → ${mode} at ${state.power.batterySOC.toFixed(1)}% SOC`);
+        state.power.mode = mode;
+      }
+    } else if (state.power.mode === 'electric' && state.power.batterySOC <= this.thresholds.depleted) {
+      // A flat battery can't hold a manual electric selection
+      console.log(`🔋 ${vessel.vesselId} battery depleted - forcing diesel mode`);
+      state.power.mode = 'diesel';
+    }
+
+    // Propeller law: shaft power rises with the cube of RPM
+    const rpmRatio = Math.max(0, state.engine.rpm || 0) / profile.ratedRpm;
+    const propulsionKw = profile.propulsionPower * Math.pow(rpmRatio, 3);
+    const onShorePower = state.power.shoreConnection === true;
+
+    let generatorKw = 0;
+    let batteryKw = 0; // positive = discharging
+
+    if (onShorePower) {
+      // Shore power carries the hotel load and charges the battery
+      batteryKw = state.power.batterySOC < 100 ? -profile.shoreChargeRate : 0;
+      generatorKw = state.power.mode === 'diesel' ? propulsionKw : 0;
+    } else {
+      const demandKw = propulsionKw + profile.hotelLoad;
+      generatorKw = Math.min(demandKw * (GENERATOR_SHARE[state.power.mode] ?? 0.5), profile.generatorRating);
+      batteryKw = demandKw - generatorKw;
+
+      // In diesel mode spare generator capacity trickle-charges the battery (up to 0.1C)
+      if (state.power.mode === 'diesel' && state.power.batterySOC < 100) {
+        const chargeKw = Math.min(profile.generatorRating - generatorKw, profile.batteryCapacity * 0.1);
+        generatorKw += chargeKw;
+        batteryKw -= chargeKw;
+      }
+    }
+
+    // SOC integrates at full precision; the published value is rounded, so a
+    // mismatch with what was last published means an override changed it
+    if (energy.soc === undefined || state.power.batterySOC !== energy.publishedSoc) {
+      energy.soc = state.power.batterySOC;
+    }
+    const socDelta = -(batteryKw * dtSeconds / 3600) / profile.batteryCapacity * 100;
+    energy.soc = Math.min(100, Math.max(0, energy.soc + socDelta));
+    state.power.batterySOC = energy.publishedSoc = Math.round(energy.soc * 100) / 100;
+
+    state.power.generatorLoad = Math.round(generatorKw / profile.generatorRating * 1000) / 10;
+    state.power.batteryPower = Math.round(batteryKw);
+    state.engine.fuelFlow = generatorKw > 0
+      ? Math.round((generatorKw * profile.specificFuelConsumption + profile.generatorIdleFuel) * 10) / 10
+      : 0;
+  }
+}
+
+EnergyModel.ENERGY_PROFILES = ENERGY_PROFILES;
+EnergyModel.MODE_THRESHOLDS = MODE_THRESHOLDS;
+
+module.exports = EnergyModel;
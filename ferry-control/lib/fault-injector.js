@@ -0,0 +1,193 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Faults applied to a single telemetry field (dot path into the payload)
+const FIELD_FAULTS = ['stuck', 'noise', 'drop', 'nan'];
+
+// Faults applied to the message or the telemetry link as a whole
+const LINK_FAULTS = ['out_of_order', 'duplicate_id', 'publish_outage'];
+
+// Sits between vessel state and the MQTT publish: corrupts outgoing telemetry so
+// consumers can be tested against bad data, and records every fault it injects
+class FaultInjector {
+  constructor(options = {}) {
+    this.faults = new Map(); // vesselId -> Map(faultId -> fault)
+    this.history = [];
+    this.maxHistory = options.maxHistory || 200;
+    this.lastMessageIds = new Map();
+    this.clock = options.clock || { now: () => Date.now() };
+  }
+
+  addFault(vesselId, definition = {}) {
+    const { type, field } = definition;
+
+    if (!FIELD_FAULTS.includes(type) && !LINK_FAULTS.includes(type)) {
+      throw new Error(`Unknown fault type '${type}'. Valid types: ${FIELD_FAULTS.concat(LINK_FAULTS).join(', ')}`);
+    }
+    if (FIELD_FAULTS.includes(type) && !field) {
+      throw new Error(`Fault type '${type}' needs a field`);
+    }
+    if (type === 'noise' && !(definition.amplitude > 0)) {
+      throw new Error('Noise fault needs a positive amplitude');
+    }
+    if (definition.probability !== undefined && !(definition.probability > 0 && definition.probability <= 1)) {
+      throw new Error('Probability must be greater than 0 and at most 1');
+    }
+    if (definition.duration !== undefined && !(definition.duration > 0)) {
+      throw new Error('Duration must be a positive number of seconds');
+    }
+
+    const now = this.clock.now();
+    const fault = {
+      faultId: uuidv4(),
+      vesselId,
+      type,
+      field: FIELD_FAULTS.includes(type) ? field : null,
+      value: definition.value,
+      amplitude: definition.amplitude,
+      offset: definition.offset !== undefined ? definition.offset : -120,
+      probability: definition.probability || 1,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: definition.duration ? new Date(now + definition.duration * 1000).toISOString() : null,
+      applied: 0,
+      lastAppliedAt: null
+    };
+
+    if (!this.faults.has(vesselId)) {
+      this.faults.set(vesselId, new Map());
+    }
+    this.faults.get(vesselId).set(fault.faultId, fault);
+
+    console.log(`💥 Fault injected on ${vesselId}: ${type}${fault.field ? ` (${fault.field})` : ''}`);
+    return fault;
+  }
+
+  removeFault(vesselId, faultId, reason = 'cleared') {
+    const vesselFaults = this.faults.get(vesselId);
+    const fault = vesselFaults && vesselFaults.get(faultId);
+    if (!fault) return null;
+
+    vesselFaults.delete(faultId);
+    if (vesselFaults.size === 0) this.faults.delete(vesselId);
+
+    this.history.push({ ...fault, endedAt: new Date(this.clock.now()).toISOString(), endReason: reason });
+    if (this.history.length > this.maxHistory) this.history.shift();
+
+    console.log(`💥 Fault ${fault.type} on ${vesselId} ${reason}`);
+    return fault;
+  }
+
+  clearFaults(vesselId) {
+    const vesselFaults = this.faults.get(vesselId);
+    if (!vesselFaults) return 0;
+
+    const faultIds = Array.from(vesselFaults.keys());
+    faultIds.forEach(faultId => this.removeFault(vesselId, faultId));
+    return faultIds.length;
+  }
+
+  listFaults(vesselId) {
+    this.expireFaults();
+    const vesselIds = vesselId ? [vesselId] : Array.from(this.faults.keys());
+    return vesselIds.flatMap(id => Array.from((this.faults.get(id) || new Map()).values()));
+  }
+
+  getHistory(vesselId) {
+    return vesselId ? this.history.filter(fault => fault.vesselId === vesselId) : this.history.slice();
+  }
+
+  expireFaults() {
+    const now = this.clock.now();
+    this.faults.forEach((vesselFaults, vesselId) => {
+      vesselFaults.forEach(fault => {
+        if (fault.expiresAt && Date.parse(fault.expiresAt) <= now) {
+          this.removeFault(vesselId, fault.faultId, 'expired');
+        }
+      });
+    });
+  }
+
+  // Returns the payload to publish (a corrupted copy when faults fire) and whether
+  // the link is up. The original payload is left untouched.
+  apply(vesselId, payload) {
+    const faults = this.listFaults(vesselId);
+    const previousMessageId = this.lastMessageIds.get(vesselId);
+    this.lastMessageIds.set(vesselId, payload.messageId);
+
+    if (faults.length === 0) {
+      return { payload, publish: true, appliedFaults: [] };
+    }
+
+    const result = JSON.parse(JSON.stringify(payload));
+    const appliedFaults = [];
+    let publish = true;
+
+    faults.forEach(fault => {
+      if (fault.probability < 1 && Math.random() >= fault.probability) return;
+
+      switch (fault.type) {
+        case 'stuck': {
+          // Freeze at the configured value or at the first reading seen
+          if (fault.value === undefined) {
+            fault.value = FaultInjector.getField(result, fault.field);
+          }
+          FaultInjector.setField(result, fault.field, fault.value);
+          break;
+        }
+        case 'noise': {
+          const current = FaultInjector.getField(result, fault.field);
+          if (typeof current !== 'number') return;
+          const noisy = current + (Math.random() * 2 - 1) * fault.amplitude;
+          FaultInjector.setField(result, fault.field, Math.round(noisy * 100) / 100);
+          break;
+        }
+        case 'drop':
+          FaultInjector.deleteField(result, fault.field);
+          break;
+        case 'nan':
+          // JSON has no NaN, so this reaches subscribers as null
+          FaultInjector.setField(result, fault.field, NaN);
+          break;
+        case 'out_of_order':
+          result.timestamp = new Date(Date.parse(result.timestamp) + fault.offset * 1000).toISOString();
+          break;
+        case 'duplicate_id':
+          if (!previousMessageId) return;
+          result.messageId = previousMessageId;
+          this.lastMessageIds.set(vesselId, previousMessageId);
+          break;
+        case 'publish_outage':
+          publish = false;
+          break;
+      }
+
+      fault.applied++;
+      fault.lastAppliedAt = new Date(this.clock.now()).toISOString();
+      appliedFaults.push(fault.faultId);
+    });
+
+    return { payload: result, publish, appliedFaults };
+  }
+
+  static getField(target, fieldPath) {
+    return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), target);
+  }
+
+  static setField(target, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), target);
+    if (parent && typeof parent === 'object') parent[last] = value;
+  }
+
+  static deleteField(target, fieldPath) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), target);
+    if (parent && typeof parent === 'object') delete parent[last];
+  }
+}
+
+FaultInjector.FIELD_FAULTS = FIELD_FAULTS;
+FaultInjector.LINK_FAULTS = LINK_FAULTS;
+
+module.exports = FaultInjector;
@@ -0,0 +1,231 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const SimulationClock = require('./simulation-clock');
+
+const VESSEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/i;
+
+class FleetRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.vessels = new Map();
+    this.defaultTelemetryInterval = options.telemetryInterval || 60000;
+    this.tickInterval = options.tickInterval || 1000;
+    this.maxStep = options.maxStep || 1000; // ms of simulated time per model update
+    this.clock = options.clock || new SimulationClock();
+    this.simulationTimer = null;
+    this.models = [];
+
+    // Single steps are applied straight away rather than on the next tick
+    this.clock.on('step', () => this.tick());
+  }
+
+  // Register a simulation model; each tick calls model.update(vessel, dtSeconds)
+  use(model) {
+    this.models.push(model);
+    return this;
+  }
+
+  loadConfig(configPath = path.join(__dirname, '../config/fleet-config.json')) {
+    try {
+      const fleetConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+      if (fleetConfig.defaults?.telemetryInterval && !process.env.TELEMETRY_INTERVAL) {
+        this.defaultTelemetryInterval = fleetConfig.defaults.telemetryInterval;
+      }
+
+      (fleetConfig.vessels || []).forEach(definition => {
+        try {
+          this.createVessel(definition);
+        } catch (error) {
+          console.error(`❌ Skipping vessel from fleet config: ${error.message}`);
+        }
+      });
+
+      console.log(`🚢 Loaded ${this.vessels.size} vessels from ${path.basename(configPath)}`);
+    } catch (error) {
+      console.error('Failed to load fleet configuration:', error.message);
+    }
+
+    return this;
+  }
+
+  createVessel(definition = {}) {
+    const { vesselId } = definition;
+
+    if (!vesselId || !VESSEL_ID_PATTERN.test(vesselId)) {
+      throw new Error('vesselId must be 1-64 letters, digits or dashes');
+    }
+    if (this.vessels.has(vesselId)) {
+      throw new Error(`Vessel ${vesselId} already exists`);
+    }
+
+    const vessel = {
+      vesselId,
+      vesselClass: definition.vesselClass || 'island',
+      createdAt: this.clock.toISOString(),
+      telemetryInterval: definition.telemetryInterval || this.defaultTelemetryInterval,
+      nextTelemetryAt: null, // simulated ms; null while telemetry is stopped
+      activeAlerts: new Map(), // alertType -> alertData
+      state: FleetRegistry.createVesselState(definition, this.clock)
+    };
+
+    this.vessels.set(vesselId, vessel);
+    this.emit('vessel_added', vessel);
+    return vessel;
+  }
+
+  removeVessel(vesselId) {
+    const vessel = this.vessels.get(vesselId);
+    if (!vessel) return false;
+
+    this.stopTelemetry(vessel);
+    this.vessels.delete(vesselId);
+    this.emit('vessel_removed', vessel);
+    return true;
+  }
+
+  getVessel(vesselId) {
+    return this.vessels.get(vesselId);
+  }
+
+  hasVessel(vesselId) {
+    return this.vessels.has(vesselId);
+  }
+
+  listVessels() {
+    return Array.from(this.vessels.values());
+  }
+
+  // Each vessel publishes on its own schedule so intervals can differ per ship.
+  // Schedules run in simulated time and are checked after every model update.
+  startTelemetry(vessel) {
+    vessel.nextTelemetryAt = this.clock.now() + vessel.telemetryInterval;
+  }
+
+  stopTelemetry(vessel) {
+    vessel.nextTelemetryAt = null;
+  }
+
+  startAll() {
+    this.vessels.forEach(vessel => this.startTelemetry(vessel));
+  }
+
+  stopAll() {
+    this.vessels.forEach(vessel => this.stopTelemetry(vessel));
+    this.stopSimulation();
+  }
+
+  startSimulation() {
+    this.stopSimulation();
+    this.clock.elapse(); // discard time that passed while stopped
+    this.simulationTimer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stopSimulation() {
+    if (this.simulationTimer) {
+      clearInterval(this.simulationTimer);
+      this.simulationTimer = null;
+    }
+  }
+
+  // Consumes the simulated time owed by the clock in steps of at most maxStep, so an
+  // accelerated clock doesn't make vessels overshoot waypoints
+  tick() {
+    let remaining = this.clock.elapse();
+
+    while (remaining > 0) {
+      const stepMs = Math.min(remaining, this.maxStep);
+      remaining -= stepMs;
+      this.clock.advance(stepMs);
+      this.step(stepMs / 1000);
+    }
+  }
+
+  step(dtSeconds) {
+    const now = this.clock.now();
+    const timestamp = this.clock.toISOString();
+
+    this.vessels.forEach(vessel => {
+      this.models.forEach(model => {
+        try {
+          model.update(vessel, dtSeconds);
+        } catch (error) {
+          console.error(`❌ Simulation model failed for ${vessel.vesselId}:`, error.message);
+        }
+      });
+      vessel.state.timestamp = timestamp;
+    });
+
+    this.emit('tick', dtSeconds);
+
+    this.vessels.forEach(vessel => {
+      if (vessel.nextTelemetryAt !== null && now >= vessel.nextTelemetryAt) {
+        // After a long pause or big step, publish once rather than catching up
+        vessel.nextTelemetryAt += vessel.telemetryInterval;
+        if (vessel.nextTelemetryAt <= now) vessel.nextTelemetryAt = now + vessel.telemetryInterval;
+        this.emit('telemetry', vessel);
+      }
+    });
+  }
+
+  // Re-derive model outputs (loads, flows, limits) after an override without advancing time
+  refresh(vessel) {
+    this.models.forEach(model => {
+      try {
+        model.update(vessel, 0);
+      } catch (error) {
+        console.error(`❌ Simulation model failed for ${vessel.vesselId}:`, error.message);
+      }
+    });
+  }
+
+  describeVessel(vessel) {
+    return {
+      vesselId: vessel.vesselId,
+      vesselClass: vessel.vesselClass,
+      createdAt: vessel.createdAt,
+      telemetryInterval: vessel.telemetryInterval,
+      activeAlerts: Array.from(vessel.activeAlerts.keys()),
+      voyage: vessel.voyage || null,
+      state: vessel.state
+    };
+  }
+
+  static createVesselState(definition = {}, clock = null) {
+    const location = definition.location || {};
+
+    return {
+      vesselId: definition.vesselId,
+      timestamp: clock ? clock.toISOString() : new Date().toISOString(),
+      location: {
+        latitude: location.latitude ?? 48.6569,
+        longitude: location.longitude ?? -123.3933,
+        heading: location.heading ?? 45
+      },
+      engine: {
+        rpm: 1200,
+        temperature: 85,
+        fuelFlow: 120
+      },
+      power: {
+        batterySOC: 85,
+        mode: 'hybrid',
+        generatorLoad: 45,
+        shoreConnection: false
+      },
+      safety: {
+        fireAlarm: false,
+        bilgeLevel: 15,
+        co2Level: 400
+      },
+      navigation: {
+        speed: 12.5,
+        route: definition.route || 'SWB-TSA',
+        nextWaypoint: definition.nextWaypoint || 'Active Pass'
+      }
+    };
+  }
+}
+
+module.exports = FleetRegistry;
@@ -0,0 +1,123 @@
+// Kinematic vessel motion: speed follows engine RPM, position follows heading
+
+const NM_PER_DEGREE_LAT = 60;
+
+// Performance characteristics by vessel class
+const VESSEL_PROFILES = {
+  island: {
+    ratedRpm: 1800,
+    maxSpeed: 14.5,      // knots at rated RPM
+    acceleration: 0.08,  // knots per second
+    deceleration: 0.15,  // knots per second
+    maxTurnRate: 2       // degrees per second
+  },
+  coastal: {
+    ratedRpm: 1800,
+    maxSpeed: 21,
+    acceleration: 0.06,
+    deceleration: 0.12,
+    maxTurnRate: 1.5
+  }
+};
+
+// Fraction of rated propulsion power available in each power mode
+const POWER_MODE_FACTORS = {
+  electric: 0.85,
+  hybrid: 1.0,
+  diesel: 1.0
+};
+
+// Values the model integrates, as [state section, field]
+const MOTION_FIELDS = [
+  ['navigation', 'speed'],
+  ['location', 'heading'],
+  ['location', 'latitude'],
+  ['location', 'longitude']
+];
+
+class MotionModel {
+  constructor(profiles = VESSEL_PROFILES) {
+    this.profiles = profiles;
+  }
+
+  getProfile(vesselClass) {
+    return this.profiles[vesselClass] || this.profiles.island;
+  }
+
+  // Steady-state speed the hull settles at for the current RPM and power mode
+  targetSpeed(state, profile) {
+    const rpm = Math.max(0, state.engine.rpm || 0);
+    const modeFactor = POWER_MODE_FACTORS[state.power.mode] ?? 1.0;
+    const loadRatio = Math.min(rpm / profile.ratedRpm, 1.1);
+    return profile.maxSpeed * loadRatio * modeFactor;
+  }
+
+  // Speed, heading and position integrate at full precision here; vessel.state
+  // only carries the rounded values, so small steps aren't rounded away
+  getMotionState(vessel) {
+    if (!vessel.motion) {
+      vessel.motion = { published: {} };
+    }
+    return vessel.motion;
+  }
+
+  update(vessel, dtSeconds) {
+    const state = vessel.state;
+    const profile = this.getProfile(vessel.vesselClass);
+    const motion = this.getMotionState(vessel);
+
+    // Same precision tracking as the energy model: resync after an override
+    // (or a route docking the vessel) changed a published value
+    MOTION_FIELDS.forEach(([section, field]) => {
+      if (motion[field] === undefined || state[section][field] !== motion.published[field]) {
+        motion[field] = state[section][field] || 0;
+      }
+    });
+
+    // Speed: approach target within acceleration/deceleration limits
+    let target = this.targetSpeed(state, profile);
+    if (typeof state.navigation.speedLimit === 'number') {
+      target = Math.min(target, state.navigation.speedLimit);
+    }
+    const delta = target - motion.speed;
+    const maxDelta = (delta >= 0 ? profile.acceleration : profile.deceleration) * dtSeconds;
+    motion.speed += Math.sign(delta) * Math.min(Math.abs(delta), maxDelta);
+
+    // Heading: turn towards target heading (set by route following) at limited rate
+    const targetHeading = state.navigation.targetHeading;
+    if (typeof targetHeading === 'number' && motion.speed > 0.5) {
+      const turn = MotionModel.headingDifference(motion.heading, targetHeading);
+      const maxTurn = profile.maxTurnRate * dtSeconds;
+      motion.heading = MotionModel.normalizeHeading(motion.heading + Math.sign(turn) * Math.min(Math.abs(turn), maxTurn));
+    }
+
+    // Position: dead reckoning along the current heading
+    if (motion.speed > 0) {
+      const distanceNm = motion.speed * dtSeconds / 3600;
+      const headingRad = motion.heading * Math.PI / 180;
+      const latRad = motion.latitude * Math.PI / 180;
+
+      motion.latitude += distanceNm * Math.cos(headingRad) / NM_PER_DEGREE_LAT;
+      motion.longitude += distanceNm * Math.sin(headingRad) / (NM_PER_DEGREE_LAT * Math.cos(latRad));
+    }
+
+    state.navigation.speed = motion.published.speed = Math.round(motion.speed * 100) / 100;
+    state.location.heading = motion.published.heading = Math.round(motion.heading * 10) / 10;
+    state.location.latitude = motion.published.latitude = Math.round(motion.latitude * 1e6) / 1e6;
+    state.location.longitude = motion.published.longitude = Math.round(motion.longitude * 1e6) / 1e6;
+  }
+
+  static normalizeHeading(heading) {
+    return ((heading % 360) + 360) % 360;
+  }
+
+  // Signed shortest turn from one heading to another, in the range -180..180
+  static headingDifference(from, to) {
+    return ((to - from + 540) % 360) - 180;
+  }
+}
+
+MotionModel.VESSEL_PROFILES = VESSEL_PROFILES;
+MotionModel.POWER_MODE_FACTORS = POWER_MODE_FACTORS;
+
+module.exports = MotionModel;
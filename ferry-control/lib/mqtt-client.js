@@ -1,7 +1,11 @@
 const mqtt = require('mqtt');
 const { v4: uuidv4 } = require('uuid');
+const schemas = require('ferry-schemas');
 const fs = require('fs');
 const path = require('path');
+const OutboundQueue = require('./outbound-queue');
+const { remapTopic, templateParser, topicFilter } = require('./topic-templates');
+const VesselPresence = require('./vessel-presence');
 
 class MQTTClient {
   constructor(config = {}) {
@@ -10,11 +14,30 @@ class MQTTClient {
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
-    this.messageBuffer = new Map();
+    this.messageBuffer = this.createMessageBuffer();
+    this.flushing = false;
     this.heartbeatInterval = null;
     this.lastHeartbeat = null;
+    this.clock = null;
+    this.topicParser = templateParser; // reads and fills the patterns in topicMappings
+
+    // Identifies this simulator in presence and heartbeats when several run side by side
+    this.instanceId = process.env.SIMULATOR_INSTANCE_ID || `sim-${uuidv4().slice(0, 8)}`;
+    this.presence = new VesselPresence(this);
+
+    // Broker failover: providers in priority order, the first one is the primary
+    this.providerOrder = this.resolveProviderOrder();
+    this.primaryProvider = this.providerOrder[0];
+    this.failovers = 0;
+    this.lastProviderChange = null;
+    this.probeTimer = null;
+    this.probing = false;
+    this.probeSuccesses = 0;
+    this.lastProbe = null;
+    this.flushGeneration = 0;
+    this.subscriptions = new Map(); // topic as requested -> { qos, remap }, restored on every connect
     
-    this.setupClient();
+    this.setupClient(this.primaryProvider);
   }
 
   loadConfig(overrides = {}) {
@@ -25,8 +48,9 @@ class MQTTClient {
       // Determine active provider
       const activeProvider = process.env.MQTT_PROVIDER || defaultConfig.activeProvider || 'mosquitto';
       
-      // Override with environment variables based on active provider
-      if (activeProvider === 'hivemq') {
+      // Override with environment variables; both providers can be configured at
+      // once so either can take over when the other fails
+      if (defaultConfig.providers.hivemq) {
         if (process.env.HIVEMQ_CLUSTER_URL) {
           defaultConfig.providers.hivemq.broker.url = process.env.HIVEMQ_CLUSTER_URL;
         }
@@ -36,7 +60,8 @@ class MQTTClient {
         if (process.env.HIVEMQ_PASSWORD) {
           defaultConfig.providers.hivemq.authentication.password = process.env.HIVEMQ_PASSWORD;
         }
-      } else if (activeProvider === 'mosquitto') {
+      }
+      if (defaultConfig.providers.mosquitto) {
         if (process.env.MQTT_BROKER_HOST) {
           defaultConfig.providers.mosquitto.broker.url = process.env.MQTT_BROKER_HOST;
         }
@@ -48,6 +73,34 @@ class MQTTClient {
         }
       }
       
+      // Opt-in wire encoding for telemetry and its deltas, for every provider
+      Object.entries(defaultConfig.topicMappings).forEach(([provider, mappings]) => {
+        ['telemetry', 'telemetryDelta'].forEach(name => {
+          const mapping = mappings[name];
+          if (!mapping) return;
+          if (process.env.TELEMETRY_ENCODING) {
+            mapping.encoding = process.env.TELEMETRY_ENCODING;
+          }
+          if (mapping.encoding && !schemas.codec.ENCODINGS.includes(mapping.encoding)) {
+            console.warn(`⚠️ Unknown ${name} encoding '${mapping.encoding}' for ${provider} - publishing JSON`);
+            delete mapping.encoding;
+          }
+        });
+      });
+
+      if (defaultConfig.delta) {
+        if (process.env.TELEMETRY_DELTA) {
+          defaultConfig.delta.enabled = process.env.TELEMETRY_DELTA !== 'false';
+        }
+        if (process.env.TELEMETRY_KEYFRAME_INTERVAL) {
+          defaultConfig.delta.keyframeInterval = parseInt(process.env.TELEMETRY_KEYFRAME_INTERVAL, 10) || defaultConfig.delta.keyframeInterval;
+        }
+      }
+
+      if (defaultConfig.controlAuth && process.env.CONTROL_AUTH) {
+        defaultConfig.controlAuth.mode = process.env.CONTROL_AUTH;
+      }
+
       defaultConfig.activeProvider = activeProvider;
       return { ...defaultConfig, ...overrides };
     } catch (error) {
@@ -56,6 +109,51 @@ class MQTTClient {
     }
   }
 
+  // Messages published while disconnected survive restarts unless MQTT_BUFFER_PATH=none
+  createMessageBuffer() {
+    const bufferConfig = (this.config.quality && this.config.quality.buffer) || {};
+    const configuredPath = process.env.MQTT_BUFFER_PATH || bufferConfig.path;
+    const filePath = configuredPath && configuredPath !== 'none'
+      ? path.resolve(__dirname, '..', configuredPath)
+      : null;
+
+    return new OutboundQueue({ filePath, limits: bufferConfig.limits });
+  }
+
+  // MQTT_PROVIDERS (comma separated) overrides the configured order; otherwise the
+  // active provider leads and the remaining failover providers follow. Providers
+  // whose broker URL is still a placeholder are left out.
+  resolveProviderOrder() {
+    const failover = this.config.failover || {};
+    const configured = process.env.MQTT_PROVIDERS
+      ? process.env.MQTT_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+      : [this.config.activeProvider, ...(failover.providers || [])];
+
+    const order = [];
+    configured.forEach(name => {
+      if (order.includes(name)) return;
+      if (!this.config.providers[name]) {
+        console.warn(`⚠️ Unknown MQTT provider '${name}' in failover order - skipping`);
+        return;
+      }
+      if (order.length > 0 && !this.isProviderConfigured(name)) {
+        console.warn(`⚠️ Skipping ${name} in failover order - broker URL not configured`);
+        return;
+      }
+      order.push(name);
+    });
+
+    if (order.length === 0) {
+      throw new Error(`Invalid MQTT provider: ${configured.join(', ')}`);
+    }
+    return order;
+  }
+
+  isProviderConfigured(name) {
+    const url = this.config.providers[name].broker.url;
+    return !!url && !/^[A-Z0-9_]+$/.test(url);
+  }
+
   getDefaultConfig() {
     return {
       activeProvider: 'mosquitto',
@@ -109,9 +207,17 @@ class MQTTClient {
             pattern: 'fleet/bcferries/{vesselId}/telemetry',
             qos: 1
           },
+          telemetryDelta: {
+            pattern: 'fleet/bcferries/{vesselId}/telemetry/delta',
+            qos: 1
+          },
           emergency: {
             pattern: 'fleet/bcferries/{vesselId}/emergency/{type}',
             qos: 2
+          },
+          control: {
+            pattern: 'fleet/bcferries/{vesselId}/control/{system}/{action}',
+            qos: 1
           }
         },
         mosquitto: {
@@ -119,30 +225,74 @@ class MQTTClient {
             pattern: 'ferry/vessel/{vesselId}/telemetry',
             qos: 1
           },
+          telemetryDelta: {
+            pattern: 'ferry/vessel/{vesselId}/telemetry/delta',
+            qos: 1
+          },
           emergency: {
             pattern: 'ferry/vessel/{vesselId}/emergency/{type}',
             qos: 2
+          },
+          control: {
+            pattern: 'ferry/vessel/{vesselId}/control/{system}/{action}',
+            qos: 1
           }
         }
       },
       quality: {
         maxRetries: 3,
-        messageExpiry: 300
+        maxInflight: 20,
+        flushRate: 50,
+        retryBackoff: { initial: 1000, max: 30000 },
+        messageExpiry: 300,
+        buffer: {
+          path: 'data/outbound-buffer.jsonl',
+          limits: OutboundQueue.DEFAULT_LIMITS
+        }
+      },
+      delta: {
+        enabled: true,
+        keyframeInterval: 300000
+      },
+      controlAuth: {
+        mode: process.env.CONTROL_AUTH || 'enforce',
+        maxSkew: 30000,
+        roles: {
+          operator: ['*'],
+          monitor: ['telemetry/resync']
+        }
+      },
+      failover: {
+        providers: ['mosquitto'],
+        failoverAfter: 3,
+        probeInterval: 60000,
+        probeTimeout: 10000,
+        failbackAfter: 2
       }
     };
   }
 
-  setupClient() {
-    const activeProvider = this.config.activeProvider;
-    const providerConfig = this.config.providers[activeProvider];
+  setupClient(provider = this.config.activeProvider) {
+    const { brokerUrl, connectOptions } = this.buildConnectOptions(provider);
+
+    console.log(`🔗 Connecting to ${provider.toUpperCase()} MQTT broker: ${brokerUrl}`);
+    console.log(`🆔 Client ID: ${connectOptions.clientId}`);
+    
+    this.activeProvider = provider;
+    this.client = mqtt.connect(brokerUrl, connectOptions);
+    this.setupEventHandlers();
+  }
+
+  buildConnectOptions(provider, clientSuffix = uuidv4()) {
+    const providerConfig = this.config.providers[provider];
     
     if (!providerConfig) {
-      throw new Error(`Invalid MQTT provider: ${activeProvider}`);
+      throw new Error(`Invalid MQTT provider: ${provider}`);
     }
     
     const { broker, authentication, options } = providerConfig;
     
-    const clientId = `${authentication.clientIdPrefix}-${uuidv4()}`;
+    const clientId = `${authentication.clientIdPrefix}-${clientSuffix}`;
     const brokerUrl = `${broker.protocol}://${broker.url}:${broker.port}`;
     
     const connectOptions = {
@@ -165,12 +315,7 @@ class MQTTClient {
       };
     }
 
-    console.log(`🔗 Connecting to ${activeProvider.toUpperCase()} MQTT broker: ${brokerUrl}`);
-    console.log(`🆔 Client ID: ${clientId}`);
-    
-    this.activeProvider = activeProvider;
-    this.client = mqtt.connect(brokerUrl, connectOptions);
-    this.setupEventHandlers();
+    return { brokerUrl, connectOptions };
   }
 
   setupEventHandlers() {
@@ -179,14 +324,19 @@ class MQTTClient {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       this.startHeartbeat();
+      this.restoreSubscriptions();
       this.flushMessageBuffer();
+      this.emit('connected', { provider: this.activeProvider });
     });
 
     this.client.on('reconnect', () => {
       this.reconnectAttempts++;
       console.log(`🔄 Reconnecting to MQTT broker (attempt ${this.reconnectAttempts})`);
-      
-      if (this.reconnectAttempts > this.maxReconnectAttempts) {
+
+      const failoverAfter = (this.config.failover && this.config.failover.failoverAfter) || 3;
+      if (this.providerOrder.length > 1 && this.reconnectAttempts >= failoverAfter) {
+        this.failover('connection_lost');
+      } else if (this.reconnectAttempts > this.maxReconnectAttempts) {
         console.error('❌ Max reconnection attempts reached. Stopping reconnection.');
         this.client.end(true);
       }
@@ -222,19 +372,20 @@ class MQTTClient {
       this.isConnected = false;
     });
 
-    this.client.on('message', (topic, message) => {
-      this.handleIncomingMessage(topic, message);
+    this.client.on('message', (topic, message, packet) => {
+      this.handleIncomingMessage(topic, message, packet);
     });
   }
 
-  handleIncomingMessage(topic, message) {
+  handleIncomingMessage(topic, message, packet = {}) {
     try {
-      const payload = JSON.parse(message.toString());
+      const payload = schemas.codec.decode(message, packet.properties && packet.properties.contentType);
       console.log(`📨 Received message on ${topic}:`, payload);
       
       // Handle different message types
-      if (topic.includes('/control/')) {
-        this.handleControlMessage(topic, payload);
+      const control = this.parseTopic('control', topic);
+      if (control) {
+        this.handleControlMessage(topic, control.params, payload, packet.properties);
       } else if (topic.includes('/status/')) {
         this.handleStatusMessage(topic, payload);
       }
@@ -243,16 +394,34 @@ class MQTTClient {
     }
   }
 
-  handleControlMessage(topic, payload) {
-    // Extract vessel ID and control command from topic
-    const parts = topic.split('/');
-    const vesselId = parts[2];
-    const system = parts[4];
-    const action = parts[5];
+  handleControlMessage(topic, params, payload, properties = {}) {
+    const { vesselId, system, action } = params;
+
+    // Invalid commands are dead-lettered; the application still rejects them so the
+    // sender isn't left waiting for an ack
+    const validation = schemas.validate('control', payload);
+    if (!validation.valid) {
+      console.warn(`⚠️ Invalid control command on ${topic}: ${validation.errors.join('; ')}`);
+      this.publishDeadLetter(topic, payload, 'control', validation.errors)
+        .catch(error => console.error('❌ Failed to publish dead letter:', error.message));
+    }
+
+    // MQTT 5 senders name where responses should go (request/response pattern)
+    const replyTo = properties.responseTopic
+      ? { responseTopic: properties.responseTopic, correlationData: properties.correlationData || null }
+      : null;
     
     console.log(`🎛️ Control command for ${vesselId}: ${system}/${action}`, payload);
     // Emit event for the application to handle
-    this.emit('control', { vesselId, system, action, payload });
+    this.emit('control', {
+      topic,
+      vesselId,
+      system,
+      action,
+      payload,
+      replyTo,
+      invalid: validation.valid ? null : validation.errors
+    });
   }
 
   handleStatusMessage(topic, payload) {
@@ -260,17 +429,57 @@ class MQTTClient {
     this.emit('status', { topic, payload });
   }
 
-  publishTelemetry(vesselId, telemetryData) {
+  publishTelemetry(vesselId, telemetryData, metadata = {}) {
     const topicConfig = this.config.topicMappings[this.activeProvider].telemetry;
     const topic = topicConfig.pattern.replace('{vesselId}', vesselId);
     const qos = topicConfig.qos;
     
     const message = {
       ...telemetryData,
+      schemaVersion: schemas.SCHEMA_VERSION,
       messageId: telemetryData.messageId || uuidv4()
     };
 
-    return this.publish(topic, message, { qos });
+    // Deliberately corrupted telemetry (fault injection) skips validation so
+    // consumers can be tested against it; what breaks the schema is meant to
+    // end up on their dead-letter topic
+    return this.publishValidated('telemetry', topic, message, {
+      qos,
+      priority: 'bulk',
+      validate: metadata.validate !== false,
+      encoding: topicConfig.encoding,
+      properties: { userProperties: this.telemetryProperties(metadata) }
+    });
+  }
+
+  // Changed fields only, merged by consumers onto the keyframe the delta names
+  publishTelemetryDelta(vesselId, delta, metadata = {}) {
+    const topicConfig = this.config.topicMappings[this.activeProvider].telemetryDelta;
+    const topic = topicConfig.pattern.replace('{vesselId}', vesselId);
+
+    const message = {
+      ...delta,
+      schemaVersion: schemas.SCHEMA_VERSION,
+      messageId: delta.messageId || uuidv4()
+    };
+
+    return this.publishValidated('delta', topic, message, {
+      qos: topicConfig.qos,
+      priority: 'bulk',
+      validate: metadata.validate !== false,
+      encoding: topicConfig.encoding,
+      properties: { userProperties: this.telemetryProperties(metadata) }
+    });
+  }
+
+  // MQTT 5 user property values must be strings
+  telemetryProperties({ vesselClass, simulated = true } = {}) {
+    const userProperties = {
+      schemaVersion: schemas.SCHEMA_VERSION,
+      simulation: String(simulated)
+    };
+    if (vesselClass) userProperties.vesselClass = vesselClass;
+    return userProperties;
   }
 
   publishEmergency(vesselId, emergencyType, emergencyData) {
@@ -285,11 +494,33 @@ class MQTTClient {
       vesselId,
       emergency: true,
       type: emergencyType,
-      timestamp: new Date().toISOString(),
+      schemaVersion: schemas.SCHEMA_VERSION,
+      timestamp: this.timestamp(),
       messageId: uuidv4()
     };
 
-    return this.publish(topic, message, { qos });
+    // An emergency nobody received within the expiry is stale; don't deliver it late
+    const messageExpiryInterval = (this.config.quality && this.config.quality.messageExpiry) || 300;
+    return this.publishValidated('emergency', topic, message, { qos, priority: 'critical', properties: { messageExpiryInterval } });
+  }
+
+  // Acknowledgements (accepted/rejected) and results (applied/failed) go to the
+  // sender's MQTT 5 response topic with its correlation data when it gave one, and
+  // otherwise beside the command topic, so senders in either namespace can
+  // correlate them by commandId
+  publishCommandResponse(commandTopic, kind, response, replyTo = null) {
+    const message = {
+      ...response,
+      timestamp: this.timestamp()
+    };
+
+    if (replyTo && this.supportsV5()) {
+      const properties = { userProperties: { responseType: kind } };
+      if (replyTo.correlationData) properties.correlationData = replyTo.correlationData;
+      return this.publish(replyTo.responseTopic, message, { qos: 1, properties });
+    }
+
+    return this.publish(`${commandTopic}/${kind}`, message, { qos: 1 });
   }
 
   publishStatus(vesselId, component, statusData) {
@@ -304,37 +535,210 @@ class MQTTClient {
       ...statusData,
       vesselId,
       component,
+      schemaVersion: schemas.SCHEMA_VERSION,
+      timestamp: this.timestamp()
+    };
+
+    return this.publishValidated('status', topic, message, { qos, retain, priority: 'normal' });
+  }
+
+  // Publishers validate before sending: a message that doesn't match its schema goes
+  // to the dead-letter topic with the validation errors instead of its own topic
+  publishValidated(type, topic, message, options = {}) {
+    const { validate = true, ...publishOptions } = options;
+    if (validate) {
+      const validation = schemas.validate(type, message);
+      if (!validation.valid) {
+        console.error(`❌ Refusing to publish invalid ${type} message to ${topic}: ${validation.errors.join('; ')}`);
+        return this.publishDeadLetter(topic, message, type, validation.errors)
+          .then(() => ({ deadLettered: true, errors: validation.errors }));
+      }
+    }
+    return this.publish(topic, message, publishOptions);
+  }
+
+  publishDeadLetter(topic, message, messageType, errors) {
+    const mapping = this.config.topicMappings[this.activeProvider].deadLetter;
+    const deadLetterTopic = mapping
+      ? mapping.pattern.replace('{messageType}', messageType)
+      : schemas.deadLetterTopic(messageType);
+
+    const deadLetter = schemas.deadLetter({ source: 'ferry-control', topic, messageType, message, errors });
+    return this.publish(deadLetterTopic, deadLetter, { qos: mapping ? mapping.qos : 1, priority: 'normal' });
+  }
+
+  // Refused control commands, for whoever watches who tries to steer the fleet
+  publishAudit(record) {
+    const mapping = this.config.topicMappings[this.activeProvider].audit;
+    const message = {
+      schemaVersion: schemas.SCHEMA_VERSION,
+      source: 'ferry-control',
+      instanceId: this.instanceId,
+      ...record,
       timestamp: new Date().toISOString()
     };
+    return this.publish(mapping ? mapping.pattern : 'ferry/audit/commands', message, {
+      qos: mapping ? mapping.qos : 1,
+      priority: 'normal'
+    });
+  }
+
+  supportsV5() {
+    const providerConfig = this.config.providers[this.activeProvider];
+    return !!providerConfig && (providerConfig.options || {}).protocolVersion === 5;
+  }
+
+  // Turns the MQTT 5 properties on a message into what the active provider can
+  // carry. On MQTT 3.1.1 they travel in the payload instead: user properties as
+  // "meta" and the message expiry as "expiresAt". Time spent in the outbound buffer
+  // counts against the expiry. The payload is encoded last, so buffered messages
+  // stay JSON until they are sent.
+  adaptForProtocol(message, options, bufferedAt = null) {
+    const { properties, encoding, ...mqttOptions } = options;
+    if (!properties) return this.encodeForWire(message, mqttOptions, encoding);
+
+    const adjusted = { ...properties };
+    if (adjusted.messageExpiryInterval && bufferedAt) {
+      const waited = Math.floor((Date.now() - bufferedAt) / 1000);
+      adjusted.messageExpiryInterval = Math.max(adjusted.messageExpiryInterval - waited, 1);
+    }
+    if (adjusted.correlationData && !Buffer.isBuffer(adjusted.correlationData)) {
+      // Buffers restored from the buffer journal come back as { type, data }
+      adjusted.correlationData = Buffer.from(adjusted.correlationData.data || adjusted.correlationData);
+    }
+
+    if (this.supportsV5()) {
+      return this.encodeForWire(message, { ...mqttOptions, properties: adjusted }, encoding);
+    }
+    return this.encodeForWire(MQTTClient.embedProperties(message, adjusted), mqttOptions, encoding);
+  }
+
+  // Non-JSON encodings carry an in-band content-type marker; MQTT 5 also gets the
+  // contentType property
+  encodeForWire(message, options, encoding = 'json') {
+    if (!encoding || encoding === 'json') return { message, options };
+
+    const encoded = schemas.codec.encode(message, encoding);
+    if (!this.supportsV5()) return { message: encoded, options };
+    return {
+      message: encoded,
+      options: {
+        ...options,
+        properties: { ...options.properties, contentType: schemas.codec.contentTypeFor(encoding) }
+      }
+    };
+  }
+
+  static embedProperties(message, properties) {
+    try {
+      const payload = JSON.parse(message);
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return message;
+
+      const embedded = { ...payload };
+      if (properties.userProperties) {
+        embedded.meta = { ...payload.meta, ...properties.userProperties };
+      }
+      if (properties.messageExpiryInterval) {
+        embedded.expiresAt = new Date(Date.now() + properties.messageExpiryInterval * 1000).toISOString();
+      }
+      return JSON.stringify(embedded);
+    } catch (error) {
+      return message;
+    }
+  }
+
+  // True once a buffered message has outlived its MQTT 5 message expiry
+  static isExpired(entry) {
+    const expiry = entry.options.properties && entry.options.properties.messageExpiryInterval;
+    return !!expiry && Date.now() - entry.timestamp >= expiry * 1000;
+  }
+
+  setClock(clock) {
+    this.clock = clock;
+  }
 
-    return this.publish(topic, message, { qos, retain });
+  // Swaps the parser for topicMappings patterns; see lib/topic-templates.js
+  setTopicParser(parser) {
+    this.topicParser = parser;
+  }
+
+  // Named parameters of a topic that fits mapping `name` of any provider, the
+  // active one first (commands may still arrive in the other namespace around a
+  // failover). Returns { provider, params } or null.
+  parseTopic(name, topic) {
+    const mappings = this.config.topicMappings || {};
+    const providers = [this.activeProvider, ...Object.keys(mappings).filter(provider => provider !== this.activeProvider)];
+
+    for (const provider of providers) {
+      const mapping = mappings[provider] && mappings[provider][name];
+      const params = mapping && this.topicParser.match(mapping.pattern, topic);
+      if (params) return { provider, params };
+    }
+    return null;
+  }
+
+  // Subscription filter and QoS for mapping `name` on the active provider, with
+  // unspecified placeholders as wildcards
+  subscriptionFor(name, params = {}) {
+    const mapping = this.config.topicMappings[this.activeProvider][name];
+    if (!mapping) {
+      throw new Error(`No ${name} topic mapping for ${this.activeProvider}`);
+    }
+    return { topic: topicFilter(mapping.pattern, params, this.topicParser), qos: mapping.qos };
+  }
+
+  // subscriptionFor on every provider that maps `name`, active provider first.
+  // Senders don't have to follow the active broker's layout (the ops dashboard
+  // publishes control commands on the HiveMQ layout by default), and parseTopic
+  // reads every provider's. Subscribe to these with remap: false.
+  subscriptionsFor(name, params = {}) {
+    const mappings = this.config.topicMappings || {};
+    const providers = [this.activeProvider, ...Object.keys(mappings).filter(provider => provider !== this.activeProvider)];
+    const subscriptions = new Map();
+
+    providers.forEach(provider => {
+      const mapping = mappings[provider] && mappings[provider][name];
+      if (!mapping) return;
+      const topic = topicFilter(mapping.pattern, params, this.topicParser);
+      if (!subscriptions.has(topic)) subscriptions.set(topic, { topic, qos: mapping.qos });
+    });
+
+    if (subscriptions.size === 0) {
+      throw new Error(`No ${name} topic mapping for any provider`);
+    }
+    return Array.from(subscriptions.values());
+  }
+
+  // Vessel messages carry simulation time; link-level messages (heartbeat) stay on wall time
+  timestamp() {
+    return this.clock ? this.clock.toISOString() : new Date().toISOString();
   }
 
   publish(topic, message, options = {}) {
     return new Promise((resolve, reject) => {
-      const messageStr = JSON.stringify(message);
+      // Pre-serialized payloads (e.g. replayed recordings) go out byte for byte
+      const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
+      const { priority = 'normal', ...mqttOptions } = options;
       const publishOptions = {
-        qos: options.qos || 0,
-        retain: options.retain || false,
-        ...options
+        qos: mqttOptions.qos || 0,
+        retain: mqttOptions.retain || false,
+        ...mqttOptions
       };
 
-      if (!this.isConnected) {
-        // Buffer message for later delivery
-        const bufferedMessage = {
-          topic,
-          message: messageStr,
-          options: publishOptions,
-          timestamp: Date.now()
-        };
-        
-        this.messageBuffer.set(uuidv4(), bufferedMessage);
-        console.log(`📦 Message buffered (not connected): ${topic}`);
+      // Tap for the telemetry recorder: every outbound message, connected or not
+      this.emit('publish', { topic, message: messageStr, options: publishOptions });
+
+      if (!this.isConnected || this.flushing) {
+        // Buffer message for later delivery; while a flush runs, new messages queue
+        // behind the backlog so consumers still see them in publish order
+        this.messageBuffer.enqueue(topic, messageStr, publishOptions, priority, !this.isConnected);
+        console.log(`📦 Message buffered (${this.isConnected ? 'flush in progress' : 'not connected'}, ${priority}): ${topic}`);
         resolve({ buffered: true });
         return;
       }
 
-      this.client.publish(topic, messageStr, publishOptions, (error) => {
+      const outgoing = this.adaptForProtocol(messageStr, publishOptions);
+      this.client.publish(topic, outgoing.message, outgoing.options, (error) => {
         if (error) {
           console.error(`❌ Failed to publish to ${topic}:`, error.message);
           reject(error);
@@ -342,7 +746,7 @@ class MQTTClient {
           console.log(`✅ Published to ${topic}`, {
             qos: publishOptions.qos,
             retain: publishOptions.retain,
-            messageSize: messageStr.length
+            messageSize: outgoing.message.length
           });
           resolve({ published: true });
         }
@@ -350,43 +754,312 @@ class MQTTClient {
     });
   }
 
-  subscribe(topic, qos = 0) {
+  // Subscriptions are remembered and restored (remapped to the provider in use)
+  // after every reconnect or provider change. remap: false keeps the topic as given
+  // on every provider, for filters that are already one provider's layout on purpose.
+  subscribe(topic, qos = 0, { remap = true } = {}) {
     return new Promise((resolve, reject) => {
+      this.subscriptions.set(topic, { qos, remap });
+
       if (!this.isConnected) {
-        reject(new Error('MQTT client not connected'));
+        reject(new Error('MQTT client not connected - will subscribe on connect'));
         return;
       }
 
-      this.client.subscribe(topic, { qos }, (error) => {
+      const providerTopic = remap ? this.remapForActive(topic) : topic;
+      this.client.subscribe(providerTopic, { qos }, (error) => {
         if (error) {
-          console.error(`❌ Failed to subscribe to ${topic}:`, error.message);
+          console.error(`❌ Failed to subscribe to ${providerTopic}:`, error.message);
           reject(error);
         } else {
-          console.log(`✅ Subscribed to ${topic} (QoS ${qos})`);
+          console.log(`✅ Subscribed to ${providerTopic} (QoS ${qos})`);
           resolve({ subscribed: true });
         }
       });
     });
   }
 
-  flushMessageBuffer() {
-    if (this.messageBuffer.size === 0) return;
-    
+  restoreSubscriptions() {
+    this.subscriptions.forEach(({ qos, remap }, topic) => {
+      const providerTopic = remap ? this.remapForActive(topic) : topic;
+      this.client.subscribe(providerTopic, { qos }, (error) => {
+        if (error) {
+          console.error(`❌ Failed to restore subscription to ${providerTopic}:`, error.message);
+        }
+      });
+    });
+    if (this.subscriptions.size > 0) {
+      console.log(`✅ Restored ${this.subscriptions.size} subscriptions on ${this.activeProvider}`);
+    }
+  }
+
+  // Translates a topic written for any other provider into the active provider's
+  // namespace, so buffered messages and subscriptions survive a failover
+  remapForActive(topic) {
+    const mappings = this.config.topicMappings || {};
+    const target = mappings[this.activeProvider];
+
+    for (const provider of Object.keys(mappings)) {
+      if (provider === this.activeProvider) continue;
+      const remapped = remapTopic(topic, mappings[provider], target, this.topicParser);
+      if (remapped !== topic) return remapped;
+    }
+    return topic;
+  }
+
+  // Moves to the next provider in the order, wrapping around to the primary
+  failover(reason) {
+    const index = this.providerOrder.indexOf(this.activeProvider);
+    const next = this.providerOrder[(index + 1) % this.providerOrder.length];
+    this.switchProvider(next, reason);
+  }
+
+  switchProvider(provider, reason) {
+    const from = this.activeProvider;
+    if (provider === from) return;
+
+    console.log(`🔀 Switching MQTT provider: ${from} → ${provider} (${reason})`);
+    this.teardownClient();
+    if (provider !== this.primaryProvider) this.failovers++;
+    this.setupClient(provider);
+    this.presence.reconnect(provider);
+
+    if (provider === this.primaryProvider) {
+      this.stopProbe();
+    } else {
+      this.startProbe();
+    }
+
+    this.lastProviderChange = {
+      from,
+      to: provider,
+      reason,
+      primary: provider === this.primaryProvider,
+      timestamp: new Date().toISOString()
+    };
+    this.emit('provider_changed', this.lastProviderChange);
+  }
+
+  teardownClient() {
+    const client = this.client;
+    this.stopHeartbeat();
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+
+    // Abandon any flush on the old connection; the new one starts its own
+    this.flushGeneration++;
+    this.flushing = false;
+
+    client.removeAllListeners();
+    client.on('error', () => {}); // late socket errors from the abandoned connection
+    client.end(true);
+  }
+
+  // While on a fallback provider, the primary is probed with a short-lived
+  // connection; after failbackAfter healthy probes in a row we switch back
+  startProbe() {
+    if (this.probeTimer) return;
+    const probeInterval = (this.config.failover && this.config.failover.probeInterval) || 60000;
+    this.probeSuccesses = 0;
+    this.probeTimer = setInterval(() => this.probePrimary(), probeInterval);
+  }
+
+  stopProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+    this.probeSuccesses = 0;
+  }
+
+  probePrimary() {
+    if (this.probing) return;
+    this.probing = true;
+
+    const failover = this.config.failover || {};
+    const timeout = failover.probeTimeout || 10000;
+    const provider = this.primaryProvider;
+    const { brokerUrl, connectOptions } = this.buildConnectOptions(provider);
+    // No last will: the probe is dropped without a DISCONNECT
+    const { will, ...options } = connectOptions;
+
+    const probe = mqtt.connect(brokerUrl, {
+      ...options,
+      clientId: `${options.clientId}-probe`,
+      reconnectPeriod: 0,
+      connectTimeout: timeout
+    });
+
+    let settled = false;
+    const finish = (healthy, detail) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      probe.removeAllListeners();
+      probe.on('error', () => {});
+      probe.end(true);
+
+      this.probing = false;
+      this.lastProbe = { provider, healthy, detail: detail || null, timestamp: new Date().toISOString() };
+      this.handleProbeResult(healthy);
+    };
+    const timer = setTimeout(() => finish(false, 'timeout'), timeout);
+
+    probe.on('connect', () => finish(true));
+    probe.on('error', (error) => finish(false, error.message));
+    probe.on('close', () => finish(false, 'connection closed'));
+  }
+
+  handleProbeResult(healthy) {
+    if (!this.probeTimer) return; // switched back in the meantime
+
+    if (!healthy) {
+      this.probeSuccesses = 0;
+      return;
+    }
+
+    this.probeSuccesses++;
+    const failbackAfter = (this.config.failover && this.config.failover.failbackAfter) || 2;
+    console.log(`🩺 Primary ${this.primaryProvider} healthy (${this.probeSuccesses}/${failbackAfter})`);
+
+    if (this.probeSuccesses >= failbackAfter) {
+      this.switchProvider(this.primaryProvider, 'primary_recovered');
+    }
+  }
+
+  // Replays buffered messages in publish order with at most maxInflight unconfirmed
+  // publishes and at most flushRate per second. A message leaves the buffer only once
+  // the broker confirms it. On a failure the pass sends nothing more, and messages
+  // that were already in flight behind the failed one stay queued even if confirmed:
+  // after the backoff they are sent again behind it (same messageId), so the last
+  // copy consumers see is in publish order. Messages held back by an outage are
+  // tagged late so consumers can tell them from live data.
+  async flushMessageBuffer() {
+    if (this.flushing || this.messageBuffer.size === 0) return;
+
+    const quality = this.config.quality || {};
+    const maxInflight = quality.maxInflight || 20;
+    const minInterval = 1000 / (quality.flushRate || 50);
+    const backoff = { initial: 1000, max: 30000, ...quality.retryBackoff };
+    const maxRetries = quality.maxRetries || 3;
+
+    this.flushing = true;
+    const generation = this.flushGeneration;
+    let delay = backoff.initial;
     console.log(`📤 Flushing ${this.messageBuffer.size} buffered messages`);
-    
-    for (const [id, bufferedMessage] of this.messageBuffer) {
-      const { topic, message, options } = bufferedMessage;
-      
-      this.client.publish(topic, message, options, (error) => {
+
+    try {
+      while (this.isConnected && this.messageBuffer.size > 0 && this.flushGeneration === generation) {
+        // Messages published during a pass queue behind it and go out in the next one
+        const failed = await this.flushPass(maxInflight, minInterval, generation);
+        if (!failed) {
+          delay = backoff.initial;
+          continue;
+        }
+
+        // Critical messages (emergencies) are never given up on; they keep
+        // retrying at the backoff ceiling until the broker takes them
+        if (failed.attempts >= maxRetries && failed.priority !== 'critical') {
+          console.error(`❌ Giving up on buffered message ${failed.seq} to ${failed.topic} after ${failed.attempts} attempts`);
+          this.messageBuffer.discard(failed.seq);
+          continue;
+        }
+
+        console.log(`⏳ Retrying flush in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, backoff.max);
+      }
+    } finally {
+      if (this.flushGeneration === generation) this.flushing = false;
+    }
+
+    if (this.messageBuffer.size === 0) {
+      console.log('✅ Outbound buffer flushed');
+    }
+  }
+
+  // One pass over the buffer; resolves with the first failed entry, or null.
+  // Confirmed entries are removed at the end, up to the first failure.
+  async flushPass(maxInflight, minInterval, generation) {
+    const inflight = new Set();
+    const confirmed = [];
+    let failed = null;
+    let lastSent = 0;
+
+    for (const entry of this.messageBuffer.list()) {
+      if (failed || !this.isConnected || this.flushGeneration !== generation) break;
+
+      while (inflight.size >= maxInflight) {
+        await Promise.race(inflight);
+      }
+      const wait = lastSent + minInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      if (failed || !this.isConnected || this.flushGeneration !== generation) break;
+
+      if (MQTTClient.isExpired(entry)) {
+        console.warn(`⌛ Buffered message ${entry.seq} to ${entry.topic} expired before delivery`);
+        this.messageBuffer.expire(entry.seq);
+        continue;
+      }
+      lastSent = Date.now();
+
+      const publishing = this.publishBuffered(entry)
+        .then(() => confirmed.push(entry))
+        .catch(error => {
+          entry.attempts++;
+          console.error(`❌ Failed to flush message ${entry.seq}:`, error.message);
+          if (!failed || entry.seq < failed.seq) failed = entry;
+        })
+        .finally(() => inflight.delete(publishing));
+      inflight.add(publishing);
+    }
+
+    await Promise.all(inflight);
+    confirmed
+      .filter(entry => !failed || entry.seq < failed.seq)
+      .forEach(entry => this.messageBuffer.remove(entry.seq));
+    return failed;
+  }
+
+  publishBuffered(entry) {
+    return new Promise((resolve, reject) => {
+      const tagged = entry.late ? MQTTClient.tagLate(entry.message, entry.timestamp) : entry.message;
+      const { message, options } = this.adaptForProtocol(tagged, entry.options, entry.timestamp);
+
+      this.client.publish(this.remapForActive(entry.topic), message, options, (error) => {
         if (error) {
-          console.error(`❌ Failed to flush message ${id}:`, error.message);
+          reject(error);
         } else {
-          console.log(`✅ Flushed buffered message to ${topic}`);
+          resolve();
         }
       });
+    });
+  }
+
+  static tagLate(message, bufferedAt) {
+    try {
+      const payload = JSON.parse(message);
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return message;
+      return JSON.stringify({
+        ...payload,
+        late: true,
+        bufferedAt: new Date(bufferedAt).toISOString()
+      });
+    } catch (error) {
+      return message;
     }
-    
-    this.messageBuffer.clear();
+  }
+
+  // Vessels announce their presence (retained online status, per-vessel last will)
+  // and get a heartbeat for as long as they are tracked
+  addVessel(vesselId) {
+    this.presence.add(vesselId);
+  }
+
+  removeVessel(vesselId) {
+    this.presence.remove(vesselId);
   }
 
   startHeartbeat() {
@@ -394,17 +1067,23 @@ class MQTTClient {
     if (!heartbeatConfig || !heartbeatConfig.interval) return;
     
     this.heartbeatInterval = setInterval(() => {
-      const vesselId = 'control-system'; // Could be dynamic
-      const topic = heartbeatConfig.pattern.replace('{vesselId}', vesselId);
-      
-      const heartbeat = {
-        timestamp: new Date().toISOString(),
-        status: 'online',
-        uptime: process.uptime(),
-        memoryUsage: process.memoryUsage()
-      };
-      
-      this.publish(topic, heartbeat, { qos: heartbeatConfig.qos });
+      const memoryUsage = process.memoryUsage();
+
+      this.presence.vesselIds().forEach(vesselId => {
+        const topic = heartbeatConfig.pattern.replace('{vesselId}', vesselId);
+        const heartbeat = {
+          schemaVersion: schemas.SCHEMA_VERSION,
+          vesselId,
+          instanceId: this.instanceId,
+          timestamp: new Date().toISOString(),
+          status: 'online',
+          uptime: process.uptime(),
+          memoryUsage
+        };
+
+        this.publishValidated('heartbeat', topic, heartbeat, { qos: heartbeatConfig.qos, priority: 'bulk' })
+          .catch(error => console.error(`❌ Failed to publish heartbeat for ${vesselId}:`, error.message));
+      });
       this.lastHeartbeat = Date.now();
     }, heartbeatConfig.interval);
   }
@@ -423,21 +1102,37 @@ class MQTTClient {
       provider: this.activeProvider,
       reconnectAttempts: this.reconnectAttempts,
       bufferedMessages: this.messageBuffer.size,
+      buffer: this.messageBuffer.stats(),
       lastHeartbeat: this.lastHeartbeat,
       clientId: this.client?.options?.clientId,
-      broker: `${providerConfig.broker.protocol}://${providerConfig.broker.url}:${providerConfig.broker.port}`
+      instanceId: this.instanceId,
+      presence: this.presence.describe(),
+      broker: `${providerConfig.broker.protocol}://${providerConfig.broker.url}:${providerConfig.broker.port}`,
+      failover: {
+        providers: this.providerOrder,
+        primary: this.primaryProvider,
+        onPrimary: this.activeProvider === this.primaryProvider,
+        failovers: this.failovers,
+        lastProviderChange: this.lastProviderChange,
+        probeSuccesses: this.probeSuccesses,
+        lastProbe: this.lastProbe
+      }
     };
   }
 
+  // Resolves once every vessel has published its offline presence
   disconnect() {
     console.log('🔌 Disconnecting from MQTT broker...');
     this.stopHeartbeat();
+    this.stopProbe();
+    const presenceClosed = this.presence.shutdown();
     
     if (this.client) {
       this.client.end(true);
     }
     
     this.isConnected = false;
+    return presenceClosed;
   }
 
   // Event emitter functionality
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+// Priorities in the order they are protected: when a priority is full its own
+// oldest message is dropped, so telemetry can never push out an emergency
+const PRIORITIES = ['critical', 'normal', 'bulk'];
+
+const DEFAULT_LIMITS = {
+  critical: 1000,
+  normal: 2000,
+  bulk: 10000
+};
+
+// Disk-backed store-and-forward queue for messages published while the broker is
+// unreachable. Every change is appended to a journal file so a restart during an
+// outage picks up where it left off; the journal is compacted as it grows.
+class OutboundQueue {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+    this.entries = new Map(); // seq -> entry, insertion (= publish) order
+    this.depth = { critical: 0, normal: 0, bulk: 0 };
+    this.dropped = { critical: 0, normal: 0, bulk: 0 };
+    this.failed = 0;
+    this.expired = 0;
+    this.nextSeq = 1;
+    this.journalOps = 0;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // late marks messages held back by an outage (rather than just queued behind one)
+  enqueue(topic, message, options = {}, priority = 'normal', late = true) {
+    if (!PRIORITIES.includes(priority)) priority = 'normal';
+
+    if (this.depth[priority] >= this.limits[priority]) {
+      this.dropOldest(priority);
+    }
+
+    const entry = {
+      seq: this.nextSeq++,
+      topic,
+      message,
+      options,
+      priority,
+      late,
+      attempts: 0,
+      timestamp: Date.now()
+    };
+
+    this.entries.set(entry.seq, entry);
+    this.depth[priority]++;
+    this.append({ op: 'add', entry });
+    return entry;
+  }
+
+  // Entries in original publish order
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  remove(seq) {
+    const entry = this.entries.get(seq);
+    if (!entry) return false;
+
+    this.entries.delete(seq);
+    this.depth[entry.priority]--;
+    this.append({ op: 'remove', seq });
+    this.maybeCompact();
+    return true;
+  }
+
+  // Gives up on a message that exhausted its retries
+  discard(seq) {
+    if (this.remove(seq)) this.failed++;
+  }
+
+  // Drops a message whose expiry passed while it waited
+  expire(seq) {
+    if (this.remove(seq)) this.expired++;
+  }
+
+  dropOldest(priority) {
+    for (const entry of this.entries.values()) {
+      if (entry.priority === priority) {
+        this.remove(entry.seq);
+        this.dropped[priority]++;
+        console.warn(`⚠️ Outbound buffer full for ${priority} messages - dropped oldest (${entry.topic})`);
+        return;
+      }
+    }
+  }
+
+  stats() {
+    const oldest = this.entries.values().next().value;
+    return {
+      depth: this.entries.size,
+      byPriority: { ...this.depth },
+      limits: { ...this.limits },
+      dropped: { ...this.dropped },
+      failed: this.failed,
+      expired: this.expired,
+      oldestAgeSeconds: oldest ? Math.round((Date.now() - oldest.timestamp) / 1000) : 0,
+      persistent: !!this.filePath
+    };
+  }
+
+  append(record) {
+    if (!this.filePath) return;
+
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+      this.journalOps++;
+    } catch (error) {
+      console.error('❌ Failed to persist outbound buffer:', error.message);
+    }
+  }
+
+  // Rewrite the journal with only the live entries once removals dominate it
+  maybeCompact() {
+    if (!this.filePath || this.journalOps < 1000 || this.journalOps < this.entries.size * 2) return;
+    this.compact();
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      const lines = this.list().map(entry => JSON.stringify({ op: 'add', entry }) + '\n').join('');
+      fs.writeFileSync(tmpPath, lines);
+      fs.renameSync(tmpPath, this.filePath);
+      this.journalOps = this.entries.size;
+    } catch (error) {
+      console.error('❌ Failed to compact outbound buffer:', error.message);
+    }
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (record.op === 'add') {
+          this.entries.set(record.entry.seq, record.entry);
+          this.nextSeq = Math.max(this.nextSeq, record.entry.seq + 1);
+        } else if (record.op === 'remove') {
+          this.entries.delete(record.seq);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line; skip it
+        console.warn('⚠️ Skipping corrupt outbound buffer record');
+      }
+    });
+
+    this.entries.forEach(entry => {
+      entry.late = entry.late !== false;
+      entry.attempts = entry.attempts || 0;
+      this.depth[entry.priority]++;
+    });
+    this.compact();
+
+    if (this.entries.size > 0) {
+      console.log(`📦 Restored ${this.entries.size} buffered messages from ${this.filePath}`);
+    }
+  }
+}
+
+OutboundQueue.PRIORITIES = PRIORITIES;
+OutboundQueue.DEFAULT_LIMITS = DEFAULT_LIMITS;
+
+module.exports = OutboundQueue;
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+const EARTH_RADIUS_NM = 3440.065;
+
+// Steers each vessel along its route: waypoint to waypoint, docking at terminals,
+// then running the reverse route once the dwell time is over
+class RouteEngine {
+  constructor(configPath = path.join(__dirname, '../config/routes.json'), options = {}) {
+    this.routes = new Map();
+    this.clock = options.clock || { now: () => Date.now() };
+    this.settings = {
+      arrivalRadius: 0.2,
+      terminalApproachDistance: 1.0,
+      terminalApproachSpeed: 5,
+      departureRpm: 1500
+    };
+    this.loadRoutes(configPath);
+  }
+
+  loadRoutes(configPath) {
+    try {
+      const routeConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      this.settings = { ...this.settings, ...routeConfig.defaults };
+
+      Object.entries(routeConfig.routes || {}).forEach(([routeId, route]) => {
+        try {
+          this.addRoute(routeId, route);
+        } catch (error) {
+          console.error(`❌ Skipping route from route config: ${error.message}`);
+        }
+      });
+
+      console.log(`🗺️ Loaded ${this.routes.size} routes (${Array.from(this.routes.keys()).join(', ')})`);
+    } catch (error) {
+      console.error('Failed to load route configuration:', error.message);
+    }
+  }
+
+  // Registers a route and, when it names one, its reverse direction
+  addRoute(routeId, route) {
+    if (!route || typeof route !== 'object') {
+      throw new Error(`Route ${routeId} must be an object`);
+    }
+    if (!Array.isArray(route.waypoints) || route.waypoints.length < 2) {
+      throw new Error(`Route ${routeId} needs at least two waypoints`);
+    }
+
+    // Unnamed routes are labelled by their id
+    const name = typeof route.name === 'string' && route.name ? route.name : routeId;
+    this.routes.set(routeId, { routeId, ...route, name });
+
+    if (route.reverse && !this.routes.has(route.reverse)) {
+      const waypoints = route.waypoints.slice().reverse();
+      this.routes.set(route.reverse, {
+        routeId: route.reverse,
+        name: name === routeId ? route.reverse : name.split(' - ').reverse().join(' - '),
+        reverse: routeId,
+        // Speed limits belong to the leg approaching a waypoint, so shift them by one
+        waypoints: waypoints.map((waypoint, index) => ({
+          ...waypoint,
+          speedLimit: index > 0 ? waypoints[index - 1].speedLimit : undefined
+        }))
+      });
+    }
+  }
+
+  getRoute(routeId) {
+    return this.routes.get(routeId);
+  }
+
+  listRoutes() {
+    return Array.from(this.routes.values());
+  }
+
+  update(vessel, dtSeconds) {
+    const route = this.routes.get(vessel.state.navigation.route);
+    if (!route) return;
+
+    if (!vessel.voyage || vessel.voyage.routeId !== route.routeId) {
+      this.beginVoyage(vessel, route);
+    }
+
+    const voyage = vessel.voyage;
+    const state = vessel.state;
+
+    if (voyage.phase === 'docked') {
+      voyage.dwellRemaining -= dtSeconds;
+      if (voyage.dwellRemaining <= 0) {
+        this.depart(vessel, route);
+      }
+      return;
+    }
+
+    const waypoint = route.waypoints[voyage.waypointIndex];
+    const distance = RouteEngine.distanceNm(state.location, waypoint);
+
+    if (distance <= this.settings.arrivalRadius) {
+      this.arriveAt(vessel, route, waypoint);
+      return;
+    }
+
+    state.navigation.targetHeading = Math.round(RouteEngine.bearing(state.location, waypoint) * 10) / 10;
+    state.navigation.speedLimit = this.speedLimitFor(waypoint, distance);
+    state.navigation.distanceToWaypoint = Math.round(distance * 100) / 100;
+    state.navigation.eta = this.estimateArrival(vessel, route, distance);
+  }
+
+  // Picks up a route from wherever the vessel currently is
+  beginVoyage(vessel, route) {
+    const location = vessel.state.location;
+    let nearest = 0;
+    route.waypoints.forEach((waypoint, index) => {
+      if (RouteEngine.distanceNm(location, waypoint) < RouteEngine.distanceNm(location, route.waypoints[nearest])) {
+        nearest = index;
+      }
+    });
+
+    vessel.voyage = {
+      routeId: route.routeId,
+      phase: 'underway',
+      waypointIndex: nearest,
+      dwellRemaining: 0,
+      departureRpm: vessel.state.engine.rpm || this.settings.departureRpm,
+      lastTerminal: null
+    };
+
+    this.setNextWaypoint(vessel, route);
+  }
+
+  arriveAt(vessel, route, waypoint) {
+    const voyage = vessel.voyage;
+    const state = vessel.state;
+
+    if (!waypoint.terminal) {
+      voyage.waypointIndex++;
+      this.setNextWaypoint(vessel, route);
+      return;
+    }
+
+    // Dock: hold position at the berth and shut down propulsion
+    console.log(`⚓ ${vessel.vesselId} docked at ${waypoint.name}`);
+    voyage.phase = 'docked';
+    voyage.dwellRemaining = waypoint.dwellTime || 0;
+    voyage.lastTerminal = waypoint.name;
+    voyage.departureRpm = state.engine.rpm || voyage.departureRpm;
+
+    state.location.latitude = waypoint.latitude;
+    state.location.longitude = waypoint.longitude;
+    state.engine.rpm = 0;
+    state.navigation.speed = 0;
+    state.navigation.status = 'docked';
+    state.navigation.eta = 'At Dock';
+    state.navigation.distanceToWaypoint = 0;
+    state.power.shoreConnection = true;
+    delete state.navigation.targetHeading;
+    delete state.navigation.speedLimit;
+  }
+
+  depart(vessel, route) {
+    const voyage = vessel.voyage;
+    const state = vessel.state;
+
+    // Reaching the far terminal turns the vessel around onto the reverse route
+    if (voyage.waypointIndex === route.waypoints.length - 1 && route.reverse && this.routes.has(route.reverse)) {
+      const reverse = this.routes.get(route.reverse);
+      state.navigation.route = reverse.routeId;
+      voyage.routeId = reverse.routeId;
+      voyage.waypointIndex = 1;
+      route = reverse;
+    } else {
+      voyage.waypointIndex = Math.min(voyage.waypointIndex + 1, route.waypoints.length - 1);
+    }
+
+    console.log(`🚢 ${vessel.vesselId} departing ${voyage.lastTerminal} on ${route.routeId}`);
+    voyage.phase = 'underway';
+    state.engine.rpm = voyage.departureRpm;
+    state.navigation.status = 'underway';
+    state.power.shoreConnection = false;
+    this.setNextWaypoint(vessel, route);
+  }
+
+  setNextWaypoint(vessel, route) {
+    const waypoint = route.waypoints[vessel.voyage.waypointIndex];
+    const terminal = route.waypoints[route.waypoints.length - 1];
+    vessel.state.navigation.nextWaypoint = waypoint.name;
+    vessel.state.navigation.nextPort = terminal.name;
+    vessel.state.navigation.status = vessel.voyage.phase;
+  }
+
+  speedLimitFor(waypoint, distance) {
+    const limits = [];
+    if (waypoint.speedLimit) limits.push(waypoint.speedLimit);
+    if (waypoint.terminal && distance <= this.settings.terminalApproachDistance) {
+      limits.push(this.settings.terminalApproachSpeed);
+    }
+    return limits.length > 0 ? Math.min(...limits) : undefined;
+  }
+
+  // Remaining distance to the next terminal divided by current speed
+  estimateArrival(vessel, route, distanceToWaypoint) {
+    const speed = vessel.state.navigation.speed;
+    if (!speed || speed < 0.5) return null;
+
+    let remaining = distanceToWaypoint;
+    for (let i = vessel.voyage.waypointIndex; i < route.waypoints.length - 1; i++) {
+      remaining += RouteEngine.distanceNm(route.waypoints[i], route.waypoints[i + 1]);
+    }
+
+    return new Date(this.clock.now() + (remaining / speed) * 3600 * 1000).toISOString();
+  }
+
+  // Great-circle distance in nautical miles
+  static distanceNm(from, to) {
+    const lat1 = from.latitude * Math.PI / 180;
+    const lat2 = to.latitude * Math.PI / 180;
+    const dLat = lat2 - lat1;
+    const dLon = (to.longitude - from.longitude) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.asin(Math.sqrt(a));
+  }
+
+  // Initial true bearing in degrees
+  static bearing(from, to) {
+    const lat1 = from.latitude * Math.PI / 180;
+    const lat2 = to.latitude * Math.PI / 180;
+    const dLon = (to.longitude - from.longitude) * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+}
+
+module.exports = RouteEngine;
@@ -0,0 +1,405 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const FleetRegistry = require('./fleet-registry');
+
+// Built-in step actions; anything else must be supplied by the host as a custom action
+const BUILT_IN_ACTIONS = ['set', 'ramp', 'wait_for', 'log'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+
+// Runs timed scenario scripts (drills, demos) against fleet vessels. Time advances
+// with the simulation tick, so scenarios follow the simulation clock, not wall time.
+//
+// Each step has an `at` time ('30s', 't+2m', or seconds) and an action:
+//   set      { field, value }               field is a dot path into vessel state
+//   ramp     { field, rate, until|duration } rate is units per minute
+//   wait_for { field, equals|above|below, timeout? } holds the timeline until met
+//   log      { message }
+// plus any custom actions the host registers (trigger_fire, power_mode, ...).
+class ScenarioEngine extends EventEmitter {
+  constructor(fleet, options = {}) {
+    super();
+    this.fleet = fleet;
+    this.actions = options.actions || {};
+    this.scenarios = new Map();
+    this.runs = new Map();
+    this.maxFinishedRuns = options.maxFinishedRuns || 50;
+    // Field paths in scenarios are checked against a fresh vessel's state
+    this.stateTemplate = options.stateTemplate || FleetRegistry.createVesselState();
+
+    if (options.scenarioDir !== null) {
+      this.loadScenarios(options.scenarioDir || path.join(__dirname, '../scenarios'));
+    }
+  }
+
+  loadScenarios(scenarioDir) {
+    if (!fs.existsSync(scenarioDir)) return;
+
+    fs.readdirSync(scenarioDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          const definition = JSON.parse(fs.readFileSync(path.join(scenarioDir, file), 'utf8'));
+          this.addScenario({ id: path.basename(file, '.json'), ...definition });
+        } catch (error) {
+          console.error(`❌ Skipping scenario ${file}: ${error.message}`);
+        }
+      });
+
+    console.log(`🎬 Loaded ${this.scenarios.size} scenarios from ${scenarioDir}`);
+  }
+
+  // Validates a definition and compiles step times to seconds
+  addScenario(definition) {
+    if (!definition.id) throw new Error('Scenario id is required');
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      throw new Error(`Scenario ${definition.id} has no steps`);
+    }
+
+    const steps = definition.steps.map((step, index) => {
+      const known = BUILT_IN_ACTIONS.includes(step.action) || this.actions[step.action];
+      if (!known) {
+        throw new Error(`Step ${index}: unknown action '${step.action}'`);
+      }
+      if (['set', 'ramp', 'wait_for'].includes(step.action) && !step.field) {
+        throw new Error(`Step ${index}: ${step.action} needs a field`);
+      }
+      if (step.action === 'ramp' && (typeof step.rate !== 'number' || (step.until === undefined && !step.duration))) {
+        throw new Error(`Step ${index}: ramp needs a numeric rate and an until value or duration`);
+      }
+      if (['ramp', 'wait_for'].includes(step.action)) {
+        this.validateField(step, index);
+      }
+
+      return {
+        ...step,
+        index,
+        atSeconds: ScenarioEngine.parseDuration(step.at || 0),
+        durationSeconds: step.duration ? ScenarioEngine.parseDuration(step.duration) : null,
+        timeoutSeconds: step.timeout ? ScenarioEngine.parseDuration(step.timeout) : null
+      };
+    });
+
+    // Stable sort keeps file order for steps sharing a timestamp
+    steps.sort((a, b) => a.atSeconds - b.atSeconds || a.index - b.index);
+
+    const scenario = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      description: definition.description || '',
+      vesselId: definition.vesselId || null,
+      duration: steps[steps.length - 1].atSeconds,
+      steps
+    };
+
+    this.scenarios.set(scenario.id, scenario);
+    return scenario;
+  }
+
+  // Ramps need a numeric field every vessel starts with. wait_for may also watch
+  // fields the models add as they run (navigation.status), so only its section
+  // has to exist up front.
+  validateField(step, index) {
+    const keys = String(step.field).split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj == null ? undefined : obj[key]), this.stateTemplate);
+    const value = parent == null ? undefined : parent[keys[keys.length - 1]];
+
+    if (step.action === 'ramp' && typeof value !== 'number') {
+      throw new Error(`Step ${index}: ramp field ${step.field} is not a numeric vessel field`);
+    }
+    if (parent == null || typeof parent !== 'object') {
+      throw new Error(`Step ${index}: unknown field ${step.field}`);
+    }
+  }
+
+  listScenarios() {
+    return Array.from(this.scenarios.values()).map(scenario => ({
+      id: scenario.id,
+      name: scenario.name,
+      description: scenario.description,
+      vesselId: scenario.vesselId,
+      duration: scenario.duration,
+      steps: scenario.steps.length
+    }));
+  }
+
+  getScenario(scenarioId) {
+    return this.scenarios.get(scenarioId);
+  }
+
+  start(scenarioId, vesselId) {
+    const scenario = this.scenarios.get(scenarioId);
+    if (!scenario) throw new Error(`Scenario ${scenarioId} not found`);
+
+    const targetVesselId = vesselId || scenario.vesselId;
+    if (!targetVesselId || !this.fleet.hasVessel(targetVesselId)) {
+      throw new Error(`Vessel ${targetVesselId} not found`);
+    }
+
+    const run = {
+      runId: uuidv4(),
+      scenarioId,
+      vesselId: targetVesselId,
+      status: 'running',
+      startedAt: this.fleet.clock.toISOString(),
+      finishedAt: null,
+      elapsed: 0,
+      nextStep: 0,
+      waitingFor: null,
+      waitStarted: null,
+      ramps: [],
+      log: []
+    };
+
+    this.runs.set(run.runId, run);
+    this.appendLog(run, `Scenario '${scenario.name}' started on ${targetVesselId}`);
+    this.pruneRuns();
+    this.emit('run_updated', run);
+
+    // Steps at t+0 fire immediately rather than on the next tick
+    this.safeAdvanceRun(run, 0);
+    return run;
+  }
+
+  pause(runId) {
+    return this.setStatus(runId, 'paused', ['running']);
+  }
+
+  resume(runId) {
+    return this.setStatus(runId, 'running', ['paused']);
+  }
+
+  stop(runId) {
+    return this.setStatus(runId, 'stopped', ['running', 'paused']);
+  }
+
+  setStatus(runId, status, allowedFrom) {
+    const run = this.runs.get(runId);
+    if (!run) throw new Error(`Run ${runId} not found`);
+    if (!allowedFrom.includes(run.status)) {
+      throw new Error(`Run ${runId} is ${run.status}`);
+    }
+
+    run.status = status;
+    if (status === 'stopped') {
+      run.ramps = [];
+      run.finishedAt = this.fleet.clock.toISOString();
+    }
+    this.appendLog(run, `Run ${status}`);
+    this.emit('run_updated', run);
+    return run;
+  }
+
+  getRun(runId) {
+    return this.runs.get(runId);
+  }
+
+  listRuns() {
+    return Array.from(this.runs.values());
+  }
+
+  // Called once per simulation tick
+  advance(dtSeconds) {
+    this.runs.forEach(run => {
+      if (run.status === 'running') {
+        this.safeAdvanceRun(run, dtSeconds);
+      }
+    });
+  }
+
+  // A run whose steps throw (a field the vessel lacks) fails on its own
+  // instead of taking the simulation tick down with it
+  safeAdvanceRun(run, dtSeconds) {
+    try {
+      this.advanceRun(run, dtSeconds);
+    } catch (error) {
+      this.finish(run, 'failed', `Run failed: ${error.message}`);
+    }
+  }
+
+  advanceRun(run, dtSeconds) {
+    const scenario = this.scenarios.get(run.scenarioId);
+    const vessel = this.fleet.getVessel(run.vesselId);
+
+    if (!vessel) {
+      this.finish(run, 'failed', `Vessel ${run.vesselId} no longer in fleet`);
+      return;
+    }
+
+    this.applyRamps(run, vessel, dtSeconds);
+
+    // The timeline holds still while a wait_for step is unmet
+    if (run.waitingFor !== null) {
+      const step = scenario.steps[run.waitingFor];
+      run.waitStarted += dtSeconds;
+      if (!this.conditionMet(vessel, step)) {
+        if (step.timeoutSeconds && run.waitStarted >= step.timeoutSeconds) {
+          this.finish(run, 'failed', `Timed out waiting for ${step.field}`);
+        }
+        return;
+      }
+      this.appendLog(run, `Condition met: ${this.describeCondition(step)}`);
+      run.waitingFor = null;
+      run.nextStep++;
+    } else {
+      run.elapsed += dtSeconds;
+    }
+
+    while (run.nextStep < scenario.steps.length && scenario.steps[run.nextStep].atSeconds <= run.elapsed) {
+      const step = scenario.steps[run.nextStep];
+
+      if (step.action === 'wait_for' && !this.conditionMet(vessel, step)) {
+        run.waitingFor = run.nextStep;
+        run.waitStarted = 0;
+        this.appendLog(run, `Waiting for ${this.describeCondition(step)}`);
+        return;
+      }
+
+      try {
+        this.executeStep(run, vessel, step);
+      } catch (error) {
+        this.finish(run, 'failed', `Step ${step.index} (${step.action}) failed: ${error.message}`);
+        return;
+      }
+      run.nextStep++;
+    }
+
+    if (run.nextStep >= scenario.steps.length && run.ramps.length === 0) {
+      this.finish(run, 'completed', 'Scenario completed');
+    }
+  }
+
+  executeStep(run, vessel, step) {
+    switch (step.action) {
+      case 'set':
+        ScenarioEngine.setField(vessel.state, step.field, step.value);
+        this.appendLog(run, `Set ${step.field} = ${step.value}`);
+        break;
+      case 'ramp':
+        ScenarioEngine.getField(vessel.state, step.field); // validates the path
+        run.ramps.push({
+          field: step.field,
+          rate: step.rate,
+          until: step.until,
+          remaining: step.durationSeconds
+        });
+        this.appendLog(run, `Ramping ${step.field} at ${step.rate}/min`);
+        break;
+      case 'wait_for':
+        break;
+      case 'log':
+        this.appendLog(run, step.message || '');
+        break;
+      default:
+        this.actions[step.action](vessel, step);
+        this.appendLog(run, step.message || `Executed ${step.action}`);
+    }
+
+    vessel.state.timestamp = this.fleet.clock.toISOString();
+    this.emit('step', { run, step, vessel });
+  }
+
+  // Ramps move a numeric field at rate-per-minute until a target value or duration
+  applyRamps(run, vessel, dtSeconds) {
+    if (run.ramps.length === 0 || dtSeconds === 0) return;
+
+    run.ramps = run.ramps.filter(ramp => {
+      const current = ScenarioEngine.getField(vessel.state, ramp.field);
+      let next = current + ramp.rate * dtSeconds / 60;
+      let done = false;
+
+      if (ramp.until !== undefined && (ramp.rate >= 0 ? next >= ramp.until : next <= ramp.until)) {
+        next = ramp.until;
+        done = true;
+      }
+      if (ramp.remaining !== null) {
+        ramp.remaining -= dtSeconds;
+        if (ramp.remaining <= 0) done = true;
+      }
+
+      ScenarioEngine.setField(vessel.state, ramp.field, Math.round(next * 100) / 100);
+      if (done) this.appendLog(run, `Ramp on ${ramp.field} finished at ${ScenarioEngine.getField(vessel.state, ramp.field)}`);
+      return !done;
+    });
+  }
+
+  conditionMet(vessel, step) {
+    const value = ScenarioEngine.getField(vessel.state, step.field);
+    if (step.equals !== undefined) return value === step.equals;
+    if (step.above !== undefined) return value > step.above;
+    if (step.below !== undefined) return value < step.below;
+    return Boolean(value);
+  }
+
+  describeCondition(step) {
+    if (step.equals !== undefined) return `${step.field} = ${step.equals}`;
+    if (step.above !== undefined) return `${step.field} > ${step.above}`;
+    if (step.below !== undefined) return `${step.field} < ${step.below}`;
+    return step.field;
+  }
+
+  finish(run, status, message) {
+    run.status = status;
+    run.ramps = [];
+    run.finishedAt = this.fleet.clock.toISOString();
+    this.appendLog(run, message);
+    console.log(`🎬 Scenario run ${run.runId} (${run.scenarioId}) ${status}: ${message}`);
+    this.emit('run_updated', run);
+  }
+
+  appendLog(run, message) {
+    run.log.push({ elapsed: Math.round(run.elapsed * 10) / 10, timestamp: this.fleet.clock.toISOString(), message });
+    if (run.log.length > 200) run.log.shift();
+  }
+
+  // Keep every active run, but only the most recent finished ones
+  pruneRuns() {
+    const finished = this.listRuns().filter(run => !['running', 'paused'].includes(run.status));
+    finished.slice(0, Math.max(0, finished.length - this.maxFinishedRuns))
+      .forEach(run => this.runs.delete(run.runId));
+  }
+
+  describeRun(run) {
+    const scenario = this.scenarios.get(run.scenarioId);
+    return {
+      runId: run.runId,
+      scenarioId: run.scenarioId,
+      vesselId: run.vesselId,
+      status: run.status,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      elapsed: Math.round(run.elapsed * 10) / 10,
+      progress: `${Math.min(run.nextStep, scenario.steps.length)}/${scenario.steps.length}`,
+      waitingFor: run.waitingFor !== null ? this.describeCondition(scenario.steps[run.waitingFor]) : null,
+      activeRamps: run.ramps.map(ramp => ({ field: ramp.field, rate: ramp.rate, until: ramp.until })),
+      log: run.log
+    };
+  }
+
+  // Accepts seconds, '90s', '2m', '1h' and the 't+2m' timeline form
+  static parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value).trim().match(/^(?:t\+)?(\d+(?:\.\d+)?)\s*([smh]?)$/i);
+    if (!match) throw new Error(`Invalid time '${value}'`);
+    return parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+  }
+
+  static getField(target, fieldPath) {
+    const value = fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), target);
+    if (value === undefined) throw new Error(`Unknown field ${fieldPath}`);
+    return value;
+  }
+
+  static setField(target, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), target);
+    if (!parent || !(last in parent)) throw new Error(`Unknown field ${fieldPath}`);
+    parent[last] = value;
+  }
+}
+
+module.exports = ScenarioEngine;
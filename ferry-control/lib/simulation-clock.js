@@ -0,0 +1,104 @@
+const EventEmitter = require('events');
+
+const MAX_RATE = 600;
+const MAX_STEP_SECONDS = 3600;
+
+// Simulation time source. Runs in real time, accelerated (rate > 1) or paused, and
+// can be single-stepped while paused. Simulated time only moves when the fleet
+// consumes it through elapse()/advance(), so every model update, telemetry message
+// and timestamp sees the same, consistent time.
+class SimulationClock extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.simTime = options.startTime || Date.now();
+    this.rate = 1;
+    this.paused = false;
+    this.lastWall = Date.now();
+    this.carry = 0; // ms of simulated time owed but not yet consumed
+
+    if (options.rate) this.setRate(options.rate);
+    if (options.paused) this.pause();
+  }
+
+  get mode() {
+    if (this.paused) return 'paused';
+    return this.rate === 1 ? 'realtime' : 'accelerated';
+  }
+
+  now() {
+    return this.simTime;
+  }
+
+  toISOString() {
+    return new Date(this.simTime).toISOString();
+  }
+
+  // Simulated ms owed since the last call, for the caller to advance through
+  elapse() {
+    this.accrue();
+    const owed = this.carry;
+    this.carry = 0;
+    return owed;
+  }
+
+  advance(ms) {
+    this.simTime += ms;
+  }
+
+  setRate(rate) {
+    if (typeof rate !== 'number' || !(rate > 0) || rate > MAX_RATE) {
+      throw new Error(`Rate must be greater than 0 and at most ${MAX_RATE}`);
+    }
+    this.accrue();
+    this.rate = rate;
+    this.paused = false;
+    this.emit('change', this.describe());
+  }
+
+  pause() {
+    this.accrue();
+    this.paused = true;
+    this.emit('change', this.describe());
+  }
+
+  resume() {
+    this.accrue();
+    this.paused = false;
+    this.emit('change', this.describe());
+  }
+
+  // Only meaningful while paused; advances simulated time by a fixed amount
+  step(seconds) {
+    if (!this.paused) {
+      throw new Error('Clock must be paused to single-step');
+    }
+    if (typeof seconds !== 'number' || !(seconds > 0) || seconds > MAX_STEP_SECONDS) {
+      throw new Error(`Step must be greater than 0 and at most ${MAX_STEP_SECONDS} seconds`);
+    }
+    this.carry += seconds * 1000;
+    this.emit('step', seconds);
+  }
+
+  accrue() {
+    const wallNow = Date.now();
+    if (!this.paused) {
+      this.carry += (wallNow - this.lastWall) * this.rate;
+    }
+    this.lastWall = wallNow;
+  }
+
+  describe() {
+    return {
+      mode: this.mode,
+      rate: this.rate,
+      time: this.toISOString(),
+      wallTime: new Date().toISOString(),
+      offsetSeconds: Math.round((this.simTime - Date.now()) / 1000)
+    };
+  }
+}
+
+SimulationClock.MAX_RATE = MAX_RATE;
+SimulationClock.MAX_STEP_SECONDS = MAX_STEP_SECONDS;
+
+module.exports = SimulationClock;
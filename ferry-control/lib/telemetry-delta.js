@@ -0,0 +1,134 @@
+// Delta telemetry. Between keyframes (the full payload, every keyframeInterval of
+// simulated time or when a consumer asks for one) only the fields that moved
+// beyond their deadband since they were last sent go out. Comparing against the
+// last value sent rather than the last tick lets slow drift add up until it
+// crosses the deadband. Every message carries a per-vessel sequence number, and
+// deltas name their keyframe, so consumers can spot a gap and ask for a resync.
+// A frame that fails to publish is given back (rollback), so a failed publish
+// neither uses up a sequence number nor counts its changes as sent.
+
+// Sent with every message, whether or not they changed
+const FRAME_FIELDS = ['schemaVersion', 'vesselId', 'timestamp', 'messageId'];
+
+class TelemetryDeltaEncoder {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.keyframeInterval = options.keyframeInterval || 300000; // simulated ms
+    this.resyncHoldoff = options.resyncHoldoff || 2000; // wall ms between requested keyframes
+    this.deadbands = options.deadbands || {}; // dot path -> minimum change
+    this.clock = options.clock || { now: () => Date.now() };
+    this.vessels = new Map(); // vesselId -> { seq, keyframe, keyframeAt, keyframeSentAt, sent, keyframeRequested, undo }
+  }
+
+  // Returns { type: 'keyframe' | 'delta', message }
+  encode(vesselId, payload) {
+    const now = this.clock.now();
+    let entry = this.vessels.get(vesselId);
+    if (!entry) {
+      entry = { seq: -1, keyframe: null, keyframeAt: null, keyframeSentAt: null, sent: null, keyframeRequested: false, undo: null };
+      this.vessels.set(vesselId, entry);
+    }
+    const { undo, ...previous } = entry;
+    entry.undo = previous;
+    entry.seq++;
+
+    const keyframeDue = !this.enabled || !entry.sent || entry.keyframeRequested ||
+      now - entry.keyframeAt >= this.keyframeInterval;
+
+    if (keyframeDue) {
+      entry.keyframe = entry.seq;
+      entry.keyframeAt = now;
+      entry.keyframeSentAt = Date.now();
+      entry.keyframeRequested = false;
+      entry.sent = JSON.parse(JSON.stringify(payload));
+      return { type: 'keyframe', message: { ...payload, frame: { type: 'keyframe', seq: entry.seq } } };
+    }
+
+    const changes = {};
+    entry.sent = JSON.parse(JSON.stringify(entry.sent)); // previous baseline is kept for rollback
+    this.diff(entry.sent, payload, '', changes);
+    const message = { ...changes, frame: { type: 'delta', seq: entry.seq, keyframe: entry.keyframe } };
+    FRAME_FIELDS.forEach(field => {
+      if (payload[field] !== undefined) message[field] = payload[field];
+    });
+    return { type: 'delta', message };
+  }
+
+  // Collects changed fields into changes and records them as sent
+  diff(sent, current, prefix, changes) {
+    Object.keys(current).forEach(key => {
+      if (!prefix && FRAME_FIELDS.includes(key)) return;
+      const path = prefix ? `${prefix}.${key}` : key;
+      const value = current[key];
+
+      if (isObject(value) && isObject(sent[key])) {
+        const nested = {};
+        this.diff(sent[key], value, path, nested);
+        if (Object.keys(nested).length > 0) changes[key] = nested;
+      } else if (this.changed(path, sent[key], value)) {
+        changes[key] = value;
+        sent[key] = isObject(value) ? JSON.parse(JSON.stringify(value)) : value;
+      }
+    });
+
+    // Fields that disappeared (e.g. a dropped reading) are sent as null
+    Object.keys(sent).forEach(key => {
+      if (!prefix && FRAME_FIELDS.includes(key)) return;
+      if (current[key] === undefined) {
+        changes[key] = null;
+        delete sent[key];
+      }
+    });
+  }
+
+  changed(path, previous, value) {
+    if (typeof value === 'number' && typeof previous === 'number' && Number.isFinite(value) && Number.isFinite(previous)) {
+      return Math.abs(value - previous) > (this.deadbands[path] || 0);
+    }
+    return JSON.stringify(value) !== JSON.stringify(previous);
+  }
+
+  // Gives back a frame whose publish failed. Only the latest frame can be undone;
+  // if later frames were encoded on top of it, the next message is a keyframe instead.
+  rollback(vesselId, seq) {
+    const entry = this.vessels.get(vesselId);
+    if (!entry || seq > entry.seq) return;
+    if (seq === entry.seq && entry.undo) {
+      Object.assign(entry, entry.undo, { undo: null });
+    } else {
+      entry.keyframeRequested = true;
+    }
+  }
+
+  // Makes the vessel's next message a keyframe. Requests right after a keyframe
+  // are turned down, so a crowd of consumers resyncing at once gets one keyframe.
+  requestKeyframe(vesselId) {
+    const entry = this.vessels.get(vesselId);
+    if (!entry) return true;
+    if (entry.keyframeSentAt && Date.now() - entry.keyframeSentAt < this.resyncHoldoff) return false;
+    entry.keyframeRequested = true;
+    return true;
+  }
+
+  forget(vesselId) {
+    this.vessels.delete(vesselId);
+  }
+
+  describe() {
+    return {
+      enabled: this.enabled,
+      keyframeInterval: this.keyframeInterval,
+      vessels: Array.from(this.vessels.entries()).map(([vesselId, entry]) => ({
+        vesselId,
+        seq: entry.seq,
+        keyframe: entry.keyframe
+      }))
+    };
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = TelemetryDeltaEncoder;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const RECORDING_FORMAT = 'ferry-mqtt-recording';
+
+// Captures every message MQTTClient publishes (topic, raw payload, QoS, retain and
+// timing) to a JSON Lines file. The first line is a header carrying the provider
+// and its topic mappings so a replay can translate topics for another broker.
+class TelemetryRecorder {
+  constructor(mqttClient, options = {}) {
+    this.mqttClient = mqttClient;
+    this.recordingDir = options.recordingDir || path.join(__dirname, '../recordings');
+    this.clock = options.clock || null;
+    this.active = null;
+    this.onPublish = this.onPublish.bind(this);
+  }
+
+  start(name) {
+    if (this.active) {
+      throw new Error(`Recording ${this.active.name} already in progress`);
+    }
+    const file = TelemetryRecorder.resolveFile(this.recordingDir, name);
+    if (fs.existsSync(file)) {
+      throw new Error(`Recording ${name} already exists`);
+    }
+
+    fs.mkdirSync(this.recordingDir, { recursive: true });
+    const stream = fs.createWriteStream(file, { flags: 'wx' });
+    stream.on('error', (error) => console.error(`❌ Recording ${name} write failed:`, error.message));
+
+    const provider = this.mqttClient.activeProvider;
+    this.active = {
+      name,
+      file,
+      stream,
+      provider,
+      startedAt: new Date().toISOString(),
+      startWall: Date.now(),
+      messages: 0
+    };
+
+    stream.write(JSON.stringify({
+      type: 'header',
+      format: RECORDING_FORMAT,
+      version: 1,
+      name,
+      provider,
+      startedAt: this.active.startedAt,
+      simulationTime: this.clock ? this.clock.toISOString() : null,
+      topicMappings: this.mqttClient.config.topicMappings
+    }) + '\n');
+
+    this.mqttClient.on('publish', this.onPublish);
+    console.log(`⏺️ Recording MQTT stream to ${file}`);
+    return this.status();
+  }
+
+  onPublish({ topic, message, options }) {
+    if (!this.active) return;
+
+    this.active.stream.write(JSON.stringify({
+      t: Date.now() - this.active.startWall,
+      topic,
+      qos: options.qos || 0,
+      retain: !!options.retain,
+      payload: message
+    }) + '\n');
+    this.active.messages++;
+  }
+
+  stop() {
+    if (!this.active) {
+      throw new Error('No recording in progress');
+    }
+
+    const summary = { ...this.status(), recording: false };
+    this.mqttClient.off('publish', this.onPublish);
+    this.active.stream.end();
+    this.active = null;
+
+    console.log(`⏹️ Recording ${summary.name} stopped after ${summary.messages} messages`);
+    return summary;
+  }
+
+  status() {
+    if (!this.active) return { recording: false };
+    return {
+      recording: true,
+      name: this.active.name,
+      provider: this.active.provider,
+      startedAt: this.active.startedAt,
+      duration: Math.round((Date.now() - this.active.startWall) / 1000),
+      messages: this.active.messages
+    };
+  }
+
+  list() {
+    if (!fs.existsSync(this.recordingDir)) return [];
+
+    return fs.readdirSync(this.recordingDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => {
+        const stats = fs.statSync(path.join(this.recordingDir, file));
+        return {
+          name: path.basename(file, '.jsonl'),
+          size: stats.size,
+          modifiedAt: stats.mtime.toISOString()
+        };
+      });
+  }
+
+  // Reads a recording back as { header, messages }
+  static load(file) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    const header = JSON.parse(lines.shift() || '{}');
+    if (header.type !== 'header' || header.format !== RECORDING_FORMAT) {
+      throw new Error(`${path.basename(file)} is not an MQTT recording`);
+    }
+
+    return {
+      header,
+      messages: lines.map(line => JSON.parse(line))
+    };
+  }
+
+  static resolveFile(recordingDir, name) {
+    if (!name || !RECORDING_NAME_PATTERN.test(name)) {
+      throw new Error('Recording name must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    return path.join(recordingDir, `${name}.jsonl`);
+  }
+}
+
+module.exports = TelemetryRecorder;
@@ -0,0 +1,141 @@
+const EventEmitter = require('events');
+const TelemetryRecorder = require('./telemetry-recorder');
+const { remapTopic } = require('./topic-templates');
+
+const MAX_SPEED = 1000;
+
+// Publishes a recorded MQTT stream through an MQTTClient with the original spacing
+// (divided by speed). Topics are translated from the recording's provider to the
+// client's provider using the topic mappings, so a HiveMQ capture can be replayed
+// against Mosquitto and vice versa.
+class TelemetryReplayer extends EventEmitter {
+  constructor(mqttClient) {
+    super();
+    this.mqttClient = mqttClient;
+    this.active = null;
+  }
+
+  start(file, options = {}) {
+    if (this.active) {
+      throw new Error(`Replay of ${this.active.name} already running`);
+    }
+
+    const speed = options.speed === undefined ? 1 : options.speed;
+    if (typeof speed !== 'number' || !(speed > 0) || speed > MAX_SPEED) {
+      throw new Error(`Speed must be greater than 0 and at most ${MAX_SPEED}`);
+    }
+
+    const { header, messages } = TelemetryRecorder.load(file);
+    if (messages.length === 0) {
+      throw new Error(`Recording ${header.name} has no messages`);
+    }
+
+    const targetMappings = this.mqttClient.config.topicMappings[this.mqttClient.activeProvider];
+    const sourceMappings = (header.topicMappings || {})[header.provider];
+
+    this.active = {
+      name: header.name,
+      sourceProvider: header.provider,
+      targetProvider: this.mqttClient.activeProvider,
+      speed,
+      loop: !!options.loop,
+      messages: messages.map(entry => ({
+        ...entry,
+        topic: remapTopic(entry.topic, sourceMappings, targetMappings)
+      })),
+      index: 0,
+      passes: 0,
+      published: 0,
+      startWall: Date.now(),
+      timer: null
+    };
+
+    console.log(`▶️ Replaying ${header.name} (${messages.length} messages, ${header.provider} → ${this.active.targetProvider}) at ${speed}x`);
+    this.emit('started', this.status());
+    this.scheduleNext();
+    return this.status();
+  }
+
+  // Schedules against the replay start rather than the previous message so delays don't drift
+  scheduleNext() {
+    const replay = this.active;
+    if (!replay) return;
+
+    if (replay.index >= replay.messages.length) {
+      replay.passes++;
+      if (!replay.loop) {
+        this.finish('completed');
+        return;
+      }
+      replay.index = 0;
+      replay.startWall = Date.now();
+    }
+
+    const entry = replay.messages[replay.index];
+    const delay = Math.max(0, replay.startWall + entry.t / replay.speed - Date.now());
+
+    replay.timer = setTimeout(() => {
+      replay.index++;
+      replay.published++;
+      this.mqttClient.publish(entry.topic, entry.payload, { qos: entry.qos, retain: entry.retain })
+        .catch(error => console.error(`❌ Replay publish to ${entry.topic} failed:`, error.message));
+      this.scheduleNext();
+    }, delay);
+  }
+
+  // Jumps to the first message recorded at or after seconds into the recording
+  seek(seconds) {
+    const replay = this.active;
+    if (!replay) {
+      throw new Error('No replay running');
+    }
+    if (typeof seconds !== 'number' || !(seconds >= 0)) {
+      throw new Error('Position must be a number of seconds from the start of the recording');
+    }
+
+    const offset = seconds * 1000;
+    const index = replay.messages.findIndex(entry => entry.t >= offset);
+    clearTimeout(replay.timer);
+    replay.index = index === -1 ? replay.messages.length : index;
+    replay.startWall = Date.now() - offset / replay.speed;
+
+    console.log(`⏩ Replay of ${replay.name} moved to ${seconds}s (${replay.index}/${replay.messages.length})`);
+    this.scheduleNext();
+    return this.status();
+  }
+
+  stop() {
+    if (!this.active) {
+      throw new Error('No replay running');
+    }
+    return this.finish('stopped');
+  }
+
+  finish(reason) {
+    const summary = { ...this.status(), result: reason };
+    clearTimeout(this.active.timer);
+    this.active = null;
+
+    console.log(`⏹️ Replay of ${summary.name} ${reason} after ${summary.published} messages`);
+    this.emit('finished', summary);
+    return summary;
+  }
+
+  status() {
+    if (!this.active) return { replaying: false };
+    const replay = this.active;
+    return {
+      replaying: true,
+      name: replay.name,
+      sourceProvider: replay.sourceProvider,
+      targetProvider: replay.targetProvider,
+      speed: replay.speed,
+      loop: replay.loop,
+      position: `${replay.index}/${replay.messages.length}`,
+      passes: replay.passes,
+      published: replay.published
+    };
+  }
+}
+
+module.exports = TelemetryReplayer;
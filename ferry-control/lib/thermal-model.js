@@ -0,0 +1,84 @@
+// First-order engine coolant temperature model: temperature relaxes towards a
+// load-dependent equilibrium, faster while warming than while cooling down
+
+const THERMAL_PROFILE = {
+  ambient: 15,             // °C engine room at rest
+  thermostat: 78,          // °C equilibrium at idle
+  loadRise: 14,            // °C extra at rated RPM
+  coolingFailureRise: 55,  // °C extra equilibrium with the cooling circuit failed
+  ratedRpm: 1800,
+  warmUpTime: 300,         // s time constant while heating
+  coolDownTime: 900,       // s time constant while cooling
+  coolingFailureTime: 600  // s time constant with cooling failed
+};
+
+class ThermalModel {
+  constructor(profile = {}) {
+    this.profile = { ...THERMAL_PROFILE, ...profile };
+  }
+
+  getThermalState(vessel) {
+    if (!vessel.thermal) {
+      vessel.thermal = { coolingFailure: false, override: null };
+    }
+    return vessel.thermal;
+  }
+
+  setCoolingFailure(vessel, active) {
+    const thermal = this.getThermalState(vessel);
+    thermal.coolingFailure = !!active;
+    console.log(`🌡️ ${vessel.vesselId} cooling failure ${thermal.coolingFailure ? 'injected' : 'cleared'}`);
+  }
+
+  // Holds the engine at a fixed temperature until cleared with null; the model
+  // carries on from the held value afterwards
+  setOverride(vessel, temperature) {
+    const thermal = this.getThermalState(vessel);
+    thermal.override = temperature === null ? null : temperature;
+    if (thermal.override !== null) {
+      thermal.temperature = vessel.state.engine.temperature = thermal.publishedTemperature = temperature;
+    }
+    console.log(`🌡️ ${vessel.vesselId} temperature override ${thermal.override !== null ? `held at ${temperature}°C` : 'cleared'}`);
+  }
+
+  // Temperature the engine settles at for the current RPM and cooling condition
+  equilibrium(vessel) {
+    const p = this.profile;
+    const rpm = Math.max(0, vessel.state.engine.rpm || 0);
+
+    if (rpm === 0) return p.ambient;
+
+    const load = Math.min(rpm / p.ratedRpm, 1.1);
+    const failureRise = this.getThermalState(vessel).coolingFailure ? p.coolingFailureRise : 0;
+    return p.thermostat + p.loadRise * load + failureRise;
+  }
+
+  update(vessel, dtSeconds) {
+    const p = this.profile;
+    const thermal = this.getThermalState(vessel);
+    const engine = vessel.state.engine;
+
+    if (thermal.override !== null && thermal.override !== undefined) {
+      engine.temperature = thermal.temperature = thermal.publishedTemperature = thermal.override;
+      return;
+    }
+
+    // Same precision tracking as the energy model: resync after an override
+    if (thermal.temperature === undefined || engine.temperature !== thermal.publishedTemperature) {
+      thermal.temperature = engine.temperature;
+    }
+
+    const target = this.equilibrium(vessel);
+    let timeConstant = target > thermal.temperature ? p.warmUpTime : p.coolDownTime;
+    if (thermal.coolingFailure && engine.rpm > 0) {
+      timeConstant = p.coolingFailureTime;
+    }
+
+    thermal.temperature += (target - thermal.temperature) * (1 - Math.exp(-dtSeconds / timeConstant));
+    engine.temperature = thermal.publishedTemperature = Math.round(thermal.temperature * 10) / 10;
+  }
+}
+
+ThermalModel.THERMAL_PROFILE = THERMAL_PROFILE;
+
+module.exports = ThermalModel;
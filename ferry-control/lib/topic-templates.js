@@ -0,0 +1,73 @@
+// Helpers for the topic patterns in topicMappings, e.g.
+// "ferry/vessel/{vesselId}/status/{component}". A placeholder matches exactly one
+// topic level, so MQTT single-level wildcards (+) pass through a remap unchanged.
+//
+// The MQTT client parses topics through a parser object ({ match, fill,
+// placeholders }); templateParser below is the default, and a provider with a
+// different pattern syntax can bring its own (MQTTClient.setTopicParser).
+
+// Returns the placeholder values for a topic, or null if it doesn't fit the pattern
+function matchPattern(pattern, topic) {
+  const keys = [];
+  const regex = new RegExp('^' + pattern
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (placeholder, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '$');
+
+  const match = topic.match(regex);
+  if (!match) return null;
+  return keys.reduce((params, key, index) => ({ ...params, [key]: match[index + 1] }), {});
+}
+
+function fillPattern(pattern, params) {
+  return pattern.replace(/\{(\w+)\}/g, (placeholder, key) => params[key] ?? placeholder);
+}
+
+function placeholders(pattern) {
+  return Array.from(pattern.matchAll(/\{(\w+)\}/g), match => match[1]);
+}
+
+const templateParser = { match: matchPattern, fill: fillPattern, placeholders };
+
+// Subscription filter for a pattern: the given parameters filled in, every other
+// placeholder a single-level wildcard
+function topicFilter(pattern, params = {}, parser = templateParser) {
+  const wildcards = parser.placeholders(pattern).reduce((all, key) => ({ ...all, [key]: '+' }), {});
+  return parser.fill(pattern, { ...wildcards, ...params });
+}
+
+// Translates a topic from one provider's mappings to another's. A trailing suffix
+// (such as /ack on a control topic) is carried over; topics that match no mapping
+// are returned as they are.
+function remapTopic(topic, sourceMappings, targetMappings, parser = templateParser) {
+  if (!sourceMappings || !targetMappings || sourceMappings === targetMappings) return topic;
+
+  for (const [name, mapping] of Object.entries(sourceMappings)) {
+    const target = targetMappings[name];
+    if (!target) continue;
+
+    const params = parser.match(mapping.pattern, topic);
+    if (params) {
+      return parser.fill(target.pattern, params);
+    }
+
+    const prefix = matchPrefix(mapping.pattern, topic, parser);
+    if (prefix) {
+      return parser.fill(target.pattern, prefix.params) + prefix.suffix;
+    }
+  }
+  return topic;
+}
+
+function matchPrefix(pattern, topic, parser) {
+  const depth = pattern.split('/').length;
+  const levels = topic.split('/');
+  if (levels.length <= depth) return null;
+
+  const params = parser.match(pattern, levels.slice(0, depth).join('/'));
+  return params ? { params, suffix: '/' + levels.slice(depth).join('/') } : null;
+}
+
+module.exports = { matchPattern, fillPattern, placeholders, templateParser, topicFilter, remapTopic };
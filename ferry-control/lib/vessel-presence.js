@@ -0,0 +1,155 @@
+const mqtt = require('mqtt');
+const schemas = require('ferry-schemas');
+
+// How long a clean close waits for the broker to confirm the offline status
+const CLOSE_TIMEOUT = 5000;
+
+// MQTT allows one last will per connection, so each vessel gets a small presence
+// connection of its own next to the shared publishing connection. Its will is a
+// retained offline status on the vessel's presence topic, which the broker publishes
+// as soon as the link (or the whole simulator) dies. When the link comes up it
+// replaces that with a retained online status.
+class VesselPresence {
+  constructor(mqttClient) {
+    this.mqttClient = mqttClient;
+    this.links = new Map(); // vesselId -> { client, provider, connected, since }
+  }
+
+  get instanceId() {
+    return this.mqttClient.instanceId;
+  }
+
+  add(vesselId) {
+    if (this.links.has(vesselId)) return;
+    this.connect(vesselId, this.mqttClient.activeProvider);
+  }
+
+  // A removed vessel goes offline cleanly, so its will is not needed
+  remove(vesselId) {
+    const link = this.links.get(vesselId);
+    if (!link) return Promise.resolve();
+    this.links.delete(vesselId);
+    return this.close(vesselId, link, 'removed');
+  }
+
+  // Resolves once every vessel's offline status is out (or CLOSE_TIMEOUT passed),
+  // so the process can exit without losing them
+  shutdown() {
+    const closing = Array.from(this.links.entries()).map(([vesselId, link]) => this.close(vesselId, link, 'shutdown'));
+    this.links.clear();
+    return Promise.all(closing);
+  }
+
+  // Follows the publishing connection to another provider. The old links are dropped
+  // without a DISCONNECT, so if that broker is still up its subscribers see the will.
+  reconnect(provider = this.mqttClient.activeProvider) {
+    Array.from(this.links.entries()).forEach(([vesselId, link]) => {
+      if (link.provider === provider) return;
+      this.drop(link);
+      this.connect(vesselId, provider);
+    });
+  }
+
+  connect(vesselId, provider) {
+    const topic = this.topicFor(vesselId, provider);
+    const { brokerUrl, connectOptions } = this.mqttClient.buildConnectOptions(provider, `${this.instanceId}-${vesselId}`);
+
+    // The will's timestamp is when the link registered it; receivers should use
+    // the time it arrives
+    const client = mqtt.connect(brokerUrl, {
+      ...connectOptions,
+      will: {
+        topic,
+        payload: JSON.stringify(this.message(vesselId, 'offline', 'connection_lost')),
+        qos: 1,
+        retain: true
+      }
+    });
+
+    const link = { client, provider, connected: false, since: null };
+    this.links.set(vesselId, link);
+
+    client.on('connect', () => {
+      link.connected = true;
+      link.since = new Date().toISOString();
+      client.publish(topic, JSON.stringify(this.message(vesselId, 'online')), { qos: 1, retain: true });
+      console.log(`🟢 Presence for ${vesselId} online on ${provider}`);
+    });
+    client.on('close', () => {
+      link.connected = false;
+    });
+    client.on('error', (error) => {
+      console.error(`❌ Presence connection for ${vesselId} failed:`, error.message);
+    });
+  }
+
+  close(vesselId, link, reason) {
+    const { client } = link;
+    if (!link.connected) {
+      this.drop(link);
+      return Promise.resolve();
+    }
+
+    client.removeAllListeners();
+    client.on('error', () => {});
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        console.warn(`⚠️ Offline status for ${vesselId} not confirmed - closing anyway`);
+        client.end(true);
+        resolve();
+      }, CLOSE_TIMEOUT);
+
+      client.publish(
+        this.topicFor(vesselId, link.provider),
+        JSON.stringify(this.message(vesselId, 'offline', reason)),
+        { qos: 1, retain: true },
+        () => {
+          clearTimeout(timer);
+          client.end(false, {}, resolve);
+        }
+      );
+    });
+  }
+
+  drop(link) {
+    link.client.removeAllListeners();
+    link.client.on('error', () => {});
+    link.client.end(true);
+  }
+
+  topicFor(vesselId, provider) {
+    const mapping = this.mqttClient.config.topicMappings[provider].status;
+    return this.mqttClient.topicParser.fill(mapping.pattern, { vesselId, component: 'presence' });
+  }
+
+  // Presence is link-level, so it stays on wall time like heartbeats
+  message(vesselId, status, reason) {
+    const message = {
+      schemaVersion: schemas.SCHEMA_VERSION,
+      vesselId,
+      component: 'presence',
+      status,
+      instanceId: this.instanceId,
+      timestamp: new Date().toISOString()
+    };
+    if (reason) message.reason = reason;
+    return message;
+  }
+
+  vesselIds() {
+    return Array.from(this.links.keys());
+  }
+
+  describe() {
+    return Array.from(this.links.entries()).map(([vesselId, link]) => ({
+      vesselId,
+      provider: link.provider,
+      connected: link.connected,
+      since: link.since
+    }));
+  }
+}
+
+VesselPresence.CLOSE_TIMEOUT = CLOSE_TIMEOUT;
+
+module.exports = VesselPresence;
@@ -3,6 +3,7 @@ const mqtt = require('mqtt');
 const cors = require('cors');
 const helmet = require('helmet');
 const { v4: uuidv4 } = require('uuid');
+const schemas = require('ferry-schemas');
 
 const app = express();
 
@@ -61,20 +62,61 @@ let vesselState = {
 mqttClient.on('connect', () => {
   console.log('✅ Connected to HiveMQ broker');
   
-  // Subscribe to acknowledgment topics
-  mqttClient.subscribe('fleet/bcferries/island-class-001/+/+/ack');
+  // Subscribe to acknowledgment topics (published by ferry-control beside each control topic)
+  mqttClient.subscribe('fleet/bcferries/island-class-001/control/+/+/ack');
+  mqttClient.subscribe('fleet/bcferries/island-class-001/control/+/+/result');
   mqttClient.subscribe('fleet/bcferries/island-class-001/emergency/+/response');
 });
 
+mqttClient.on('message', (topic, message) => {
+  try {
+    const response = JSON.parse(message.toString());
+    console.log(`📨 ${topic}: ${response.status || 'response'}${response.reason ? ` - ${response.reason}` : ''}`);
+  } catch (error) {
+    console.error(`❌ Unparseable message on ${topic}:`, error.message);
+  }
+});
+
 mqttClient.on('error', (error) => {
   console.error('❌ MQTT connection error:', error);
 });
 
-// Utility function to publish telemetry
+// Publishes a payload only if it matches its schema; otherwise it goes to the
+// dead-letter topic with the validation errors
+function publishValidated(type, topic, payload) {
+  const validation = schemas.validate(type, payload);
+  if (!validation.valid) {
+    console.error(`❌ Invalid ${type} payload for ${topic}: ${validation.errors.join('; ')}`);
+    const deadLetter = schemas.deadLetter({ source: 'override-api', topic, messageType: type, message: payload, errors: validation.errors });
+    mqttClient.publish(schemas.deadLetterTopic(type, 'fleet/bcferries/deadletter'), JSON.stringify(deadLetter), { qos: 1 });
+    return false;
+  }
+
+  mqttClient.publish(topic, JSON.stringify(payload), { qos: 1 });
+  return true;
+}
+
+// Utility function to publish telemetry (schema v1 shape, plus the legacy sensors map)
 function publishTelemetry(overrideData = null) {
   const telemetryPayload = {
-    ...vesselState,
-    timestamp: Date.now(),
+    schemaVersion: schemas.SCHEMA_VERSION,
+    vesselId: vesselState.vesselId,
+    timestamp: new Date().toISOString(),
+    messageId: uuidv4(),
+    location: vesselState.location,
+    engine: {
+      rpm: vesselState.engineRPM,
+      temperature: vesselState.engineTemp
+    },
+    power: {
+      batterySOC: vesselState.batterySOC,
+      mode: vesselState.powerMode
+    },
+    safety: {
+      fireAlarm: vesselState.fireAlarmActive,
+      bilgeLevel: vesselState.bilgeLevel
+    },
+    weather: vesselState.weather,
     sensors: {
       main_engine_rpm: { value: vesselState.engineRPM, unit: 'rpm', override: !!overrideData?.engineRPM },
       engine_temperature: { value: vesselState.engineTemp, unit: 'celsius' },
@@ -88,7 +130,7 @@ function publishTelemetry(overrideData = null) {
   };
   
   const topic = `fleet/bcferries/island-class-001/telemetry`;
-  mqttClient.publish(topic, JSON.stringify(telemetryPayload), { qos: 1 });
+  publishValidated('telemetry', topic, telemetryPayload);
   
   console.log(`📡 Published telemetry: RPM=${vesselState.engineRPM}, Battery=${vesselState.batterySOC}%`);
 }
@@ -119,16 +161,19 @@ app.post('/api/emergency/engine/stop', (req, res) => {
   vesselState.engineTemp = 65; // Cooling down
   
   const emergencyMsg = {
-    timestamp: Date.now(),
+    schemaVersion: schemas.SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    messageId: uuidv4(),
     vesselId: 'island-class-001',
     emergency: true,
     type: 'ENGINE_EMERGENCY_STOP',
     triggeredBy: 'control-dashboard',
-    severity: 'HIGH',
+    severity: 'high',
+    location: vesselState.location,
     actions: ['ENGINE_SHUTDOWN', 'ALERT_BRIDGE', 'LOG_INCIDENT']
   };
   
-  mqttClient.publish('fleet/bcferries/island-class-001/emergency/engine/stop', JSON.stringify(emergencyMsg));
+  publishValidated('emergency', 'fleet/bcferries/island-class-001/emergency/engine/stop', emergencyMsg);
   publishTelemetry({ engineRPM: 0 });
   
   res.json({ 
@@ -145,17 +190,20 @@ app.post('/api/emergency/fire/trigger', (req, res) => {
   vesselState.engineRPM = 0; // Auto-shutdown on fire detection
   
   const fireEmergency = {
-    timestamp: Date.now(),
+    schemaVersion: schemas.SCHEMA_VERSION,
+    timestamp: new Date().toISOString(),
+    messageId: uuidv4(),
     vesselId: 'island-class-001',
     emergency: true,
     type: 'FIRE_ALARM',
-    location: 'engine_room',
-    severity: 'CRITICAL',
+    location: vesselState.location,
+    compartment: 'engine_room',
+    severity: 'critical',
     autoActions: ['ENGINE_SHUTDOWN', 'FIRE_SUPPRESSION_READY', 'NOTIFY_COAST_GUARD'],
     manualActions: ['EVACUATION_PROTOCOL', 'EMERGENCY_BROADCAST']
   };
   
-  mqttClient.publish('fleet/bcferries/island-class-001/emergency/fire', JSON.stringify(fireEmergency));
+  publishValidated('emergency', 'fleet/bcferries/island-class-001/emergency/fire', fireEmergency);
   publishTelemetry({ fireAlarm: true });
   
   res.json({ 
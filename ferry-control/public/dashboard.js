@@ -468,12 +468,12 @@ class OperationsDashboard {
     if (!vessel.navigation) return;
     
     // Update navigation values
-    this.elements.speedValue.textContent = `${vessel.navigation.speed || 0} kts`;
+    this.elements.speedValue.textContent = `${(vessel.navigation.speed || 0).toFixed(1)} kts`;
     this.elements.routeValue.textContent = vessel.navigation.route || '--';
     this.elements.waypointValue.textContent = vessel.navigation.nextWaypoint || '--';
     
     if (vessel.location) {
-      this.elements.headingValue.textContent = `${vessel.location.heading || 0}°`;
+      this.elements.headingValue.textContent = `${Math.round(vessel.location.heading || 0)}°`;
       this.elements.positionValue.textContent = 
         `${vessel.location.latitude?.toFixed(4) || '--'}°N, ${Math.abs(vessel.location.longitude || 0).toFixed(4)}°W`;
       
@@ -570,6 +570,7 @@ class OperationsDashboard {
   }
   
   showEmergencyAlert(alertData) {
+    this.emergencyVesselId = alertData.vesselId;
     this.elements.emergencyDetails.innerHTML = `
       <div class="emergency-info">
         <h3>Vessel: ${alertData.vesselId}</h3>
@@ -597,6 +598,7 @@ class OperationsDashboard {
     if (window.wsManager && window.wsManager.isConnected()) {
       window.wsManager.send({
         type: 'acknowledge_emergency',
+        vesselId: this.emergencyVesselId,
         timestamp: new Date().toISOString()
       });
     }
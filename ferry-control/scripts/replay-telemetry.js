@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * MQTT Recording Replay for BC Ferries
+ *
+ * Replays a stream captured by the telemetry recorder against the broker
+ * selected by MQTT_PROVIDER, standing in for the simulator. Topics are
+ * translated to the target provider's topic mappings.
+ *
+ * Usage: node scripts/replay-telemetry.js <recording.jsonl> [--speed 10] [--loop] [--provider hivemq]
+ */
+
+const path = require('path');
+
+const args = process.argv.slice(2);
+const VALUE_OPTIONS = ['--speed', '--provider'];
+const file = args.find((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+if (!file) {
+  console.error('Usage: node scripts/replay-telemetry.js <recording.jsonl> [--speed 10] [--loop] [--provider hivemq]');
+  process.exit(1);
+}
+
+if (option('provider')) {
+  process.env.MQTT_PROVIDER = option('provider');
+}
+
+// Keep the outbound buffer in memory: the on-disk journal belongs to the server,
+// and a replay that dies mid-outage has nothing worth restoring
+process.env.MQTT_BUFFER_PATH = 'none';
+
+const MQTTClient = require('../lib/mqtt-client');
+const TelemetryReplayer = require('../lib/telemetry-replayer');
+
+const CONNECT_TIMEOUT = 30000;
+
+async function main() {
+  const mqttClient = new MQTTClient();
+  const replayer = new TelemetryReplayer(mqttClient);
+
+  // Wait for the broker so the replay isn't flushed from the buffer in one burst
+  const connectStart = Date.now();
+  while (!mqttClient.isConnected) {
+    if (Date.now() - connectStart > CONNECT_TIMEOUT) {
+      console.error('❌ Could not connect to MQTT broker');
+      mqttClient.disconnect();
+      process.exit(1);
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+
+  replayer.on('finished', (summary) => {
+    console.log(`✅ Replay ${summary.result}: ${summary.published} messages published`);
+    // Give QoS 1/2 publishes a moment to complete before disconnecting
+    setTimeout(() => {
+      mqttClient.disconnect();
+      process.exit(0);
+    }, 2000);
+  });
+
+  process.on('SIGINT', () => replayer.active ? replayer.stop() : process.exit(0));
+
+  replayer.start(path.resolve(file), {
+    speed: option('speed') ? parseFloat(option('speed')) : 1,
+    loop: args.includes('--loop')
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
@@ -5,7 +5,20 @@ const morgan = require('morgan');
 const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const fs = require('fs');
 const MQTTClient = require('./lib/mqtt-client');
+const SimulationClock = require('./lib/simulation-clock');
+const FleetRegistry = require('./lib/fleet-registry');
+const MotionModel = require('./lib/motion-model');
+const RouteEngine = require('./lib/route-engine');
+const EnergyModel = require('./lib/energy-model');
+const ThermalModel = require('./lib/thermal-model');
+const ScenarioEngine = require('./lib/scenario-engine');
+const FaultInjector = require('./lib/fault-injector');
+const TelemetryRecorder = require('./lib/telemetry-recorder');
+const TelemetryReplayer = require('./lib/telemetry-replayer');
+const TelemetryDeltaEncoder = require('./lib/telemetry-delta');
+const CommandAuthenticator = require('./lib/command-auth');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -29,42 +42,92 @@ app.use(morgan('combined'));
 app.use(express.json());
 app.use(express.static('public'));
 
-// Active alerts tracking for idempotency
-const activeAlerts = new Map(); // alertType -> alertData
-
-// Vessel simulation state
-const vesselState = {
-  vesselId: 'island-class-001',
-  timestamp: new Date().toISOString(),
-  location: {
-    latitude: 48.6569,
-    longitude: -123.3933,
-    heading: 045
-  },
-  engine: {
-    rpm: 1200,
-    temperature: 85,
-    fuelFlow: 120
-  },
-  power: {
-    batterySOC: 85,
-    mode: 'hybrid',
-    generatorLoad: 45
-  },
-  safety: {
-    fireAlarm: false,
-    bilgeLevel: 15,
-    co2Level: 400
-  },
-  navigation: {
-    speed: 12.5,
-    route: 'SWB-TSA',
-    nextWaypoint: 'Active Pass'
+// Simulation clock - every model update and published timestamp uses simulated time,
+// which can run faster than real time, pause, or be single-stepped
+const clock = new SimulationClock({
+  rate: parseFloat(process.env.SIMULATION_RATE) || 1
+});
+
+// Fleet registry - every simulated vessel keeps its own state, alerts and telemetry schedule
+const fleet = new FleetRegistry({
+  clock,
+  telemetryInterval: parseInt(process.env.TELEMETRY_INTERVAL, 10) || 60000,
+  tickInterval: parseInt(process.env.SIMULATION_TICK, 10) || 1000
+});
+fleet.loadConfig(process.env.FLEET_CONFIG || undefined);
+
+// Simulation models run in order every tick: route autopilot steers, motion model moves,
+// energy model settles battery, generator and fuel for the resulting load, thermal
+// model moves engine temperature towards its load-dependent equilibrium
+const routeEngine = new RouteEngine(undefined, { clock });
+const energyModel = new EnergyModel();
+const thermalModel = new ThermalModel();
+fleet.use(routeEngine);
+fleet.use(new MotionModel());
+fleet.use(energyModel);
+fleet.use(thermalModel);
+
+// Scenario engine - scripted drills advance with the simulation tick. Actions that
+// need server side effects (alarms, MQTT, broadcasts) are supplied here.
+const scenarioEngine = new ScenarioEngine(fleet, {
+  scenarioDir: process.env.SCENARIO_DIR || undefined,
+  actions: {
+    trigger_fire: (vessel) => triggerFireAlarm(vessel),
+    acknowledge_fire: (vessel) => acknowledgeFireAlarm(vessel),
+    cooling_failure: (vessel, step) => thermalModel.setCoolingFailure(vessel, step.active !== false),
+    power_mode: (vessel, step) => {
+      if (!['electric', 'hybrid', 'diesel', 'auto'].includes(step.mode)) {
+        throw new Error(`Invalid power mode ${step.mode}`);
+      }
+      energyModel.setMode(vessel, step.mode);
+    }
   }
-};
+});
+
+// Fault injection - corrupts outgoing telemetry per vessel/field for consumer testing
+const faultInjector = new FaultInjector({ clock });
+
+// Default vessel for legacy single-vessel endpoints
+const DEFAULT_VESSEL_ID = process.env.VESSEL_ID || 'island-class-001';
+if (!fleet.hasVessel(DEFAULT_VESSEL_ID)) {
+  fleet.createVessel({ vesselId: DEFAULT_VESSEL_ID });
+}
 
 // Initialize MQTT client with proper configuration
 const mqttClient = new MQTTClient();
+mqttClient.setClock(clock);
+fleet.listVessels().forEach(vessel => mqttClient.addVessel(vessel.vesselId));
+
+// Delta telemetry - only fields that moved beyond their deadband, with periodic keyframes
+const deltaEncoder = new TelemetryDeltaEncoder({ ...mqttClient.config.delta, clock });
+
+// Control commands must be signed by a key whose role allows them (CONTROL_KEYS)
+const commandAuth = new CommandAuthenticator({
+  ...mqttClient.config.controlAuth,
+  keys: process.env.CONTROL_KEYS
+});
+if (commandAuth.mode === 'off') {
+  console.warn('⚠️ CONTROL_AUTH=off - control commands and API overrides are accepted unsigned (development only)');
+}
+
+// Record-and-replay of the outbound MQTT stream
+const recorder = new TelemetryRecorder(mqttClient, {
+  clock,
+  recordingDir: process.env.RECORDING_DIR || undefined
+});
+const replayer = new TelemetryReplayer(mqttClient);
+
+// A replay stands in for the simulator, so simulated telemetry pauses while it runs
+replayer.on('started', () => fleet.listVessels().forEach(vessel => fleet.stopTelemetry(vessel)));
+replayer.on('finished', (summary) => {
+  // Consumers followed the recording's frames; start them over from a keyframe
+  fleet.listVessels().forEach(vessel => deltaEncoder.requestKeyframe(vessel.vesselId));
+  fleet.startAll();
+  broadcast({
+    type: 'replay_finished',
+    data: summary
+  });
+});
 
 // Set up MQTT event handlers
 mqttClient.on('control', (controlData) => {
@@ -76,6 +139,72 @@ mqttClient.on('status', (statusData) => {
   console.log('📊 Received status update:', statusData);
 });
 
+// Broker failover/fail-back: tell dashboards and publish the new link per vessel
+mqttClient.on('provider_changed', (change) => {
+  console.log(`🔀 MQTT provider changed: ${change.from} → ${change.to} (${change.reason})`);
+  broadcast({
+    type: 'mqtt_provider_changed',
+    data: change
+  });
+  fleet.listVessels().forEach(vessel => {
+    deltaEncoder.requestKeyframe(vessel.vesselId); // subscribers on the new broker have no keyframe yet
+    mqttClient.publishStatus(vessel.vesselId, 'mqtt', {
+      provider: change.to,
+      previousProvider: change.from,
+      reason: change.reason,
+      primary: change.primary
+    }).catch(error => console.error('Failed to publish status:', error.message));
+  });
+});
+
+// Fleet event handlers
+fleet.on('telemetry', (vessel) => publishTelemetry(vessel));
+
+fleet.on('vessel_added', (vessel) => {
+  console.log(`🚢 Vessel ${vessel.vesselId} added to fleet`);
+  fleet.startTelemetry(vessel);
+  mqttClient.addVessel(vessel.vesselId);
+  subscribeToControlTopics(vessel);
+  broadcast({
+    type: 'vessel_state',
+    data: vessel.state
+  });
+});
+
+fleet.on('vessel_removed', (vessel) => {
+  console.log(`🚢 Vessel ${vessel.vesselId} removed from fleet`);
+  faultInjector.clearFaults(vessel.vesselId);
+  deltaEncoder.forget(vessel.vesselId);
+  mqttClient.removeVessel(vessel.vesselId);
+  broadcast({
+    type: 'vessel_removed',
+    data: { vesselId: vessel.vesselId }
+  });
+});
+
+fleet.on('tick', (dtSeconds) => scenarioEngine.advance(dtSeconds));
+
+clock.on('change', (clockState) => {
+  console.log(`⏱️ Simulation clock ${clockState.mode} (${clockState.rate}x) at ${clockState.time}`);
+  broadcast({
+    type: 'clock_update',
+    data: clockState
+  });
+});
+
+// Scenario event handlers
+scenarioEngine.on('step', ({ vessel }) => {
+  publishTelemetry(vessel);
+  updateVesselStatusMQTT(vessel);
+});
+
+scenarioEngine.on('run_updated', (run) => {
+  broadcast({
+    type: 'scenario_update',
+    data: scenarioEngine.describeRun(run)
+  });
+});
+
 // WebSocket server for real-time updates
 const server = require('http').createServer(app);
 const wss = new WebSocket.Server({ server });
@@ -86,11 +215,13 @@ wss.on('connection', (ws) => {
   clients.add(ws);
   console.log(`📡 Client connected. Total clients: ${clients.size}`);
   
-  // Send current state to new client
-  ws.send(JSON.stringify({
-    type: 'vessel_state',
-    data: vesselState
-  }));
+  // Send current state of every vessel to new client
+  fleet.listVessels().forEach(vessel => {
+    ws.send(JSON.stringify({
+      type: 'vessel_state',
+      data: vessel.state
+    }));
+  });
 
   // Handle incoming messages
   ws.on('message', (data) => {
@@ -102,21 +233,18 @@ wss.on('connection', (ws) => {
           // Respond to heartbeat ping
           ws.send(JSON.stringify({ type: 'pong' }));
           break;
-        case 'acknowledge_fire_alarm':
+        case 'acknowledge_fire_alarm': {
           // Handle fire alarm acknowledgment from ops dashboard
-          console.log('🔥 Fire alarm acknowledgment received from ops dashboard');
-          
-          // Clear from active alerts
-          const alertKey = 'fire_alarm';
-          if (activeAlerts.has(alertKey)) {
-            activeAlerts.delete(alertKey);
+          const vessel = fleet.getVessel(message.vesselId || DEFAULT_VESSEL_ID);
+          if (!vessel) {
+            console.log(`⚠️ Fire alarm acknowledgment for unknown vessel: ${message.vesselId}`);
+            break;
           }
-          
-          vesselState.safety.fireAlarm = false;
-          vesselState.timestamp = new Date().toISOString();
-          publishTelemetry();
-          updateVesselStatusMQTT();
+          console.log(`🔥 Fire alarm acknowledgment received from ops dashboard for ${vessel.vesselId}`);
+          acknowledgeFireAlarm(vessel);
+          updateVesselStatusMQTT(vessel);
           break;
+        }
         default:
           console.log('Unknown message type:', message.type);
       }
@@ -142,25 +270,49 @@ function broadcast(data) {
 }
 
 // Publish telemetry to MQTT with error handling
-function publishTelemetry() {
+function publishTelemetry(vessel) {
+  const vesselState = vessel.state;
   const telemetryPayload = {
     ...vesselState,
-    timestamp: new Date().toISOString(),
+    timestamp: clock.toISOString(),
     messageId: uuidv4()
   };
 
+  // Injected faults only touch what goes out over MQTT; dashboards see the true state
+  const faulted = faultInjector.apply(vessel.vesselId, telemetryPayload);
+
   // Publish to HiveMQ Cloud using enhanced client
-  mqttClient.publishTelemetry(vesselState.vesselId, telemetryPayload)
-    .then((result) => {
-      if (result.buffered) {
-        console.log('📦 Telemetry buffered (MQTT disconnected)');
-      } else {
-        console.log('📡 Telemetry published successfully');
-      }
-    })
-    .catch((error) => {
-      console.error('❌ Failed to publish telemetry:', error.message);
-    });
+  if (!faulted.publish) {
+    console.log(`💥 Telemetry for ${vessel.vesselId} dropped (injected publish outage)`);
+  } else {
+    const metadata = {
+      vesselClass: vessel.vesselClass,
+      simulated: true,
+      validate: faulted.appliedFaults.length === 0
+    };
+    const frame = deltaEncoder.encode(vessel.vesselId, faulted.payload);
+    const publishing = frame.type === 'keyframe'
+      ? mqttClient.publishTelemetry(vessel.vesselId, frame.message, metadata)
+      : mqttClient.publishTelemetryDelta(vessel.vesselId, frame.message, metadata);
+
+    // Buffered frames still go out later, in order; the rest never reach consumers
+    const seq = frame.message.frame.seq;
+    publishing
+      .then((result) => {
+        if (result.deadLettered) {
+          deltaEncoder.rollback(vessel.vesselId, seq);
+          console.error(`❌ Telemetry for ${vessel.vesselId} failed schema validation and was dead-lettered`);
+        } else if (result.buffered) {
+          console.log(`📦 Telemetry for ${vessel.vesselId} buffered (MQTT disconnected)`);
+        } else {
+          console.log(`📡 Telemetry ${frame.type} ${seq} for ${vessel.vesselId} published successfully`);
+        }
+      })
+      .catch((error) => {
+        deltaEncoder.rollback(vessel.vesselId, seq);
+        console.error(`❌ Failed to publish telemetry for ${vessel.vesselId}:`, error.message);
+      });
+  }
 
   // Broadcast to WebSocket clients
   broadcast({
@@ -169,39 +321,84 @@ function publishTelemetry() {
   });
 
   // Update vessel status
-  mqttClient.publishStatus(vesselState.vesselId, 'operational', {
-    status: determineVesselOperationalStatus(),
+  mqttClient.publishStatus(vessel.vesselId, 'operational', {
+    status: determineVesselOperationalStatus(vessel),
     lastTelemetry: telemetryPayload.timestamp,
     systems: {
       engine: vesselState.engine.rpm > 0 ? 'running' : 'idle',
       power: vesselState.power.mode,
       safety: vesselState.safety.fireAlarm ? 'alarm' : 'normal'
     }
-  });
+  }).catch(error => console.error('Failed to publish status:', error.message));
 }
 
+// Resolve :vesselId route parameter to a fleet vessel
+app.param('vesselId', (req, res, next, vesselId) => {
+  const vessel = fleet.getVessel(vesselId);
+  if (!vessel) {
+    return res.status(404).json({
+      success: false,
+      message: `Vessel ${vesselId} not found`
+    });
+  }
+  req.vessel = vessel;
+  next();
+});
+
+// Vessel overrides and emergencies must be signed like the MQTT control commands
+// they mirror (see CommandAuthenticator.addressOf). CONTROL_AUTH=off turns this off
+// for local development.
+app.use('/api', (req, res, next) => {
+  const command = req.method === 'POST' && CommandAuthenticator.addressOf(req.path);
+  if (!command) return next();
+
+  const auth = commandAuth.check(command, req.body);
+  if (auth.reason) {
+    auditRejection({ channel: 'http', ...command, keyId: auth.keyId, role: auth.role, reason: auth.reason, enforced: !auth.allowed });
+  }
+  if (!auth.allowed) {
+    return res.status(401).json({
+      success: false,
+      message: auth.reason
+    });
+  }
+  next();
+});
+
 // API Routes
 
 // Health check with MQTT status
 app.get('/health', (req, res) => {
   const mqttInfo = mqttClient.getConnectionInfo();
+  const vessels = fleet.listVessels();
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    vesselId: vesselState.vesselId,
+    vesselId: DEFAULT_VESSEL_ID,
+    fleetSize: vessels.length,
+    simulationClock: clock.describe(),
     mqtt: {
       connected: mqttInfo.connected,
       broker: mqttInfo.broker,
+      provider: mqttInfo.provider,
       clientId: mqttInfo.clientId,
+      instanceId: mqttInfo.instanceId,
+      presence: mqttInfo.presence,
       reconnectAttempts: mqttInfo.reconnectAttempts,
+      failover: mqttInfo.failover,
       bufferedMessages: mqttInfo.bufferedMessages,
+      buffer: mqttInfo.buffer,
       lastHeartbeat: mqttInfo.lastHeartbeat
     },
-    systems: {
-      engine: vesselState.engine.rpm > 0 ? 'operational' : 'idle',
-      power: vesselState.power.mode,
-      safety: vesselState.safety.fireAlarm ? 'emergency' : 'normal'
-    }
+    telemetryFrames: deltaEncoder.describe(),
+    controlAuth: commandAuth.describe(),
+    vessels: vessels.map(vessel => ({
+      vesselId: vessel.vesselId,
+      engine: vessel.state.engine.rpm > 0 ? 'operational' : 'idle',
+      power: vessel.state.power.mode,
+      safety: vessel.state.safety.fireAlarm ? 'emergency' : 'normal',
+      activeFaults: faultInjector.listFaults(vessel.vesselId).length
+    }))
   });
 });
 
@@ -210,9 +407,11 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    vessel: vesselState.vesselId,
+    vessel: DEFAULT_VESSEL_ID,
+    vessels: fleet.listVessels().map(vessel => vessel.vesselId),
     mqtt: {
       status: mqttInfo.connected ? 'connected' : 'disconnected',
+      provider: mqttInfo.provider,
       broker: mqttInfo.broker,
       bufferedMessages: mqttInfo.bufferedMessages
     },
@@ -222,21 +421,107 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Get current vessel state
+// Get current state of the default vessel
 app.get('/api/vessel/state', (req, res) => {
-  res.json(vesselState);
+  const vessel = fleet.getVessel(DEFAULT_VESSEL_ID) || fleet.listVessels()[0];
+  if (!vessel) {
+    return res.status(404).json({
+      success: false,
+      message: 'No vessels in fleet'
+    });
+  }
+  res.json(vessel.state);
+});
+
+// Fleet Management
+app.get('/api/vessels', (req, res) => {
+  const vessels = fleet.listVessels().map(vessel => fleet.describeVessel(vessel));
+  res.json({
+    vessels,
+    count: vessels.length,
+    timestamp: clock.toISOString()
+  });
+});
+
+app.post('/api/vessels', (req, res) => {
+  const { vesselId, vesselClass, route, nextWaypoint, location, telemetryInterval } = req.body;
+
+  if (telemetryInterval !== undefined && !(telemetryInterval >= 1000)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Telemetry interval must be at least 1000ms'
+    });
+  }
+  if (fleet.hasVessel(vesselId)) {
+    return res.status(409).json({
+      success: false,
+      message: `Vessel ${vesselId} already exists`
+    });
+  }
+
+  try {
+    const vessel = fleet.createVessel({ vesselId, vesselClass, route, nextWaypoint, location, telemetryInterval });
+    publishTelemetry(vessel);
+    updateVesselStatusMQTT(vessel);
+
+    res.status(201).json({
+      success: true,
+      message: `Vessel ${vessel.vesselId} added to fleet`,
+      vessel: fleet.describeVessel(vessel)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Route definitions
+app.get('/api/routes', (req, res) => {
+  const routes = routeEngine.listRoutes();
+  res.json({
+    routes,
+    count: routes.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/api/routes/:routeId', (req, res) => {
+  const route = routeEngine.getRoute(req.params.routeId);
+  if (!route) {
+    return res.status(404).json({
+      success: false,
+      message: `Route ${req.params.routeId} not found`
+    });
+  }
+  res.json(route);
+});
+
+app.get('/api/vessels/:vesselId', (req, res) => {
+  res.json(fleet.describeVessel(req.vessel));
+});
+
+app.delete('/api/vessels/:vesselId', (req, res) => {
+  fleet.removeVessel(req.vessel.vesselId);
+  res.json({
+    success: true,
+    message: `Vessel ${req.vessel.vesselId} removed from fleet`
+  });
 });
 
 // Engine Controls
-app.post('/api/override/engine/rpm', (req, res) => {
+app.post('/api/override/:vesselId/engine/rpm', (req, res) => {
   const { value } = req.body;
+  const vessel = req.vessel;
+  const vesselState = vessel.state;
   if (value >= 0 && value <= 2000) {
     vesselState.engine.rpm = value;
-    vesselState.engine.fuelFlow = Math.max(50, value * 0.15); // Fuel flow correlation
-    vesselState.timestamp = new Date().toISOString();
+    vesselState.timestamp = clock.toISOString();
+    fleet.refresh(vessel);
     
-    publishTelemetry();
-    updateVesselStatusMQTT();
+    publishTelemetry(vessel);
+    updateVesselStatusMQTT(vessel);
     
     res.json({
       success: true,
@@ -251,49 +536,68 @@ app.post('/api/override/engine/rpm', (req, res) => {
   }
 });
 
-app.post('/api/override/engine/temperature', (req, res) => {
+app.post('/api/override/:vesselId/engine/temperature', (req, res) => {
   const { value } = req.body;
-  if (value >= 20 && value <= 120) {
-    vesselState.engine.temperature = value;
-    vesselState.timestamp = new Date().toISOString();
+  const vessel = req.vessel;
+  const vesselState = vessel.state;
+  // The thermal model holds the override until it is cleared with { value: null }
+  if (value === null || (value >= 20 && value <= 120)) {
+    thermalModel.setOverride(vessel, value);
+    vesselState.timestamp = clock.toISOString();
     
-    publishTelemetry();
-    updateVesselStatusMQTT();
+    publishTelemetry(vessel);
+    updateVesselStatusMQTT(vessel);
     
     res.json({
       success: true,
-      message: `Engine temperature set to ${value}°C`,
+      message: value === null ? 'Engine temperature override cleared' : `Engine temperature held at ${value}°C`,
       vesselState
     });
   } else {
     res.status(400).json({
       success: false,
-      message: 'Temperature must be between 20°C and 120°C'
+      message: 'Temperature must be between 20°C and 120°C, or null to clear the override'
     });
   }
 });
 
+app.post('/api/override/:vesselId/engine/cooling-failure', (req, res) => {
+  const { active } = req.body;
+  const vessel = req.vessel;
+  if (typeof active !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'active must be true or false'
+    });
+  }
+
+  thermalModel.setCoolingFailure(vessel, active);
+  vessel.state.timestamp = clock.toISOString();
+  publishTelemetry(vessel);
+  updateVesselStatusMQTT(vessel);
+
+  res.json({
+    success: true,
+    message: active
+      ? 'Cooling failure injected - engine temperature will climb with load'
+      : 'Cooling failure cleared',
+    vesselState: vessel.state
+  });
+});
+
 // Power System Controls
-app.post('/api/override/power/battery', (req, res) => {
+app.post('/api/override/:vesselId/power/battery', (req, res) => {
   const { value } = req.body;
+  const vessel = req.vessel;
+  const vesselState = vessel.state;
   if (value >= 0 && value <= 100) {
     vesselState.power.batterySOC = value;
     
-    // Auto-switch mode based on battery level
-    if (value < 25) {
-      vesselState.power.mode = 'diesel';
-      vesselState.power.generatorLoad = 75;
-    } else if (value > 80) {
-      vesselState.power.mode = 'electric';
-      vesselState.power.generatorLoad = 0;
-    } else {
-      vesselState.power.mode = 'hybrid';
-      vesselState.power.generatorLoad = 45;
-    }
-    
-    vesselState.timestamp = new Date().toISOString();
-    publishTelemetry();
-    updateVesselStatusMQTT();
+    // Energy model re-selects the power mode and generator load for the new SOC
+    vesselState.timestamp = clock.toISOString();
+    fleet.refresh(vessel);
+    publishTelemetry(vessel);
+    updateVesselStatusMQTT(vessel);
     
     res.json({
       success: true,
@@ -309,26 +613,409 @@ app.post('/api/override/power/battery', (req, res) => {
 });
 
 // Safety System Controls
-app.post('/api/emergency/fire/trigger', (req, res) => {
-  // Check if fire alarm is already active (idempotent)
-  const alertKey = 'fire_alarm';
-  if (activeAlerts.has(alertKey)) {
-    console.log('🔥 Fire alarm already active - ignoring duplicate trigger');
+app.post('/api/emergency/:vesselId/fire/trigger', (req, res) => {
+  const vessel = req.vessel;
+  const triggered = triggerFireAlarm(vessel);
+
+  if (!triggered) {
     return res.json({
       success: true,
       message: 'Fire alarm already active',
-      vesselState,
+      vesselState: vessel.state,
       duplicate: true
     });
   }
   
+  res.json({
+    success: true,
+    message: 'Fire alarm triggered - emergency procedures activated',
+    vesselState: vessel.state
+  });
+});
+
+app.post('/api/emergency/:vesselId/fire/acknowledge', (req, res) => {
+  acknowledgeFireAlarm(req.vessel);
+  
+  res.json({
+    success: true,
+    message: 'Fire alarm acknowledged and reset',
+    vesselState: req.vessel.state
+  });
+});
+
+app.post('/api/override/:vesselId/safety/bilge', (req, res) => {
+  const { value } = req.body;
+  const vessel = req.vessel;
+  const vesselState = vessel.state;
+  if (value >= 0 && value <= 100) {
+    vesselState.safety.bilgeLevel = value;
+    vesselState.timestamp = clock.toISOString();
+    
+    publishTelemetry(vessel);
+    updateVesselStatusMQTT(vessel);
+    
+    res.json({
+      success: true,
+      message: `Bilge level set to ${value}cm`,
+      vesselState
+    });
+  } else {
+    res.status(400).json({
+      success: false,
+      message: 'Bilge level must be between 0cm and 100cm'
+    });
+  }
+});
+
+// Simulation clock
+app.get('/api/clock', (req, res) => {
+  res.json(clock.describe());
+});
+
+// Body: { mode: 'realtime' | 'accelerated' | 'paused', rate }
+app.post('/api/clock', (req, res) => {
+  const { mode, rate } = req.body;
+
+  try {
+    switch (mode) {
+      case 'realtime':
+        clock.setRate(1);
+        break;
+      case 'accelerated':
+        if (typeof rate !== 'number' || rate <= 1) {
+          throw new Error('Accelerated mode needs a rate greater than 1');
+        }
+        clock.setRate(rate);
+        break;
+      case 'paused':
+        clock.pause();
+        break;
+      default:
+        throw new Error('Mode must be realtime, accelerated or paused');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  // Settle whatever simulated time was owed at the old rate
+  fleet.tick();
+  res.json({
+    success: true,
+    message: `Simulation clock ${clock.mode}${clock.mode === 'accelerated' ? ` at ${clock.rate}x` : ''}`,
+    clock: clock.describe()
+  });
+});
+
+app.post('/api/clock/step', (req, res) => {
+  const seconds = req.body.seconds === undefined ? 1 : req.body.seconds;
+
+  try {
+    clock.step(seconds);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Simulation advanced ${seconds}s`,
+    clock: clock.describe()
+  });
+});
+
+// Fault injection
+app.get('/api/faults', (req, res) => {
+  res.json({
+    active: faultInjector.listFaults(),
+    history: faultInjector.getHistory()
+  });
+});
+
+app.get('/api/faults/:vesselId', (req, res) => {
+  res.json({
+    vesselId: req.vessel.vesselId,
+    active: faultInjector.listFaults(req.vessel.vesselId),
+    history: faultInjector.getHistory(req.vessel.vesselId)
+  });
+});
+
+app.post('/api/faults/:vesselId', (req, res) => {
+  const { field } = req.body;
+  if (field && FaultInjector.getField(req.vessel.state, field) === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown telemetry field ${field}`
+    });
+  }
+
+  try {
+    const fault = faultInjector.addFault(req.vessel.vesselId, req.body);
+    res.status(201).json({
+      success: true,
+      message: `Fault ${fault.type} injected on ${req.vessel.vesselId}`,
+      fault
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/faults/:vesselId', (req, res) => {
+  const cleared = faultInjector.clearFaults(req.vessel.vesselId);
+  res.json({
+    success: true,
+    message: `Cleared ${cleared} faults on ${req.vessel.vesselId}`
+  });
+});
+
+app.delete('/api/faults/:vesselId/:faultId', (req, res) => {
+  const fault = faultInjector.removeFault(req.vessel.vesselId, req.params.faultId);
+  if (!fault) {
+    return res.status(404).json({
+      success: false,
+      message: `Fault ${req.params.faultId} not found`
+    });
+  }
+  res.json({
+    success: true,
+    message: `Fault ${fault.type} cleared on ${req.vessel.vesselId}`,
+    fault
+  });
+});
+
+// Telemetry record and replay
+app.get('/api/recordings', (req, res) => {
+  res.json({
+    recordings: recorder.list(),
+    recording: recorder.status(),
+    replay: replayer.status()
+  });
+});
+
+app.post('/api/recordings/start', (req, res) => {
+  const name = req.body.name || `recording-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  try {
+    const status = recorder.start(name);
+    res.status(201).json({
+      success: true,
+      message: `Recording ${name} started`,
+      recording: status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/recordings/stop', (req, res) => {
+  try {
+    const summary = recorder.stop();
+    res.json({
+      success: true,
+      message: `Recording ${summary.name} stopped (${summary.messages} messages)`,
+      recording: summary
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Body: { speed: 10, loop: false }
+app.post('/api/recordings/:name/replay', (req, res) => {
+  const { speed, loop } = req.body;
+  let file;
+  try {
+    file = TelemetryRecorder.resolveFile(recorder.recordingDir, req.params.name);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({
+      success: false,
+      message: `Recording ${req.params.name} not found`
+    });
+  }
+
+  try {
+    const status = replayer.start(file, { speed, loop });
+    res.json({
+      success: true,
+      message: `Replaying ${req.params.name} at ${status.speed}x - simulated telemetry paused`,
+      replay: status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Body: { seconds: 120 }
+app.post('/api/replay/seek', (req, res) => {
+  try {
+    const status = replayer.seek(req.body.seconds);
+    res.json({
+      success: true,
+      message: `Replay of ${status.name} moved to ${req.body.seconds}s`,
+      replay: status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/replay/stop', (req, res) => {
+  try {
+    const summary = replayer.stop();
+    res.json({
+      success: true,
+      message: `Replay of ${summary.name} stopped - simulated telemetry resumed`,
+      replay: summary
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Scenario scripting
+app.get('/api/scenarios', (req, res) => {
+  res.json({
+    scenarios: scenarioEngine.listScenarios()
+  });
+});
+
+app.get('/api/scenarios/runs', (req, res) => {
+  res.json({
+    runs: scenarioEngine.listRuns().map(run => scenarioEngine.describeRun(run))
+  });
+});
+
+app.get('/api/scenarios/runs/:runId', (req, res) => {
+  const run = scenarioEngine.getRun(req.params.runId);
+  if (!run) {
+    return res.status(404).json({
+      success: false,
+      message: `Run ${req.params.runId} not found`
+    });
+  }
+  res.json(scenarioEngine.describeRun(run));
+});
+
+app.post('/api/scenarios/runs/:runId/:command', (req, res) => {
+  const { runId, command } = req.params;
+  if (!['pause', 'resume', 'stop'].includes(command)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Command must be pause, resume or stop'
+    });
+  }
+  if (!scenarioEngine.getRun(runId)) {
+    return res.status(404).json({
+      success: false,
+      message: `Run ${runId} not found`
+    });
+  }
+
+  try {
+    const run = scenarioEngine[command](runId);
+    res.json({
+      success: true,
+      message: `Run ${runId} ${run.status}`,
+      run: scenarioEngine.describeRun(run)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/scenarios/:scenarioId/start', (req, res) => {
+  const scenario = scenarioEngine.getScenario(req.params.scenarioId);
+  if (!scenario) {
+    return res.status(404).json({
+      success: false,
+      message: `Scenario ${req.params.scenarioId} not found`
+    });
+  }
+
+  const vesselId = (req.body && req.body.vesselId) || scenario.vesselId || DEFAULT_VESSEL_ID;
+  if (!fleet.hasVessel(vesselId)) {
+    return res.status(404).json({
+      success: false,
+      message: `Vessel ${vesselId} not found`
+    });
+  }
+
+  const run = scenarioEngine.start(scenario.id, vesselId);
+  console.log(`🎬 Scenario ${scenario.id} started on ${vesselId} (run ${run.runId})`);
+  res.status(201).json({
+    success: true,
+    message: `Scenario '${scenario.name}' started on ${vesselId}`,
+    run: scenarioEngine.describeRun(run)
+  });
+});
+
+// Serve control dashboard HTML
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Start vessel motion simulation and per-vessel telemetry publishing (every 60 seconds by default)
+fleet.startSimulation();
+fleet.startAll();
+
+// Start server
+server.listen(PORT, () => {
+  console.log(`🚢 BC Ferries Control Dashboard running on port ${PORT}`);
+  console.log(`⚓ Simulating ${fleet.vessels.size} vessels: ${Array.from(fleet.vessels.keys()).join(', ')}`);
+  console.log(`📊 WebSocket server ready for real-time updates`);
+  console.log(`🔧 Control API available at http://localhost:${PORT}/api/`);
+});
+
+// Add helper functions
+
+// Raise a fire alarm on a vessel. Returns false if one is already active (idempotent).
+function triggerFireAlarm(vessel) {
+  const vesselState = vessel.state;
+  const alertKey = 'fire_alarm';
+  if (vessel.activeAlerts.has(alertKey)) {
+    console.log(`🔥 Fire alarm already active on ${vessel.vesselId} - ignoring duplicate trigger`);
+    return false;
+  }
+  
   vesselState.safety.fireAlarm = true;
   vesselState.engine.rpm = Math.max(600, vesselState.engine.rpm * 0.5); // Reduce power
-  vesselState.timestamp = new Date().toISOString();
+  vesselState.timestamp = clock.toISOString();
   
   // Create emergency payload with unique ID
   const emergencyPayload = {
-    id: `${vesselState.vesselId}_fire_${Date.now()}`,
+    id: `${vesselState.vesselId}_fire_${clock.now()}`,
     vesselId: vesselState.vesselId,
     alertType: 'fire',
     severity: 'critical',
@@ -342,39 +1029,36 @@ app.post('/api/emergency/fire/trigger', (req, res) => {
   };
   
   // Track this alert as active
-  activeAlerts.set(alertKey, emergencyPayload);
+  vessel.activeAlerts.set(alertKey, emergencyPayload);
   
   mqttClient.publishEmergency(vesselState.vesselId, 'fire', emergencyPayload)
     .then(() => console.log('🆘 Emergency alert published successfully'))
     .catch(error => console.error('❌ Failed to publish emergency:', error.message));
   
-  publishTelemetry();
+  publishTelemetry(vessel);
   
   broadcast({
     type: 'emergency_alert',
     data: emergencyPayload
   });
-  
-  res.json({
-    success: true,
-    message: 'Fire alarm triggered - emergency procedures activated',
-    vesselState
-  });
-});
 
-app.post('/api/emergency/fire/acknowledge', (req, res) => {
+  return true;
+}
+
+function acknowledgeFireAlarm(vessel) {
+  const vesselState = vessel.state;
   const alertKey = 'fire_alarm';
   
   // Remove from active alerts
-  if (activeAlerts.has(alertKey)) {
-    activeAlerts.delete(alertKey);
-    console.log('🔥 Fire alarm alert cleared from active alerts');
+  if (vessel.activeAlerts.has(alertKey)) {
+    vessel.activeAlerts.delete(alertKey);
+    console.log(`🔥 Fire alarm alert cleared from active alerts on ${vessel.vesselId}`);
   }
   
   vesselState.safety.fireAlarm = false;
-  vesselState.timestamp = new Date().toISOString();
+  vesselState.timestamp = clock.toISOString();
   
-  publishTelemetry();
+  publishTelemetry(vessel);
   
   // Broadcast acknowledgment
   broadcast({
@@ -385,53 +1069,10 @@ app.post('/api/emergency/fire/acknowledge', (req, res) => {
       timestamp: vesselState.timestamp
     }
   });
-  
-  res.json({
-    success: true,
-    message: 'Fire alarm acknowledged and reset',
-    vesselState
-  });
-});
-
-app.post('/api/override/safety/bilge', (req, res) => {
-  const { value } = req.body;
-  if (value >= 0 && value <= 100) {
-    vesselState.safety.bilgeLevel = value;
-    vesselState.timestamp = new Date().toISOString();
-    
-    publishTelemetry();
-    updateVesselStatusMQTT();
-    
-    res.json({
-      success: true,
-      message: `Bilge level set to ${value}cm`,
-      vesselState
-    });
-  } else {
-    res.status(400).json({
-      success: false,
-      message: 'Bilge level must be between 0cm and 100cm'
-    });
-  }
-});
-
-// Serve control dashboard HTML
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// Start telemetry publishing (every 60 seconds for demo)
-setInterval(publishTelemetry, 60000);
-
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚢 BC Ferries Control Dashboard running on port ${PORT}`);
-  console.log(`📊 WebSocket server ready for real-time updates`);
-  console.log(`🔧 Control API available at http://localhost:${PORT}/api/`);
-});
+}
 
-// Add helper functions
-function determineVesselOperationalStatus() {
+function determineVesselOperationalStatus(vessel) {
+  const vesselState = vessel.state;
   if (vesselState.safety.fireAlarm) return 'emergency';
   if (vesselState.engine.temperature > 100) return 'critical';
   if (vesselState.power.batterySOC < 20) return 'warning';
@@ -439,9 +1080,10 @@ function determineVesselOperationalStatus() {
   return 'docked';
 }
 
-function updateVesselStatusMQTT() {
+function updateVesselStatusMQTT(vessel) {
+  const vesselState = vessel.state;
   const status = {
-    operational: determineVesselOperationalStatus(),
+    operational: determineVesselOperationalStatus(vessel),
     systems: {
       engine: {
         status: vesselState.engine.rpm > 0 ? 'running' : 'idle',
@@ -462,101 +1104,180 @@ function updateVesselStatusMQTT() {
     route: vesselState.navigation.route
   };
   
-  mqttClient.publishStatus(vesselState.vesselId, 'systems', status)
+  mqttClient.publishStatus(vessel.vesselId, 'systems', status)
     .catch(error => console.error('Failed to publish status:', error.message));
 }
 
+// Control commands by system and action. validate() returns a rejection reason (or
+// null); apply() changes the vessel and returns a description of what it did.
+const CONTROL_COMMANDS = {
+  engine: {
+    set_rpm: {
+      validate: (vessel, payload) => (typeof payload.value === 'number' && payload.value >= 0 && payload.value <= 2000
+        ? null
+        : 'RPM must be a number between 0 and 2000'),
+      apply: (vessel, payload) => {
+        vessel.state.engine.rpm = payload.value;
+        fleet.refresh(vessel);
+        publishTelemetry(vessel);
+        return `Engine RPM set to ${payload.value}`;
+      }
+    },
+    emergency_stop: {
+      validate: () => null,
+      apply: (vessel) => {
+        vessel.state.engine.rpm = 0;
+        fleet.refresh(vessel);
+        publishTelemetry(vessel);
+        return 'Engine stopped';
+      }
+    }
+  },
+  power: {
+    set_mode: {
+      validate: (vessel, payload) => (['electric', 'hybrid', 'diesel', 'auto'].includes(payload.mode)
+        ? null
+        : 'Mode must be electric, hybrid, diesel or auto'),
+      apply: (vessel, payload) => {
+        energyModel.setMode(vessel, payload.mode);
+        publishTelemetry(vessel);
+        return `Power mode set to ${vessel.state.power.mode}${payload.mode === 'auto' ? ' (auto)' : ''}`;
+      }
+    }
+  },
+  // Consumers that lost track of the delta stream ask for a fresh keyframe
+  telemetry: {
+    resync: {
+      validate: () => null,
+      apply: (vessel) => {
+        if (!deltaEncoder.requestKeyframe(vessel.vesselId)) {
+          return 'Keyframe was just published';
+        }
+        publishTelemetry(vessel);
+        return 'Keyframe published';
+      }
+    }
+  },
+  safety: {
+    acknowledge_alarm: {
+      validate: (vessel) => (vessel.activeAlerts.has('fire_alarm') ? null : 'No active fire alarm'),
+      apply: (vessel) => {
+        acknowledgeFireAlarm(vessel);
+        return 'Fire alarm acknowledged';
+      }
+    }
+  }
+};
+
+// Every command gets an ack (accepted/rejected); accepted ones also get a result
+// (applied/failed) carrying the resulting vessel state. Both echo the commandId.
+// Rejections are also published on the audit topic.
 function handleMQTTControlCommand(controlData) {
-  const { vesselId, system, action, payload } = controlData;
-  
-  console.log(`🎛️ Processing control command: ${system}/${action} for ${vesselId}`);
-  
-  // Route to appropriate handler based on system
-  switch (system) {
-    case 'engine':
-      handleEngineCommand(action, payload);
-      break;
-    case 'power':
-      handlePowerCommand(action, payload);
-      break;
-    case 'safety':
-      handleSafetyCommand(action, payload);
-      break;
-    default:
-      console.log(`⚠️ Unknown system: ${system}`);
+  const { topic, vesselId, system, action, replyTo } = controlData;
+  const payload = controlData.payload || {};
+  const vessel = fleet.getVessel(vesselId);
+  const response = {
+    commandId: payload.commandId || uuidv4(),
+    vesselId,
+    system,
+    action
+  };
+  const auth = commandAuth.check({ vesselId, system, action }, payload);
+
+  const reject = (reason) => {
+    console.log(`⚠️ Rejected control command ${system}/${action} for ${vesselId}: ${reason}`);
+    auditRejection({ channel: 'mqtt', topic, ...response, keyId: auth.keyId, role: auth.role, reason });
+    mqttClient.publishCommandResponse(topic, 'ack', { ...response, status: 'rejected', reason }, replyTo)
+      .catch(error => console.error('❌ Failed to publish command ack:', error.message));
+  };
+
+  if (!auth.allowed) {
+    return reject(auth.reason);
+  }
+  if (auth.reason) {
+    console.warn(`⚠️ Control command ${system}/${action} for ${vesselId} failed authentication (audit mode): ${auth.reason}`);
+    auditRejection({ channel: 'mqtt', topic, ...response, keyId: auth.keyId, role: auth.role, reason: auth.reason, enforced: false });
   }
-}
 
-function handleEngineCommand(action, payload) {
-  switch (action) {
-    case 'set_rpm':
-      if (payload.value >= 0 && payload.value <= 2000) {
-        vesselState.engine.rpm = payload.value;
-        vesselState.engine.fuelFlow = Math.max(50, payload.value * 0.15);
-        publishTelemetry();
-      }
-      break;
-    case 'emergency_stop':
-      vesselState.engine.rpm = 0;
-      vesselState.engine.fuelFlow = 0;
-      publishTelemetry();
-      break;
+  if (controlData.invalid) {
+    return reject(`Invalid command payload: ${controlData.invalid.join('; ')}`);
   }
-}
 
-function handlePowerCommand(action, payload) {
-  switch (action) {
-    case 'set_mode':
-      if (['electric', 'hybrid', 'diesel'].includes(payload.mode)) {
-        vesselState.power.mode = payload.mode;
-        publishTelemetry();
-      }
-      break;
+  if (!vessel) {
+    return reject(`Unknown vessel ${vesselId}`);
+  }
+
+  const command = CONTROL_COMMANDS[system] && CONTROL_COMMANDS[system][action];
+  if (!command) {
+    return reject(CONTROL_COMMANDS[system] ? `Unknown action ${action} for ${system}` : `Unknown system ${system}`);
   }
-}
 
-function handleSafetyCommand(action, payload) {
-  switch (action) {
-    case 'acknowledge_alarm':
-      vesselState.safety.fireAlarm = false;
-      publishTelemetry();
-      break;
+  const invalid = command.validate(vessel, payload);
+  if (invalid) {
+    return reject(invalid);
   }
+
+  console.log(`🎛️ Processing control command: ${system}/${action} for ${vesselId}`);
+  mqttClient.publishCommandResponse(topic, 'ack', { ...response, status: 'accepted', reason: null }, replyTo)
+    .catch(error => console.error('❌ Failed to publish command ack:', error.message));
+
+  let result;
+  try {
+    result = { ...response, status: 'applied', reason: command.apply(vessel, payload) };
+  } catch (error) {
+    console.error(`❌ Control command ${system}/${action} failed for ${vesselId}:`, error.message);
+    result = { ...response, status: 'failed', reason: error.message };
+  }
+
+  mqttClient.publishCommandResponse(topic, 'result', { ...result, state: vessel.state }, replyTo)
+    .catch(error => console.error('❌ Failed to publish command result:', error.message));
 }
 
-// Subscribe to control topics
-function subscribeToControlTopics() {
-  const vesselId = vesselState.vesselId;
-  const topics = [
-    `fleet/bcferries/${vesselId}/control/+/+`,
-    `fleet/bcferries/${vesselId}/command/+`
-  ];
-  
-  topics.forEach(topic => {
-    mqttClient.subscribe(topic, 1)
+function auditRejection(record) {
+  mqttClient.publishAudit({ event: 'command_rejected', ...record, enforced: record.enforced !== false })
+    .catch(error => console.error('❌ Failed to publish audit record:', error.message));
+}
+
+// Subscribe to a vessel's control topics, as laid out in every provider's topicMappings
+function subscribeToControlTopics(vessel) {
+  mqttClient.subscriptionsFor('control', { vesselId: vessel.vesselId }).forEach(({ topic, qos }) => {
+    mqttClient.subscribe(topic, qos, { remap: false })
       .then(() => console.log(`✅ Subscribed to control topic: ${topic}`))
       .catch(error => console.error(`❌ Failed to subscribe to ${topic}:`, error.message));
   });
 }
 
-// Initialize control topic subscriptions
-setTimeout(subscribeToControlTopics, 2000); // Wait for MQTT connection
+// Control topics for the startup fleet, once the broker is up; later connects restore
+// them along with every other subscription
+const subscribeFleetControlTopics = () => {
+  mqttClient.off('connected', subscribeFleetControlTopics);
+  fleet.listVessels().forEach(subscribeToControlTopics);
+};
+mqttClient.on('connected', subscribeFleetControlTopics);
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Shutting down gracefully...');
-  mqttClient.disconnect();
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+  fleet.stopAll();
+  if (recorder.active) recorder.stop();
+  // Vessels go offline cleanly before the process exits
+  mqttClient.disconnect().then(() => {
+    server.close(() => {
+      console.log('Server closed');
+      process.exit(0);
+    });
   });
 });
 
 process.on('SIGINT', () => {
   console.log('\nReceived SIGINT. Shutting down gracefully...');
-  mqttClient.disconnect();
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+  fleet.stopAll();
+  if (recorder.active) recorder.stop();
+  // Vessels go offline cleanly before the process exits
+  mqttClient.disconnect().then(() => {
+    server.close(() => {
+      console.log('Server closed');
+      process.exit(0);
+    });
   });
-});
\ No newline at end of file
+});
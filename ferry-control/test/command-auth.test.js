@@ -0,0 +1,70 @@
+const schemas = require('ferry-schemas');
+const CommandAuthenticator = require('../lib/command-auth');
+
+const roles = { operator: ['*'], monitor: ['telemetry/resync'] };
+const keys = [
+  { keyId: 'ops', role: 'operator', algorithm: 'hmac-sha256', secret: 'ops-secret' },
+  { keyId: 'mon', role: 'monitor', algorithm: 'hmac-sha256', secret: 'mon-secret' }
+];
+const opsKey = schemas.signing.createKey(keys[0]);
+const monKey = schemas.signing.createKey(keys[1]);
+
+const address = { vesselId: 'island-sky', system: 'engine', action: 'set_rpm' };
+const signed = (key, payload = {}, command = address) =>
+  schemas.signing.sign(command, { timestamp: new Date().toISOString(), value: 1200, ...payload }, key);
+
+describe('CommandAuthenticator', () => {
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('accepts a fresh command signed by a permitted key', () => {
+    const auth = new CommandAuthenticator({ roles, keys });
+    expect(auth.check(address, signed(opsKey))).toMatchObject({ allowed: true, reason: null, keyId: 'ops', role: 'operator' });
+  });
+
+  test('rejects unsigned, replayed, stale and misaddressed commands', () => {
+    const auth = new CommandAuthenticator({ roles, keys });
+    expect(auth.check(address, { value: 1200 }).allowed).toBe(false);
+
+    const command = signed(opsKey);
+    auth.check(address, command);
+    expect(auth.check(address, command).reason).toBe('Replayed command (nonce already used)');
+
+    const stale = signed(opsKey, { timestamp: new Date(Date.now() - 60000).toISOString() });
+    expect(auth.check(address, stale).reason).toMatch(/outside the allowed/);
+
+    expect(auth.check({ ...address, action: 'emergency_stop' }, signed(opsKey)).reason).toBe('Invalid signature');
+    expect(auth.describe()).toMatchObject({ verified: 1, rejected: 4 });
+  });
+
+  test('limits keys to the commands their role permits', () => {
+    const auth = new CommandAuthenticator({ roles, keys });
+    expect(auth.check(address, signed(monKey)).reason).toBe('Role monitor may not send engine/set_rpm');
+
+    const resync = { vesselId: 'island-sky', system: 'telemetry', action: 'resync' };
+    expect(auth.check(resync, signed(monKey, {}, resync)).allowed).toBe(true);
+  });
+
+  test('reports failures without rejecting in audit mode, and skips checks when off', () => {
+    const audit = new CommandAuthenticator({ mode: 'audit', roles, keys });
+    expect(audit.check(address, {})).toMatchObject({ allowed: true, reason: 'Command is not signed' });
+
+    const off = new CommandAuthenticator({ mode: 'off', roles, keys });
+    expect(off.check(address, {})).toMatchObject({ allowed: true, reason: null });
+  });
+
+  test('ignores keys with an unknown role', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const auth = new CommandAuthenticator({ roles, keys: [{ keyId: 'x', role: 'admin', secret: 'x' }] });
+    expect(auth.keys.size).toBe(0);
+  });
+
+  test('addresses vessel overrides and emergencies by path and nothing else', () => {
+    expect(CommandAuthenticator.addressOf('/override/island-sky/engine/rpm'))
+      .toEqual({ vesselId: 'island-sky', system: 'engine', action: 'rpm' });
+    expect(CommandAuthenticator.addressOf('/emergency/island-sky/fire/trigger'))
+      .toEqual({ vesselId: 'island-sky', system: 'fire', action: 'trigger' });
+    expect(CommandAuthenticator.addressOf('/faults/island-sky')).toBeNull();
+    expect(CommandAuthenticator.addressOf('/clock/step')).toBeNull();
+  });
+});
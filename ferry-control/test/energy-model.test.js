@@ -0,0 +1,57 @@
+const FleetRegistry = require('../lib/fleet-registry');
+const EnergyModel = require('../lib/energy-model');
+
+function createVessel(power = {}, rpm = 1800) {
+  const state = FleetRegistry.createVesselState({ vesselId: 'island-sky' });
+  Object.assign(state.power, power);
+  state.engine.rpm = rpm;
+  return { vesselId: 'island-sky', vesselClass: 'island', state };
+}
+
+describe('EnergyModel', () => {
+  const model = new EnergyModel();
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('selects power modes with hysteresis', () => {
+    expect(model.selectMode(createVessel({ mode: 'hybrid', batterySOC: 20 }))).toBe('diesel');
+    expect(model.selectMode(createVessel({ mode: 'diesel', batterySOC: 30 }))).toBe('diesel');
+    expect(model.selectMode(createVessel({ mode: 'diesel', batterySOC: 40 }))).toBe('hybrid');
+    expect(model.selectMode(createVessel({ mode: 'hybrid', batterySOC: 85 }))).toBe('electric');
+    expect(model.selectMode(createVessel({ mode: 'electric', batterySOC: 75 }))).toBe('electric');
+    expect(model.selectMode(createVessel({ mode: 'electric', batterySOC: 65 }))).toBe('hybrid');
+  });
+
+  test('splits demand between generator and battery in hybrid mode', () => {
+    const vessel = createVessel({ mode: 'hybrid', batterySOC: 50 });
+    model.update(vessel, 360);
+
+    expect(vessel.state.power.batteryPower).toBe(795);
+    expect(vessel.state.power.generatorLoad).toBe(66.3);
+    expect(vessel.state.power.batterySOC).toBe(40.06);
+    expect(vessel.state.engine.fuelFlow).toBe(182.9);
+  });
+
+  test('charges from shore power', () => {
+    const vessel = createVessel({ mode: 'hybrid', batterySOC: 50, shoreConnection: true }, 0);
+    model.update(vessel, 600);
+
+    expect(vessel.state.power.batteryPower).toBe(-600);
+    expect(vessel.state.power.batterySOC).toBe(62.5);
+    expect(vessel.state.engine.fuelFlow).toBe(0);
+  });
+
+  test('leaves a manual mode alone until the battery is flat', () => {
+    const vessel = createVessel({ mode: 'hybrid', batterySOC: 20 });
+    model.setMode(vessel, 'electric');
+    expect(vessel.state.power.mode).toBe('electric');
+
+    vessel.state.power.batterySOC = 5;
+    model.update(vessel, 0);
+    expect(vessel.state.power.mode).toBe('diesel');
+
+    model.setMode(vessel, 'auto');
+    expect(model.getEnergyState(vessel).autoMode).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+const FaultInjector = require('../lib/fault-injector');
+
+describe('FaultInjector', () => {
+  const start = Date.parse('2026-03-01T08:00:00Z');
+  let now;
+  let injector;
+
+  const payload = (messageId = 'm1') => ({
+    messageId,
+    timestamp: '2026-03-01T08:00:00.000Z',
+    engine: { rpm: 1200, temperature: 85 }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    now = start;
+    injector = new FaultInjector({ clock: { now: () => now } });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('validates fault definitions', () => {
+    expect(() => injector.addFault('island-sky', { type: 'melt' })).toThrow("Unknown fault type 'melt'");
+    expect(() => injector.addFault('island-sky', { type: 'stuck' })).toThrow('needs a field');
+    expect(() => injector.addFault('island-sky', { type: 'noise', field: 'engine.rpm' })).toThrow('positive amplitude');
+    expect(() => injector.addFault('island-sky', { type: 'drop', field: 'engine.rpm', probability: 2 })).toThrow('Probability');
+    expect(() => injector.addFault('island-sky', { type: 'publish_outage', duration: -1 })).toThrow('Duration');
+  });
+
+  test('passes payloads through untouched without faults', () => {
+    const original = payload();
+    expect(injector.apply('island-sky', original)).toEqual({ payload: original, publish: true, appliedFaults: [] });
+  });
+
+  test('corrupts a copy of the payload', () => {
+    injector.addFault('island-sky', { type: 'stuck', field: 'engine.rpm' });
+    injector.addFault('island-sky', { type: 'drop', field: 'engine.temperature' });
+    const nan = injector.addFault('island-sky', { type: 'nan', field: 'engine.load' });
+
+    const original = payload();
+    injector.apply('island-sky', original);
+    const second = payload('m2');
+    second.engine.rpm = 1500;
+    const { payload: result, appliedFaults } = injector.apply('island-sky', second);
+
+    expect(result.engine.rpm).toBe(1200);
+    expect(result.engine).not.toHaveProperty('temperature');
+    expect(result.engine.load).toBeNaN();
+    expect(appliedFaults).toHaveLength(3);
+    expect(nan.applied).toBe(2);
+    expect(second.engine.temperature).toBe(85);
+  });
+
+  test('applies link faults', () => {
+    injector.addFault('island-sky', { type: 'out_of_order', offset: -60 });
+    injector.addFault('island-sky', { type: 'duplicate_id' });
+    injector.addFault('island-sky', { type: 'publish_outage' });
+
+    injector.apply('island-sky', payload('m1'));
+    const result = injector.apply('island-sky', payload('m2'));
+    expect(result.publish).toBe(false);
+    expect(result.payload.messageId).toBe('m1');
+    expect(result.payload.timestamp).toBe('2026-03-01T07:59:00.000Z');
+  });
+
+  test('expires faults into the history', () => {
+    const fault = injector.addFault('island-sky', { type: 'publish_outage', duration: 30 });
+    injector.addFault('coastal-class-001', { type: 'drop', field: 'engine.rpm' });
+    expect(injector.listFaults()).toHaveLength(2);
+
+    now = start + 30000;
+    expect(injector.listFaults('island-sky')).toEqual([]);
+    expect(injector.getHistory('island-sky')).toEqual([
+      expect.objectContaining({ faultId: fault.faultId, endReason: 'expired', endedAt: '2026-03-01T08:00:30.000Z' })
+    ]);
+
+    expect(injector.clearFaults('coastal-class-001')).toBe(1);
+    expect(injector.getHistory()).toHaveLength(2);
+  });
+
+  test('reads and writes dot-path fields', () => {
+    const target = { a: { b: 1 } };
+    expect(FaultInjector.getField(target, 'a.b')).toBe(1);
+    expect(FaultInjector.getField(target, 'x.y')).toBeUndefined();
+    FaultInjector.setField(target, 'x.y', 2);
+    expect(target).toEqual({ a: { b: 1 } });
+    FaultInjector.deleteField(target, 'a.b');
+    expect(target).toEqual({ a: {} });
+  });
+});
@@ -0,0 +1,82 @@
+const FleetRegistry = require('../lib/fleet-registry');
+const SimulationClock = require('../lib/simulation-clock');
+
+describe('FleetRegistry', () => {
+  const start = Date.parse('2026-03-01T08:00:00Z');
+  let clock;
+  let fleet;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    clock = new SimulationClock({ startTime: start, paused: true });
+    fleet = new FleetRegistry({ clock, telemetryInterval: 10000 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('creates vessels with a default state', () => {
+    const added = [];
+    fleet.on('vessel_added', vessel => added.push(vessel.vesselId));
+
+    const vessel = fleet.createVessel({ vesselId: 'island-sky', route: 'TSA-SWB' });
+    expect(added).toEqual(['island-sky']);
+    expect(vessel).toMatchObject({ vesselClass: 'island', telemetryInterval: 10000, nextTelemetryAt: null });
+    expect(vessel.state).toMatchObject({ vesselId: 'island-sky', timestamp: '2026-03-01T08:00:00.000Z' });
+    expect(vessel.state.navigation.route).toBe('TSA-SWB');
+    expect(fleet.describeVessel(vessel).activeAlerts).toEqual([]);
+  });
+
+  test('rejects invalid and duplicate vessel ids', () => {
+    fleet.createVessel({ vesselId: 'island-sky' });
+    expect(() => fleet.createVessel({ vesselId: 'island-sky' })).toThrow('already exists');
+    expect(() => fleet.createVessel({ vesselId: 'bad id' })).toThrow('vesselId must be');
+    expect(() => fleet.createVessel({})).toThrow('vesselId must be');
+  });
+
+  test('removes vessels', () => {
+    fleet.createVessel({ vesselId: 'island-sky' });
+    expect(fleet.removeVessel('island-sky')).toBe(true);
+    expect(fleet.removeVessel('island-sky')).toBe(false);
+    expect(fleet.listVessels()).toEqual([]);
+  });
+
+  test('consumes stepped time in maxStep chunks through every model', () => {
+    const steps = [];
+    fleet.use({ update: (vessel, dt) => steps.push(dt) });
+    fleet.createVessel({ vesselId: 'island-sky' });
+
+    clock.step(3.5);
+    expect(steps).toEqual([1, 1, 1, 0.5]);
+    expect(fleet.getVessel('island-sky').state.timestamp).toBe('2026-03-01T08:00:03.500Z');
+  });
+
+  test('keeps stepping when a model throws', () => {
+    const updates = [];
+    fleet.use({ update: () => { throw new Error('boom'); } });
+    fleet.use({ update: vessel => updates.push(vessel.vesselId) });
+    fleet.createVessel({ vesselId: 'island-sky' });
+
+    fleet.step(1);
+    expect(updates).toEqual(['island-sky']);
+  });
+
+  test('publishes telemetry on each vessel schedule without catching up', () => {
+    const published = [];
+    fleet.on('telemetry', vessel => published.push(clock.now() - start));
+    const vessel = fleet.createVessel({ vesselId: 'island-sky' });
+    fleet.startTelemetry(vessel);
+
+    clock.step(25);
+    expect(published).toEqual([10000, 20000]);
+
+    // One long model step past several due times publishes once
+    fleet.maxStep = 120000;
+    clock.step(120);
+    expect(published).toEqual([10000, 20000, 145000]);
+    expect(vessel.nextTelemetryAt).toBe(start + 155000);
+
+    fleet.stopAll();
+    clock.step(60);
+    expect(published).toHaveLength(3);
+  });
+});
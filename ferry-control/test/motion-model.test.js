@@ -0,0 +1,78 @@
+const FleetRegistry = require('../lib/fleet-registry');
+const MotionModel = require('../lib/motion-model');
+
+function createVessel(overrides = {}) {
+  const state = FleetRegistry.createVesselState({ vesselId: 'island-sky', location: { latitude: 49, longitude: -123, heading: 0 } });
+  Object.assign(state.navigation, overrides.navigation);
+  Object.assign(state.engine, overrides.engine);
+  return { vesselId: 'island-sky', vesselClass: overrides.vesselClass || 'island', state };
+}
+
+describe('MotionModel', () => {
+  const model = new MotionModel();
+
+  test('normalizes headings and finds the shortest turn', () => {
+    expect(MotionModel.normalizeHeading(-90)).toBe(270);
+    expect(MotionModel.normalizeHeading(725)).toBe(5);
+    expect(MotionModel.headingDifference(350, 10)).toBe(20);
+    expect(MotionModel.headingDifference(10, 350)).toBe(-20);
+  });
+
+  test('targets a speed from RPM and power mode', () => {
+    const vessel = createVessel({ engine: { rpm: 1800 } });
+    expect(model.targetSpeed(vessel.state, model.getProfile('island'))).toBeCloseTo(14.5);
+
+    vessel.state.power.mode = 'electric';
+    expect(model.targetSpeed(vessel.state, model.getProfile('island'))).toBeCloseTo(14.5 * 0.85);
+    expect(model.getProfile('unknown')).toBe(MotionModel.VESSEL_PROFILES.island);
+  });
+
+  test('accelerates and decelerates within the profile limits', () => {
+    const accelerating = createVessel({ navigation: { speed: 5 }, engine: { rpm: 1800 } });
+    model.update(accelerating, 10);
+    expect(accelerating.state.navigation.speed).toBe(5.8);
+
+    const slowing = createVessel({ navigation: { speed: 12 }, engine: { rpm: 0 } });
+    model.update(slowing, 10);
+    expect(slowing.state.navigation.speed).toBe(10.5);
+  });
+
+  test('holds speed at the waypoint speed limit', () => {
+    const vessel = createVessel({ navigation: { speed: 10, speedLimit: 8 }, engine: { rpm: 1800 } });
+    model.update(vessel, 60);
+    expect(vessel.state.navigation.speed).toBe(8);
+  });
+
+  test('turns towards the target heading at the maximum turn rate', () => {
+    const vessel = createVessel({ navigation: { speed: 10, targetHeading: 340 } });
+    vessel.state.engine.rpm = 1241; // holds 10 knots
+    model.update(vessel, 5);
+    expect(vessel.state.location.heading).toBe(350);
+  });
+
+  test('dead-reckons along the heading', () => {
+    const vessel = createVessel({ navigation: { speed: 12 }, engine: { rpm: 1490 } });
+    model.update(vessel, 300);
+    expect(vessel.state.location.latitude).toBeCloseTo(49 + 1 / 60, 3);
+    expect(vessel.state.location.longitude).toBe(-123);
+  });
+
+  test('keeps moving through steps smaller than the published precision', () => {
+    const vessel = createVessel({ navigation: { speed: 5 }, engine: { rpm: 1800 } });
+    for (let i = 0; i < 100; i++) model.update(vessel, 0.05);
+
+    expect(vessel.state.navigation.speed).toBe(5.4);
+    expect(vessel.state.location.latitude).toBe(49.00012);
+  });
+
+  test('picks up a position changed outside the model', () => {
+    const vessel = createVessel({ navigation: { speed: 10 }, engine: { rpm: 1241 } });
+    model.update(vessel, 1);
+    vessel.state.location.latitude = 48.5;
+    vessel.state.navigation.speed = 0;
+    model.update(vessel, 1);
+
+    expect(vessel.state.navigation.speed).toBe(0.08);
+    expect(vessel.state.location.latitude).toBe(48.5);
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('mqtt', () => ({
+  connect: jest.fn(() => {
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    client.subscribe = jest.fn((topic, options, callback) => callback(null));
+    client.publish = jest.fn((topic, message, options, callback) => callback && callback(null));
+    client.end = jest.fn();
+    return client;
+  })
+}));
+
+const MQTTClient = require('../lib/mqtt-client');
+
+function createClient(provider) {
+  process.env.MQTT_PROVIDER = provider;
+  process.env.MQTT_PROVIDERS = provider;
+  process.env.MQTT_BUFFER_PATH = 'none';
+  return new MQTTClient();
+}
+
+describe('MQTTClient topic mappings', () => {
+  const env = { ...process.env };
+  let client;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ['mosquitto', 'ferry/vessel', 'fleet/bcferries'],
+    ['hivemq', 'fleet/bcferries', 'ferry/vessel']
+  ])('on %s', (provider, own, other) => {
+    beforeEach(() => {
+      client = createClient(provider);
+    });
+
+    test('parses control topics of its own and the other provider', () => {
+      expect(client.parseTopic('control', `${own}/island-sky/control/engine/set_rpm`))
+        .toEqual({ provider, params: { vesselId: 'island-sky', system: 'engine', action: 'set_rpm' } });
+      expect(client.parseTopic('control', `${other}/island-sky/control/telemetry/resync`).params)
+        .toEqual({ vesselId: 'island-sky', system: 'telemetry', action: 'resync' });
+      expect(client.parseTopic('control', `${own}/island-sky/control/engine/set_rpm/ack`)).toBeNull();
+    });
+
+    test('subscribes in its own layout', () => {
+      expect(client.subscriptionFor('control', { vesselId: 'island-sky' }))
+        .toEqual({ topic: `${own}/island-sky/control/+/+`, qos: expect.any(Number) });
+      expect(() => client.subscriptionFor('missing')).toThrow(`No missing topic mapping for ${provider}`);
+    });
+
+    test('lists control subscriptions for every layout, its own first', () => {
+      expect(client.subscriptionsFor('control', { vesselId: 'island-sky' }).map(subscription => subscription.topic))
+        .toEqual([`${own}/island-sky/control/+/+`, `${other}/island-sky/control/+/+`]);
+    });
+
+    test('keeps remap: false subscriptions as given and remaps the rest', () => {
+      client.isConnected = true;
+      client.subscribe(`${other}/island-sky/control/+/+`, 1, { remap: false });
+      client.subscribe(`${other}/+/telemetry`, 0);
+
+      const topics = client.client.subscribe.mock.calls.map(([topic]) => topic);
+      expect(topics).toEqual([`${other}/island-sky/control/+/+`, `${own}/+/telemetry`]);
+    });
+  });
+
+  test("hands on commands received in the other provider's layout", () => {
+    client = createClient('mosquitto');
+    const handled = [];
+    client.on('control', command => handled.push(command));
+    client.handleIncomingMessage('fleet/bcferries/island-sky/control/telemetry/resync', Buffer.from(JSON.stringify({
+      schemaVersion: '1.0',
+      timestamp: new Date().toISOString(),
+      reason: 'gap'
+    })), {});
+
+    expect(handled).toHaveLength(1);
+    expect(handled[0]).toMatchObject({ vesselId: 'island-sky', system: 'telemetry', action: 'resync', invalid: null });
+  });
+});
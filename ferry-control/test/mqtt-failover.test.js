@@ -0,0 +1,116 @@
+const connections = [];
+
+jest.mock('mqtt', () => ({
+  connect: jest.fn((url, options) => {
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    client.subscribe = jest.fn((topic, opts, callback) => callback(null));
+    client.publish = jest.fn((topic, message, opts, callback) => callback && callback(null));
+    client.end = jest.fn();
+    connections.push({ url, options, client });
+    return client;
+  })
+}));
+
+const MQTTClient = require('../lib/mqtt-client');
+
+describe('MQTTClient broker failover', () => {
+  const env = { ...process.env };
+  let client;
+  let changes;
+
+  const probes = () => connections.filter(({ options }) => options.clientId.endsWith('-probe'));
+  const lastProbe = () => probes()[probes().length - 1].client;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    connections.length = 0;
+    process.env.MQTT_PROVIDER = 'mosquitto';
+    process.env.MQTT_PROVIDERS = 'mosquitto,hivemq';
+    process.env.HIVEMQ_CLUSTER_URL = 'fleet.example.hivemq.cloud';
+    process.env.MQTT_BUFFER_PATH = 'none';
+    client = new MQTTClient();
+    client.config.failover = { failoverAfter: 3, probeInterval: 60000, probeTimeout: 10000, failbackAfter: 2 };
+    changes = [];
+    client.on('provider_changed', change => changes.push(change));
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    process.env = { ...env };
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  // Fails the primary over to HiveMQ with failoverAfter reconnect attempts
+  function loseConnection() {
+    const primary = client.client;
+    for (let attempt = 0; attempt < 3; attempt++) primary.emit('reconnect');
+    return primary;
+  }
+
+  test('fails over to the next provider after failoverAfter reconnect attempts', () => {
+    const primary = client.client;
+    primary.emit('reconnect');
+    primary.emit('reconnect');
+    expect(client.activeProvider).toBe('mosquitto');
+
+    primary.emit('reconnect');
+    expect(client.activeProvider).toBe('hivemq');
+    expect(primary.end).toHaveBeenCalledWith(true);
+    expect(primary.listenerCount('connect')).toBe(0);
+    expect(client.failovers).toBe(1);
+    expect(changes).toEqual([expect.objectContaining({ from: 'mosquitto', to: 'hivemq', reason: 'connection_lost', primary: false })]);
+    expect(connections[connections.length - 1].url).toContain('fleet.example.hivemq.cloud');
+  });
+
+  test('fails back after failbackAfter healthy probes in a row', () => {
+    loseConnection();
+
+    jest.advanceTimersByTime(60000);
+    const probe = lastProbe();
+    expect(probes()[0].options).toMatchObject({ reconnectPeriod: 0, connectTimeout: 10000 });
+    expect(probes()[0].options).not.toHaveProperty('will');
+    probe.emit('connect');
+    expect(probe.end).toHaveBeenCalledWith(true);
+    expect(client.activeProvider).toBe('hivemq');
+
+    jest.advanceTimersByTime(60000);
+    lastProbe().emit('connect');
+    expect(client.activeProvider).toBe('mosquitto');
+    expect(changes[1]).toMatchObject({ from: 'hivemq', to: 'mosquitto', reason: 'primary_recovered', primary: true });
+
+    // Back on the primary nothing is probed any more
+    jest.advanceTimersByTime(180000);
+    expect(probes()).toHaveLength(2);
+  });
+
+  test('starts counting again after an unhealthy probe', () => {
+    loseConnection();
+
+    jest.advanceTimersByTime(60000);
+    lastProbe().emit('connect');
+    jest.advanceTimersByTime(60000);
+    lastProbe().emit('error', new Error('Connection refused'));
+    expect(client.lastProbe).toMatchObject({ provider: 'mosquitto', healthy: false, detail: 'Connection refused' });
+
+    jest.advanceTimersByTime(60000);
+    lastProbe().emit('connect');
+    expect(client.activeProvider).toBe('hivemq');
+    jest.advanceTimersByTime(60000);
+    lastProbe().emit('connect');
+    expect(client.activeProvider).toBe('mosquitto');
+  });
+
+  test('treats a probe that never answers as unhealthy', () => {
+    loseConnection();
+
+    jest.advanceTimersByTime(60000);
+    jest.advanceTimersByTime(10000);
+    expect(client.lastProbe).toMatchObject({ healthy: false, detail: 'timeout' });
+    expect(lastProbe().end).toHaveBeenCalledWith(true);
+    expect(client.probing).toBe(false);
+  });
+});
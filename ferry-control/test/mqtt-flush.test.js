@@ -0,0 +1,97 @@
+jest.mock('mqtt', () => ({
+  connect: jest.fn(() => {
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    client.subscribe = jest.fn((topic, options, callback) => callback(null));
+    client.publish = jest.fn((topic, message, options, callback) => callback && callback(null));
+    client.end = jest.fn();
+    return client;
+  })
+}));
+
+const MQTTClient = require('../lib/mqtt-client');
+
+describe('MQTTClient buffer flush', () => {
+  const env = { ...process.env };
+  let client;
+  let outcomes;
+
+  // Payload number of every message the broker was sent, in order
+  const sent = () => client.client.publish.mock.calls.map(([, message]) => JSON.parse(message).n);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.MQTT_PROVIDER = 'mosquitto';
+    process.env.MQTT_PROVIDERS = 'mosquitto';
+    process.env.MQTT_BUFFER_PATH = 'none';
+    client = new MQTTClient();
+    client.config.quality = { maxRetries: 2, maxInflight: 1, flushRate: 100000, retryBackoff: { initial: 1, max: 1 } };
+    client.isConnected = true;
+
+    // Each publish takes the next outcome; null (or none left) means confirmed
+    outcomes = [];
+    client.client.publish = jest.fn((topic, message, options, callback) => {
+      const error = outcomes.shift();
+      setImmediate(() => callback(error ? new Error(error) : null));
+    });
+  });
+
+  afterEach(() => {
+    client.disconnect();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  function buffer(n, priority) {
+    client.messageBuffer.enqueue(`ferry/vessel/island-sky/${priority}`, JSON.stringify({ n }), { qos: 1 }, priority);
+  }
+
+  test('gives up on a normal message after maxRetries', async () => {
+    buffer(1, 'normal');
+    buffer(2, 'normal');
+    outcomes = ['timeout', 'timeout'];
+
+    await client.flushMessageBuffer();
+    expect(sent()).toEqual([1, 1, 2]);
+    expect(client.messageBuffer.stats().failed).toBe(1);
+    expect(client.messageBuffer.size).toBe(0);
+  });
+
+  test('keeps retrying a critical message past maxRetries', async () => {
+    buffer(1, 'critical');
+    buffer(2, 'bulk');
+    outcomes = ['timeout', 'timeout', 'timeout', 'timeout'];
+
+    await client.flushMessageBuffer();
+    expect(sent()).toEqual([1, 1, 1, 1, 1, 2]);
+    expect(client.messageBuffer.stats().failed).toBe(0);
+    expect(client.messageBuffer.size).toBe(0);
+  });
+
+  test('sends messages in flight behind a failure again after it', async () => {
+    client.config.quality = { ...client.config.quality, maxInflight: 3, flushRate: Infinity };
+    [1, 2, 3, 4].forEach(n => buffer(n, 'normal'));
+    outcomes = ['connection lost'];
+
+    await client.flushMessageBuffer();
+    expect(sent()).toEqual([1, 2, 3, 1, 2, 3, 4]);
+    expect(client.messageBuffer.size).toBe(0);
+  });
+
+  test('stops a pass at the first failure', async () => {
+    [1, 2, 3].forEach(n => buffer(n, 'normal'));
+    outcomes = [null, 'timeout'];
+
+    await client.flushMessageBuffer();
+    expect(sent()).toEqual([1, 2, 2, 3]);
+  });
+
+  test('tags buffered messages as late', async () => {
+    buffer(1, 'normal');
+    await client.flushMessageBuffer();
+
+    const message = JSON.parse(client.client.publish.mock.calls[0][1]);
+    expect(message).toMatchObject({ n: 1, late: true, bufferedAt: expect.any(String) });
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('mqtt', () => ({
+  connect: jest.fn(() => {
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    client.subscribe = jest.fn((topic, options, callback) => callback(null));
+    client.publish = jest.fn((topic, message, options, callback) => callback && callback(null));
+    client.end = jest.fn();
+    return client;
+  })
+}));
+
+const FleetRegistry = require('../lib/fleet-registry');
+const MQTTClient = require('../lib/mqtt-client');
+
+describe('MQTTClient MQTT 5 properties', () => {
+  const env = { ...process.env };
+  const now = Date.parse('2026-03-01T08:00:00Z');
+  let client;
+
+  function createClient(provider) {
+    process.env.MQTT_PROVIDER = provider;
+    process.env.MQTT_PROVIDERS = provider;
+    process.env.MQTT_BUFFER_PATH = 'none';
+    client = new MQTTClient();
+    client.isConnected = true;
+    return client;
+  }
+
+  const published = () => {
+    const [topic, message, options] = client.client.publish.mock.calls[client.client.publish.mock.calls.length - 1];
+    return { topic, payload: JSON.parse(message), options };
+  };
+
+  const telemetry = () => ({ ...FleetRegistry.createVesselState({ vesselId: 'island-sky' }), messageId: 'm1' });
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (client) client.disconnect();
+    client = null;
+    process.env = { ...env };
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('embedProperties', () => {
+    test('moves user properties into meta and the expiry into expiresAt', () => {
+      const embedded = MQTTClient.embedProperties(JSON.stringify({ n: 1, meta: { source: 'sim' } }), {
+        userProperties: { schemaVersion: '1.3' },
+        messageExpiryInterval: 60
+      });
+      expect(JSON.parse(embedded)).toEqual({
+        n: 1,
+        meta: { source: 'sim', schemaVersion: '1.3' },
+        expiresAt: '2026-03-01T08:01:00.000Z'
+      });
+    });
+
+    test('leaves payloads that are not JSON objects alone', () => {
+      expect(MQTTClient.embedProperties('[1,2]', { messageExpiryInterval: 60 })).toBe('[1,2]');
+      expect(MQTTClient.embedProperties('not json', { messageExpiryInterval: 60 })).toBe('not json');
+    });
+  });
+
+  test('sends telemetry user properties as MQTT 5 properties', async () => {
+    createClient('hivemq');
+    await client.publishTelemetry('island-sky', telemetry(), { vesselClass: 'island' });
+
+    const { payload, options } = published();
+    expect(options.properties.userProperties).toEqual({ schemaVersion: expect.any(String), simulation: 'true', vesselClass: 'island' });
+    expect(payload).not.toHaveProperty('meta');
+  });
+
+  test('falls back to the payload on MQTT 3.1.1', async () => {
+    createClient('mosquitto');
+    await client.publishTelemetry('island-sky', telemetry(), { vesselClass: 'coastal', simulated: false });
+
+    const { payload, options } = published();
+    expect(options).not.toHaveProperty('properties');
+    expect(payload.meta).toEqual({ schemaVersion: expect.any(String), simulation: 'false', vesselClass: 'coastal' });
+  });
+
+  test('counts time in the outbound buffer against the message expiry', () => {
+    createClient('hivemq');
+    const options = { qos: 2, properties: { messageExpiryInterval: 300 } };
+
+    expect(client.adaptForProtocol('{}', options, now - 120000).options.properties.messageExpiryInterval).toBe(180);
+    expect(client.adaptForProtocol('{}', options, now - 900000).options.properties.messageExpiryInterval).toBe(1);
+    expect(MQTTClient.isExpired({ options, timestamp: now - 299000 })).toBe(false);
+    expect(MQTTClient.isExpired({ options, timestamp: now - 300000 })).toBe(true);
+    expect(MQTTClient.isExpired({ options: { qos: 1 }, timestamp: 0 })).toBe(false);
+  });
+
+  test('restores correlation data read back from the buffer journal', () => {
+    createClient('hivemq');
+    const restored = JSON.parse(JSON.stringify({ properties: { correlationData: Buffer.from('cmd-1') } }));
+    const { options } = client.adaptForProtocol('{}', restored);
+    expect(Buffer.isBuffer(options.properties.correlationData)).toBe(true);
+    expect(options.properties.correlationData.toString()).toBe('cmd-1');
+  });
+
+  test('answers on the response topic with correlation data on MQTT 5', async () => {
+    createClient('hivemq');
+    await client.publishCommandResponse('fleet/bcferries/island-sky/control/engine/set_rpm', 'ack', { status: 'accepted' }, {
+      responseTopic: 'ops/responses/1',
+      correlationData: Buffer.from('cmd-1')
+    });
+
+    const { topic, options } = published();
+    expect(topic).toBe('ops/responses/1');
+    expect(options.properties).toEqual({ userProperties: { responseType: 'ack' }, correlationData: Buffer.from('cmd-1') });
+  });
+
+  test('answers beside the command topic on MQTT 3.1.1', async () => {
+    createClient('mosquitto');
+    await client.publishCommandResponse('ferry/vessel/island-sky/control/engine/set_rpm', 'result', { status: 'applied' }, {
+      responseTopic: 'ops/responses/1'
+    });
+
+    expect(published().topic).toBe('ferry/vessel/island-sky/control/engine/set_rpm/result');
+  });
+});
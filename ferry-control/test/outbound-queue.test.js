@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OutboundQueue = require('../lib/outbound-queue');
+
+describe('OutboundQueue', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('keeps entries in publish order and tracks depth per priority', () => {
+    const queue = new OutboundQueue();
+    queue.enqueue('a', 'one', {}, 'critical');
+    const second = queue.enqueue('b', 'two');
+    queue.enqueue('c', 'three', {}, 'unknown');
+
+    expect(queue.list().map(entry => entry.topic)).toEqual(['a', 'b', 'c']);
+    expect(queue.stats().byPriority).toEqual({ critical: 1, normal: 2, bulk: 0 });
+
+    queue.discard(second.seq);
+    expect(queue.size).toBe(2);
+    expect(queue.stats()).toMatchObject({ failed: 1, persistent: false });
+  });
+
+  test('drops the oldest message of a full priority only', () => {
+    const queue = new OutboundQueue({ limits: { normal: 2 } });
+    queue.enqueue('alarm', 'fire', {}, 'critical');
+    queue.enqueue('t1', 'one');
+    queue.enqueue('t2', 'two');
+    queue.enqueue('t3', 'three');
+
+    expect(queue.list().map(entry => entry.topic)).toEqual(['alarm', 't2', 't3']);
+    expect(queue.stats().dropped).toEqual({ critical: 0, normal: 1, bulk: 0 });
+  });
+
+  test('restores live entries from the journal', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-')), 'buffer.jsonl');
+    const queue = new OutboundQueue({ filePath });
+    queue.enqueue('a', 'one', { qos: 1 }, 'critical', false);
+    const removed = queue.enqueue('b', 'two');
+    queue.enqueue('c', 'three', {}, 'bulk');
+    queue.expire(removed.seq);
+    fs.appendFileSync(filePath, '{"op":"add","entry":');
+
+    const restored = new OutboundQueue({ filePath });
+    expect(restored.list().map(entry => [entry.topic, entry.late])).toEqual([['a', false], ['c', true]]);
+    expect(restored.stats().byPriority).toEqual({ critical: 1, normal: 0, bulk: 1 });
+    expect(restored.enqueue('d', 'four').seq).toBe(4);
+
+    // The corrupt tail is gone once the journal is compacted on load
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).op)).toEqual(['add', 'add', 'add']);
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RouteEngine = require('../lib/route-engine');
+
+const waypoints = [
+  { name: 'A', latitude: 49.0, longitude: -123.0, terminal: true },
+  { name: 'B', latitude: 49.1, longitude: -123.1, speedLimit: 10 },
+  { name: 'C', latitude: 49.2, longitude: -123.2, terminal: true }
+];
+
+function writeConfig(routes) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'routes-')), 'routes.json');
+  fs.writeFileSync(file, JSON.stringify({ routes }));
+  return file;
+}
+
+describe('RouteEngine', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('loads the bundled routes with their reverse directions', () => {
+    const engine = new RouteEngine();
+    expect(engine.getRoute('SWB-TSA').name).toBe('Swartz Bay - Tsawwassen');
+    expect(engine.getRoute('TSA-SWB').name).toBe('Tsawwassen - Swartz Bay');
+  });
+
+  test('shifts speed limits by one waypoint on the reverse route', () => {
+    const engine = new RouteEngine(writeConfig({ 'A-C': { name: 'A - C', reverse: 'C-A', waypoints } }));
+    const reverse = engine.getRoute('C-A');
+    expect(reverse.waypoints.map(waypoint => waypoint.name)).toEqual(['C', 'B', 'A']);
+    expect(reverse.waypoints.map(waypoint => waypoint.speedLimit)).toEqual([undefined, undefined, 10]);
+  });
+
+  test('names unnamed routes after their ids', () => {
+    const engine = new RouteEngine(writeConfig({ 'A-C': { reverse: 'C-A', waypoints } }));
+    expect(engine.getRoute('A-C').name).toBe('A-C');
+    expect(engine.getRoute('C-A').name).toBe('C-A');
+  });
+
+  test('skips invalid routes and keeps loading the rest', () => {
+    const engine = new RouteEngine(writeConfig({
+      broken: { name: 'Broken', waypoints: [waypoints[0]] },
+      missing: null,
+      'A-C': { name: 'A - C', waypoints }
+    }));
+    expect(engine.listRoutes().map(route => route.routeId)).toEqual(['A-C']);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Route broken needs at least two waypoints'));
+  });
+});
@@ -0,0 +1,110 @@
+const ScenarioEngine = require('../lib/scenario-engine');
+const FleetRegistry = require('../lib/fleet-registry');
+
+function createEngine(actions = {}) {
+  const fleet = new FleetRegistry();
+  fleet.createVessel({ vesselId: 'island-sky' });
+  return { fleet, engine: new ScenarioEngine(fleet, { scenarioDir: null, actions }) };
+}
+
+describe('ScenarioEngine', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('parses step times in seconds, minutes, hours and t+ form', () => {
+    expect(ScenarioEngine.parseDuration(45)).toBe(45);
+    expect(ScenarioEngine.parseDuration('90s')).toBe(90);
+    expect(ScenarioEngine.parseDuration('t+2m')).toBe(120);
+    expect(ScenarioEngine.parseDuration('1h')).toBe(3600);
+    expect(() => ScenarioEngine.parseDuration('soon')).toThrow("Invalid time 'soon'");
+  });
+
+  test('orders steps by time and keeps file order for ties', () => {
+    const { engine } = createEngine();
+    const scenario = engine.addScenario({
+      id: 'drill',
+      steps: [
+        { at: '1m', action: 'log', message: 'second' },
+        { at: '0s', action: 'log', message: 'first' },
+        { at: '1m', action: 'log', message: 'third' }
+      ]
+    });
+    expect(scenario.steps.map(step => step.message)).toEqual(['first', 'second', 'third']);
+    expect(scenario.duration).toBe(60);
+  });
+
+  test('rejects unknown actions and bad field paths', () => {
+    const { engine } = createEngine();
+    expect(() => engine.addScenario({ id: 'x', steps: [{ action: 'explode' }] }))
+      .toThrow("unknown action 'explode'");
+    expect(() => engine.addScenario({ id: 'x', steps: [{ action: 'ramp', field: 'engine.temprature', rate: 5, until: 100 }] }))
+      .toThrow('ramp field engine.temprature is not a numeric vessel field');
+    expect(() => engine.addScenario({ id: 'x', steps: [{ action: 'wait_for', field: 'engin.temperature', above: 100 }] }))
+      .toThrow('unknown field engin.temperature');
+  });
+
+  test('accepts wait_for on fields the models add while running', () => {
+    const { engine } = createEngine();
+    expect(() => engine.addScenario({ id: 'x', steps: [{ action: 'wait_for', field: 'navigation.status', equals: 'docked' }] }))
+      .not.toThrow();
+  });
+
+  test('runs set, ramp and wait_for steps on the simulation tick', () => {
+    const { fleet, engine } = createEngine();
+    engine.addScenario({
+      id: 'flooding',
+      steps: [
+        { at: '0s', action: 'set', field: 'engine.rpm', value: 900 },
+        { at: '10s', action: 'ramp', field: 'safety.bilgeLevel', rate: 60, until: 40 },
+        { at: '10s', action: 'wait_for', field: 'safety.bilgeLevel', above: 30 },
+        { at: '10s', action: 'log', message: 'pumps on' }
+      ]
+    });
+
+    const run = engine.start('flooding', 'island-sky');
+    const state = fleet.getVessel('island-sky').state;
+    expect(state.engine.rpm).toBe(900);
+
+    engine.advance(10);
+    expect(engine.describeRun(run).waitingFor).toBe('safety.bilgeLevel > 30');
+
+    engine.advance(20);
+    expect(state.safety.bilgeLevel).toBe(35);
+    expect(run.log.map(entry => entry.message)).toContain('pumps on');
+
+    engine.advance(10);
+    expect(state.safety.bilgeLevel).toBe(40);
+    expect(run.status).toBe('completed');
+  });
+
+  test('fails a run whose wait_for times out', () => {
+    const { engine } = createEngine();
+    engine.addScenario({ id: 'stuck', steps: [{ action: 'wait_for', field: 'safety.fireAlarm', timeout: '30s' }] });
+    const run = engine.start('stuck', 'island-sky');
+    engine.advance(30);
+    expect(run.status).toBe('failed');
+    expect(run.log[run.log.length - 1].message).toBe('Timed out waiting for safety.fireAlarm');
+  });
+
+  test('fails the run instead of throwing when a field is missing at run time', () => {
+    const { engine } = createEngine();
+    engine.addScenario({ id: 'docking', steps: [{ at: '5s', action: 'wait_for', field: 'navigation.status', equals: 'docked' }] });
+    const run = engine.start('docking', 'island-sky');
+    const other = engine.start('docking', 'island-sky');
+
+    expect(() => engine.advance(5)).not.toThrow();
+    expect(run.status).toBe('failed');
+    expect(other.status).toBe('failed');
+    expect(run.log[run.log.length - 1].message).toBe('Run failed: Unknown field navigation.status');
+  });
+
+  test('fails a run when a custom action throws', () => {
+    const { engine } = createEngine({
+      power_mode: () => { throw new Error('Invalid power mode warp'); }
+    });
+    engine.addScenario({ id: 'bad-mode', steps: [{ action: 'power_mode', mode: 'warp' }] });
+    const run = engine.start('bad-mode', 'island-sky');
+    expect(run.status).toBe('failed');
+    expect(run.log[run.log.length - 1].message).toBe('Step 0 (power_mode) failed: Invalid power mode warp');
+  });
+});
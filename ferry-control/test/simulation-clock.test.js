@@ -0,0 +1,67 @@
+const SimulationClock = require('../lib/simulation-clock');
+
+describe('SimulationClock', () => {
+  const start = Date.parse('2026-03-01T08:00:00Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(start);
+  });
+
+  afterEach(() => jest.useRealTimers());
+
+  test('owes wall time multiplied by the rate', () => {
+    const clock = new SimulationClock({ startTime: start, rate: 10 });
+    expect(clock.mode).toBe('accelerated');
+
+    jest.setSystemTime(start + 2000);
+    expect(clock.elapse()).toBe(20000);
+    expect(clock.elapse()).toBe(0);
+    expect(clock.now()).toBe(start);
+
+    clock.advance(20000);
+    expect(clock.toISOString()).toBe('2026-03-01T08:00:20.000Z');
+  });
+
+  test('accrues nothing while paused and single-steps on request', () => {
+    const clock = new SimulationClock({ startTime: start, paused: true });
+    const steps = [];
+    clock.on('step', seconds => steps.push(seconds));
+    expect(clock.mode).toBe('paused');
+
+    jest.setSystemTime(start + 5000);
+    clock.step(30);
+    expect(clock.elapse()).toBe(30000);
+    expect(steps).toEqual([30]);
+
+    clock.resume();
+    expect(() => clock.step(1)).toThrow('must be paused');
+  });
+
+  test('keeps time owed at the old rate when the rate changes', () => {
+    const clock = new SimulationClock({ startTime: start });
+    jest.setSystemTime(start + 1000);
+    clock.setRate(60);
+    jest.setSystemTime(start + 2000);
+    expect(clock.elapse()).toBe(61000);
+  });
+
+  test('rejects out of range rates and steps', () => {
+    const clock = new SimulationClock({ startTime: start, paused: true });
+    expect(() => clock.setRate(0)).toThrow('Rate must be greater than 0');
+    expect(() => clock.setRate(SimulationClock.MAX_RATE + 1)).toThrow('at most 600');
+    expect(() => clock.step(SimulationClock.MAX_STEP_SECONDS + 1)).toThrow('at most 3600 seconds');
+    expect(() => clock.step(-1)).toThrow('Step must be greater than 0');
+  });
+
+  test('emits a description on every change', () => {
+    const clock = new SimulationClock({ startTime: start });
+    const changes = [];
+    clock.on('change', description => changes.push(description));
+
+    clock.setRate(5);
+    clock.pause();
+    expect(changes.map(change => change.mode)).toEqual(['accelerated', 'paused']);
+    expect(changes[1]).toMatchObject({ rate: 5, time: '2026-03-01T08:00:00.000Z', offsetSeconds: 0 });
+  });
+});
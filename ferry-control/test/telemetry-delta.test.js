@@ -0,0 +1,160 @@
+const { FrameTracker } = require('ferry-schemas');
+const TelemetryDeltaEncoder = require('../lib/telemetry-delta');
+
+describe('TelemetryDeltaEncoder', () => {
+  let now;
+  let encoder;
+
+  const telemetry = (rpm, temperature, extra = {}) => ({
+    vesselId: 'island-sky',
+    timestamp: new Date(now).toISOString(),
+    messageId: `m-${now}`,
+    engine: { rpm, temperature },
+    navigation: { speed: 18.5 },
+    ...extra
+  });
+  // What a consumer ends up with, minus the fields that describe a single message
+  const vesselState = ({ frame, timestamp, messageId, ...state }) => state;
+
+  beforeEach(() => {
+    now = Date.parse('2026-03-01T08:00:00Z');
+    encoder = new TelemetryDeltaEncoder({
+      keyframeInterval: 60000,
+      deadbands: { 'engine.temperature': 0.5 },
+      clock: { now: () => now }
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('starts with a keyframe and then sends only the fields that moved', () => {
+    expect(encoder.encode('island-sky', telemetry(1200, 85))).toMatchObject({
+      type: 'keyframe',
+      message: { engine: { rpm: 1200, temperature: 85 }, frame: { type: 'keyframe', seq: 0 } }
+    });
+
+    now += 1000;
+    const { type, message } = encoder.encode('island-sky', telemetry(1250, 85.3));
+    expect(type).toBe('delta');
+    expect(message).toEqual({
+      vesselId: 'island-sky',
+      timestamp: new Date(now).toISOString(),
+      messageId: `m-${now}`,
+      engine: { rpm: 1250 },
+      frame: { type: 'delta', seq: 1, keyframe: 0 }
+    });
+  });
+
+  test('lets slow drift add up until it crosses the deadband', () => {
+    encoder.encode('island-sky', telemetry(1200, 85));
+    expect(encoder.encode('island-sky', telemetry(1200, 85.3)).message).not.toHaveProperty('engine');
+    expect(encoder.encode('island-sky', telemetry(1200, 85.6)).message.engine).toEqual({ temperature: 85.6 });
+  });
+
+  test('sends removed fields as null', () => {
+    encoder.encode('island-sky', telemetry(1200, 85, { weather: { wind: 12 } }));
+    expect(encoder.encode('island-sky', telemetry(1200, 85)).message.weather).toBeNull();
+  });
+
+  test('sends a keyframe every keyframeInterval of simulated time', () => {
+    encoder.encode('island-sky', telemetry(1200, 85));
+    now += 59000;
+    expect(encoder.encode('island-sky', telemetry(1200, 85)).type).toBe('delta');
+    now += 1000;
+    expect(encoder.encode('island-sky', telemetry(1200, 85)).message.frame).toEqual({ type: 'keyframe', seq: 2 });
+  });
+
+  test('turns down keyframe requests right after a keyframe', () => {
+    jest.useFakeTimers({ now });
+    encoder.encode('island-sky', telemetry(1200, 85));
+    expect(encoder.requestKeyframe('island-sky')).toBe(false);
+
+    jest.advanceTimersByTime(encoder.resyncHoldoff);
+    expect(encoder.requestKeyframe('island-sky')).toBe(true);
+    expect(encoder.encode('island-sky', telemetry(1200, 85)).type).toBe('keyframe');
+  });
+
+  test('gives back the sequence number and changes of a frame that failed to publish', () => {
+    encoder.encode('island-sky', telemetry(1200, 85));
+    const failed = encoder.encode('island-sky', telemetry(1300, 85));
+    encoder.rollback('island-sky', failed.message.frame.seq);
+
+    expect(encoder.encode('island-sky', telemetry(1300, 85)).message).toMatchObject({
+      engine: { rpm: 1300 },
+      frame: { type: 'delta', seq: 1, keyframe: 0 }
+    });
+  });
+
+  test('gives back a failed first keyframe', () => {
+    const failed = encoder.encode('island-sky', telemetry(1200, 85));
+    encoder.rollback('island-sky', failed.message.frame.seq);
+    expect(encoder.encode('island-sky', telemetry(1200, 85)).message.frame).toEqual({ type: 'keyframe', seq: 0 });
+  });
+
+  test('follows a failure behind later frames with a keyframe', () => {
+    encoder.encode('island-sky', telemetry(1200, 85));
+    const failed = encoder.encode('island-sky', telemetry(1300, 85));
+    encoder.encode('island-sky', telemetry(1400, 85));
+    encoder.rollback('island-sky', failed.message.frame.seq);
+
+    expect(encoder.encode('island-sky', telemetry(1400, 85)).message.frame).toEqual({ type: 'keyframe', seq: 3 });
+  });
+
+  describe('with a FrameTracker on the receiving side', () => {
+    let tracker;
+    let readings;
+
+    beforeEach(() => {
+      tracker = new FrameTracker();
+      encoder.deadbands = {};
+      readings = Array.from({ length: 10 }, (_, i) => telemetry(1200 + i * 10, 85 + (i % 3)));
+    });
+
+    const send = (payload) => {
+      now += 15000;
+      return encoder.encode('island-sky', { ...payload, timestamp: new Date(now).toISOString() }).message;
+    };
+
+    test('rebuilds every reading across keyframe intervals', () => {
+      const frames = readings.map(reading => {
+        const message = send(reading);
+        const { state, resync } = tracker.accept(message);
+        expect(resync).toBeNull();
+        expect(vesselState(state)).toEqual(vesselState(reading));
+        return message.frame.type;
+      });
+      expect(frames).toEqual(['keyframe', 'delta', 'delta', 'delta', 'keyframe', 'delta', 'delta', 'delta', 'keyframe', 'delta']);
+    });
+
+    test('recovers from a lost message with a requested keyframe', () => {
+      jest.useFakeTimers({ now });
+      tracker.accept(send(readings[0]));
+      send(readings[1]); // never arrives
+
+      const { resync } = tracker.accept(send(readings[2]));
+      expect(resync).toBe('sequence_gap');
+      jest.advanceTimersByTime(encoder.resyncHoldoff);
+      expect(encoder.requestKeyframe('island-sky')).toBe(true);
+
+      const keyframe = send(readings[3]);
+      expect(keyframe.frame.type).toBe('keyframe');
+      const { state } = tracker.accept(keyframe);
+      expect(vesselState(state)).toEqual(vesselState(readings[3]));
+      expect(tracker.accept(send(readings[4])).resync).toBeNull();
+    });
+
+    test('sees no gap when a failed frame is rolled back', () => {
+      tracker.accept(send(readings[0]));
+      const failed = send(readings[1]);
+      encoder.rollback('island-sky', failed.frame.seq);
+
+      readings.slice(2).forEach(reading => {
+        const { state, resync } = tracker.accept(send(reading));
+        expect(resync).toBeNull();
+        expect(vesselState(state)).toEqual(vesselState(reading));
+      });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/mqtt-config.json');
+const TelemetryRecorder = require('../lib/telemetry-recorder');
+const TelemetryReplayer = require('../lib/telemetry-replayer');
+
+function createClient(activeProvider) {
+  const client = new EventEmitter();
+  client.activeProvider = activeProvider;
+  client.config = config;
+  client.publish = jest.fn(() => Promise.resolve());
+  return client;
+}
+
+// Records three telemetry messages 0, 10 and 20 seconds apart on HiveMQ topics
+async function record(recordingDir) {
+  const client = createClient('hivemq');
+  const recorder = new TelemetryRecorder(client, { recordingDir });
+  let now = Date.parse('2026-03-01T08:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+  recorder.start('ferry-run');
+  [1, 2, 3].forEach(seq => {
+    client.emit('publish', {
+      topic: 'fleet/bcferries/island-sky/telemetry',
+      message: JSON.stringify({ seq }),
+      options: { qos: 1 }
+    });
+    now += 10000;
+  });
+
+  const { stream } = recorder.active;
+  const summary = recorder.stop();
+  await new Promise(resolve => stream.on('finish', resolve));
+  Date.now.mockRestore();
+  return summary;
+}
+
+describe('telemetry record and replay', () => {
+  let recordingDir;
+  let file;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    file = path.join(recordingDir, 'ferry-run.jsonl');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('records every publish with its timing after a header', async () => {
+    const summary = await record(recordingDir);
+    expect(summary).toMatchObject({ name: 'ferry-run', provider: 'hivemq', messages: 3, recording: false });
+
+    const { header, messages } = TelemetryRecorder.load(file);
+    expect(header).toMatchObject({ name: 'ferry-run', provider: 'hivemq', topicMappings: config.topicMappings });
+    expect(messages.map(entry => [entry.t, entry.payload, entry.qos])).toEqual([
+      [0, '{"seq":1}', 1],
+      [10000, '{"seq":2}', 1],
+      [20000, '{"seq":3}', 1]
+    ]);
+  });
+
+  test('refuses bad names and a second recording', () => {
+    const recorder = new TelemetryRecorder(createClient('hivemq'), { recordingDir });
+    expect(() => recorder.start('../escape')).toThrow('Recording name must be');
+
+    recorder.start('first');
+    expect(() => recorder.start('second')).toThrow('Recording first already in progress');
+    recorder.stop();
+    expect(() => recorder.stop()).toThrow('No recording in progress');
+  });
+
+  test('replays at speed onto the target provider topics', async () => {
+    await record(recordingDir);
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const client = createClient('mosquitto');
+    const replayer = new TelemetryReplayer(client);
+    const finished = jest.fn();
+    replayer.on('finished', finished);
+
+    replayer.start(file, { speed: 10 });
+    jest.advanceTimersByTime(0);
+    expect(client.publish).toHaveBeenCalledTimes(1);
+    expect(client.publish).toHaveBeenCalledWith('ferry/vessel/island-sky/telemetry', '{"seq":1}', { qos: 1, retain: false });
+
+    jest.advanceTimersByTime(999);
+    expect(client.publish).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(client.publish).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(1000);
+    expect(client.publish).toHaveBeenCalledTimes(3);
+    expect(finished).toHaveBeenCalledWith(expect.objectContaining({ result: 'completed', published: 3 }));
+    expect(replayer.status()).toEqual({ replaying: false });
+  });
+
+  test('seeks within a running replay and stops it', async () => {
+    await record(recordingDir);
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    const client = createClient('mosquitto');
+    const replayer = new TelemetryReplayer(client);
+
+    replayer.start(file, { speed: 1 });
+    jest.advanceTimersByTime(0);
+    expect(replayer.seek(5).position).toBe('1/3');
+
+    jest.advanceTimersByTime(4999);
+    expect(client.publish).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    expect(client.publish).toHaveBeenLastCalledWith('ferry/vessel/island-sky/telemetry', '{"seq":2}', expect.any(Object));
+
+    replayer.seek(0);
+    jest.advanceTimersByTime(0);
+    expect(client.publish).toHaveBeenLastCalledWith('ferry/vessel/island-sky/telemetry', '{"seq":1}', expect.any(Object));
+
+    expect(() => replayer.seek(-1)).toThrow('Position must be');
+    expect(replayer.stop()).toMatchObject({ result: 'stopped', published: 3 });
+    jest.advanceTimersByTime(60000);
+    expect(client.publish).toHaveBeenCalledTimes(3);
+    expect(() => replayer.seek(0)).toThrow('No replay running');
+  });
+
+  test('rejects invalid speeds', async () => {
+    await record(recordingDir);
+    const replayer = new TelemetryReplayer(createClient('mosquitto'));
+    expect(() => replayer.start(file, { speed: 0 })).toThrow('Speed must be greater than 0');
+    expect(() => replayer.start(file, { speed: 5000 })).toThrow('at most 1000');
+  });
+});
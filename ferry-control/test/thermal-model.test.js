@@ -0,0 +1,60 @@
+const FleetRegistry = require('../lib/fleet-registry');
+const ThermalModel = require('../lib/thermal-model');
+
+function createVessel(rpm, temperature) {
+  const state = FleetRegistry.createVesselState({ vesselId: 'island-sky' });
+  state.engine.rpm = rpm;
+  state.engine.temperature = temperature;
+  return { vesselId: 'island-sky', state };
+}
+
+describe('ThermalModel', () => {
+  const model = new ThermalModel();
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('settles at a load-dependent equilibrium', () => {
+    expect(model.equilibrium(createVessel(0, 85))).toBe(15);
+    expect(model.equilibrium(createVessel(1800, 85))).toBe(92);
+    expect(model.equilibrium(createVessel(900, 85))).toBe(85);
+  });
+
+  test('warms up faster than it cools down', () => {
+    const warming = createVessel(1800, 72);
+    model.update(warming, 300);
+    expect(warming.state.engine.temperature).toBeCloseTo(92 - 20 / Math.E, 1);
+
+    const cooling = createVessel(0, 85);
+    model.update(cooling, 300);
+    expect(cooling.state.engine.temperature).toBeCloseTo(15 + 70 * Math.exp(-1 / 3), 1);
+  });
+
+  test('overheats with the cooling circuit failed', () => {
+    const vessel = createVessel(1800, 92);
+    model.setCoolingFailure(vessel, true);
+    expect(model.equilibrium(vessel)).toBe(147);
+
+    model.update(vessel, 600);
+    expect(vessel.state.engine.temperature).toBeGreaterThan(125);
+  });
+
+  test('resyncs to a temperature changed by an override', () => {
+    const vessel = createVessel(900, 85);
+    model.update(vessel, 10);
+    vessel.state.engine.temperature = 110;
+    model.update(vessel, 0);
+    expect(vessel.state.engine.temperature).toBe(110);
+  });
+
+  test('holds an override until it is cleared', () => {
+    const vessel = createVessel(1800, 92);
+    model.setOverride(vessel, 110);
+    model.update(vessel, 600);
+    expect(vessel.state.engine.temperature).toBe(110);
+
+    model.setOverride(vessel, null);
+    model.update(vessel, 300);
+    expect(vessel.state.engine.temperature).toBeCloseTo(92 + 18 * Math.exp(-1 / 3), 1);
+  });
+});
@@ -0,0 +1,38 @@
+const { matchPattern, fillPattern, placeholders, topicFilter, remapTopic } = require('../lib/topic-templates');
+const config = require('../config/mqtt-config.json');
+
+const { hivemq, mosquitto } = config.topicMappings;
+
+describe('topic templates', () => {
+  test('fills and lists placeholders', () => {
+    expect(fillPattern(mosquitto.control.pattern, { vesselId: 'island-sky', system: 'engine', action: 'set_rpm' }))
+      .toBe('ferry/vessel/island-sky/control/engine/set_rpm');
+    expect(fillPattern(hivemq.status.pattern, { vesselId: 'island-sky' }))
+      .toBe('fleet/bcferries/island-sky/status/{component}');
+    expect(placeholders(hivemq.control.pattern)).toEqual(['vesselId', 'system', 'action']);
+  });
+
+  test('parses topics of either layout against its own pattern only', () => {
+    expect(matchPattern(hivemq.control.pattern, 'fleet/bcferries/island-sky/control/engine/set_rpm'))
+      .toEqual({ vesselId: 'island-sky', system: 'engine', action: 'set_rpm' });
+    expect(matchPattern(mosquitto.control.pattern, 'ferry/vessel/island-sky/control/telemetry/resync'))
+      .toEqual({ vesselId: 'island-sky', system: 'telemetry', action: 'resync' });
+    expect(matchPattern(mosquitto.control.pattern, 'fleet/bcferries/island-sky/control/engine/set_rpm')).toBeNull();
+    expect(matchPattern(mosquitto.control.pattern, 'ferry/vessel/island-sky/control/engine/set_rpm/ack')).toBeNull();
+  });
+
+  test('builds subscription filters with wildcards for unspecified placeholders', () => {
+    expect(topicFilter(mosquitto.control.pattern, { vesselId: 'island-sky' })).toBe('ferry/vessel/island-sky/control/+/+');
+    expect(topicFilter(hivemq.control.pattern, { vesselId: 'island-sky' })).toBe('fleet/bcferries/island-sky/control/+/+');
+    expect(topicFilter(hivemq.telemetry.pattern)).toBe('fleet/bcferries/+/telemetry');
+  });
+
+  test('remaps topics and suffixes between providers', () => {
+    expect(remapTopic('ferry/vessel/island-sky/telemetry/delta', mosquitto, hivemq))
+      .toBe('fleet/bcferries/island-sky/telemetry/delta');
+    expect(remapTopic('fleet/bcferries/island-sky/control/engine/set_rpm/ack', hivemq, mosquitto))
+      .toBe('ferry/vessel/island-sky/control/engine/set_rpm/ack');
+    expect(remapTopic('ferry/vessel/+/control/+/+', mosquitto, hivemq)).toBe('fleet/bcferries/+/control/+/+');
+    expect(remapTopic('some/other/topic', mosquitto, hivemq)).toBe('some/other/topic');
+  });
+});
@@ -0,0 +1,122 @@
+const connections = [];
+
+jest.mock('mqtt', () => ({
+  connect: jest.fn((url, options) => {
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    client.subscribe = jest.fn((topic, opts, callback) => callback(null));
+    client.publish = jest.fn((topic, message, opts, callback) => callback && client.confirm !== false && callback(null));
+    client.end = jest.fn((force, opts, callback) => callback && callback());
+    connections.push({ url, options, client });
+    return client;
+  })
+}));
+
+const MQTTClient = require('../lib/mqtt-client');
+const VesselPresence = require('../lib/vessel-presence');
+
+describe('VesselPresence', () => {
+  const env = { ...process.env };
+  let mqttClient;
+
+  const presenceLink = (vesselId) => connections.find(({ options }) => options.clientId.endsWith(`-${vesselId}`));
+  const publishedOn = (client) => client.publish.mock.calls.map(([topic, message, options]) => ({ topic, message: JSON.parse(message), options }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    connections.length = 0;
+    process.env.MQTT_PROVIDER = 'mosquitto';
+    process.env.MQTT_PROVIDERS = 'mosquitto,hivemq';
+    process.env.HIVEMQ_CLUSTER_URL = 'fleet.example.hivemq.cloud';
+    process.env.MQTT_BUFFER_PATH = 'none';
+    process.env.SIMULATOR_INSTANCE_ID = 'sim-test';
+    mqttClient = new MQTTClient();
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await mqttClient.disconnect();
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  test('gives each vessel its own link with a retained offline last will', () => {
+    mqttClient.addVessel('island-sky');
+    const { options } = presenceLink('island-sky');
+
+    expect(options.clientId).toMatch(/sim-test-island-sky$/);
+    expect(options.will).toMatchObject({ topic: 'ferry/vessel/island-sky/status/presence', qos: 1, retain: true });
+    expect(JSON.parse(options.will.payload)).toMatchObject({
+      vesselId: 'island-sky',
+      component: 'presence',
+      status: 'offline',
+      reason: 'connection_lost',
+      instanceId: 'sim-test'
+    });
+  });
+
+  test('publishes a retained online status once the link is up', () => {
+    mqttClient.addVessel('island-sky');
+    const { client } = presenceLink('island-sky');
+    client.emit('connect');
+
+    expect(publishedOn(client)).toEqual([{
+      topic: 'ferry/vessel/island-sky/status/presence',
+      message: expect.objectContaining({ status: 'online', instanceId: 'sim-test' }),
+      options: { qos: 1, retain: true }
+    }]);
+    expect(mqttClient.presence.describe()).toEqual([expect.objectContaining({ vesselId: 'island-sky', provider: 'mosquitto', connected: true })]);
+  });
+
+  test('goes offline cleanly when a vessel is removed', async () => {
+    mqttClient.addVessel('island-sky');
+    const { client } = presenceLink('island-sky');
+    client.emit('connect');
+
+    await mqttClient.presence.remove('island-sky');
+    expect(publishedOn(client)[1]).toMatchObject({ message: { status: 'offline', reason: 'removed' }, options: { retain: true } });
+    expect(client.end).toHaveBeenCalledWith(false, {}, expect.any(Function));
+    expect(mqttClient.presence.vesselIds()).toEqual([]);
+  });
+
+  test('waits for every offline status before disconnect resolves', async () => {
+    ['island-sky', 'coastal-class-001'].forEach(vesselId => {
+      mqttClient.addVessel(vesselId);
+      presenceLink(vesselId).client.emit('connect');
+    });
+    mqttClient.addVessel('never-connected');
+
+    await mqttClient.disconnect();
+    ['island-sky', 'coastal-class-001'].forEach(vesselId => {
+      const { client } = presenceLink(vesselId);
+      expect(publishedOn(client)[1].message).toMatchObject({ status: 'offline', reason: 'shutdown' });
+      expect(client.end).toHaveBeenCalled();
+    });
+    expect(presenceLink('never-connected').client.end).toHaveBeenCalledWith(true);
+  });
+
+  test('stops waiting for an offline status the broker never confirms', async () => {
+    jest.useFakeTimers();
+    mqttClient.addVessel('island-sky');
+    const { client } = presenceLink('island-sky');
+    client.emit('connect');
+    client.confirm = false;
+
+    const closed = mqttClient.presence.shutdown();
+    jest.advanceTimersByTime(VesselPresence.CLOSE_TIMEOUT);
+    await closed;
+    expect(client.end).toHaveBeenCalledWith(true);
+  });
+
+  test('moves links to the new provider after a failover', () => {
+    mqttClient.addVessel('island-sky');
+    const old = presenceLink('island-sky').client;
+
+    mqttClient.presence.reconnect('hivemq');
+    expect(old.end).toHaveBeenCalledWith(true);
+    const links = connections.filter(({ options }) => options.clientId.endsWith('-island-sky'));
+    expect(links).toHaveLength(2);
+    expect(links[1].options.will.topic).toBe('fleet/bcferries/island-sky/status/presence');
+  });
+});
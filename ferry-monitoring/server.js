@@ -9,6 +9,7 @@ const WebSocket = require('ws');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fetch = require('node-fetch');
+const schemas = require('ferry-schemas');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -63,6 +64,36 @@ const monitoringState = {
 // Ferry control system configuration
 const FERRY_CONTROL_URL = process.env.FERRY_CONTROL_URL || 'https://ferry.linknote.com';
 const GRAFANA_URL = process.env.GRAFANA_URL || 'https://bcferriesdemo.grafana.net';
+const DEAD_LETTER_TOPIC = process.env.DEAD_LETTER_TOPIC || schemas.DEAD_LETTER_TOPIC;
+const CONTROL_TOPIC_PATTERN = process.env.CONTROL_TOPIC_PATTERN || 'ferry/vessel/{vesselId}/control/{system}/{action}';
+
+// Alert rules shared with the ops dashboard and the IoT bridge; ALERT_RULES is a
+// file or URL (e.g. the ops dashboard's /api/alert-rules)
+const ALERT_RULES = process.env.ALERT_RULES || null;
+const alertRules = new schemas.AlertRuleEngine();
+if (ALERT_RULES) {
+  alertRules.load(ALERT_RULES)
+    .then(ruleSet => console.log(`📏 Loaded ${ruleSet.rules.length} alert rules from ${ALERT_RULES}`))
+    .catch(error => console.error('❌ Failed to load alert rules, using the defaults:', error.message));
+  if (/^https?:\/\//.test(ALERT_RULES)) {
+    alertRules.watch(ALERT_RULES, parseInt(process.env.ALERT_RULES_REFRESH) || 60000,
+      error => console.error('❌ Failed to refresh alert rules:', error.message));
+  }
+}
+
+// Delta telemetry: keyframes and the deltas merged onto them, per vessel
+const telemetryFrames = new schemas.FrameTracker();
+
+// Resync requests are signed with this service's key (CONTROL_KEY_ID, CONTROL_SIGNING_KEY)
+let controlSigner = null;
+try {
+  controlSigner = schemas.signing.keyFromEnv();
+} catch (error) {
+  console.error('❌ Invalid control signing key:', error.message);
+}
+if (!controlSigner) {
+  console.warn('⚠️ No control signing key configured - telemetry resync requests are sent unsigned');
+}
 
 // MQTT Configuration for telemetry ingestion
 const mqttClient = mqtt.connect(process.env.MQTT_BROKER || 'wss://bc-ferries-mqtt-broker.fly.dev:443', {
@@ -79,6 +110,7 @@ mqttClient.on('connect', () => {
   // Subscribe to all vessel telemetry topics
   const topics = [
     'ferry/vessel/+/telemetry',
+    'ferry/vessel/+/telemetry/delta',
     'ferry/vessel/+/emergency/+',
     'ferry/vessel/+/alerts/+',
     'ferry/vessel/+/status/+'
@@ -95,22 +127,77 @@ mqttClient.on('connect', () => {
   });
 });
 
-mqttClient.on('message', (topic, message) => {
+mqttClient.on('message', (topic, message, packet) => {
   try {
-    const data = JSON.parse(message.toString());
+    // JSON, compressed JSON or MessagePack, told apart by the content-type marker
+    const data = schemas.codec.decode(message, packet.properties && packet.properties.contentType);
     const topicParts = topic.split('/');
+
+    // Drop messages that don't match their schema and report them on the dead-letter topic
+    const messageType = schemas.messageTypeForTopic(topic);
+    if (messageType) {
+      const validation = schemas.validate(messageType, data);
+      if (!validation.valid) {
+        console.warn(`⚠️ Invalid ${messageType} message on ${topic}: ${validation.errors.join('; ')}`);
+        mqttClient.publish(
+          schemas.deadLetterTopic(messageType, DEAD_LETTER_TOPIC),
+          JSON.stringify(schemas.deadLetter({ source: 'ferry-monitoring', topic, messageType, message: data, errors: validation.errors })),
+          { qos: 1 }
+        );
+        return;
+      }
+    }
     
+    let update = data;
+
     if (topicParts[3] === 'telemetry') {
       const vesselId = topicParts[2];
+      // Deltas are merged onto the last keyframe; after a gap we ask for a new one
+      const { state, resync } = telemetryFrames.accept({ ...data, vesselId });
+      if (resync) requestTelemetryResync(vesselId, resync);
+      if (!state) return;
+      update = state;
+
+      const existing = monitoringState.connectedVessels.get(vesselId) || {};
+      // An offline vessel stays offline until its presence says it is back
       monitoringState.connectedVessels.set(vesselId, {
-        ...data,
+        ...state,
         lastSeen: new Date().toISOString(),
-        status: 'active'
+        status: existing.status === 'offline' ? 'offline' : 'active',
+        instanceId: existing.instanceId
       });
       
       // Check for alert conditions
-      checkAlertConditions(vesselId, data);
+      checkAlertConditions(vesselId, state);
       
+    } else if (topicParts[3] === 'status' && topicParts[4] === 'presence') {
+      // Retained presence; the offline form is the vessel's last will, so the vessel
+      // is marked offline straight away instead of waiting for the cleanup timer
+      const vesselId = topicParts[2];
+      const online = data.status === 'online';
+      const existing = monitoringState.connectedVessels.get(vesselId);
+
+      if (existing || online) {
+        monitoringState.connectedVessels.set(vesselId, {
+          ...existing,
+          lastSeen: new Date().toISOString(),
+          status: online ? 'active' : 'offline',
+          instanceId: data.instanceId,
+          offlineReason: online ? null : (data.reason || 'unknown')
+        });
+      }
+      console.log(online
+        ? `🟢 Vessel ${vesselId} online (${data.instanceId})`
+        : `🔴 Vessel ${vesselId} offline (${data.reason || 'unknown'})`);
+
+      broadcastToClients({
+        type: 'vessel_presence',
+        vessel: vesselId,
+        data,
+        timestamp: new Date().toISOString()
+      });
+      return;
+
     } else if (topicParts[3] === 'emergency' || topicParts[3] === 'alerts') {
       handleAlertMessage(data);
     }
@@ -119,7 +206,7 @@ mqttClient.on('message', (topic, message) => {
     broadcastToClients({
       type: 'telemetry_update',
       vessel: topicParts[2],
-      data: data,
+      data: update,
       timestamp: new Date().toISOString()
     });
     
@@ -128,6 +215,27 @@ mqttClient.on('message', (topic, message) => {
   }
 });
 
+// Asks ferry-control for a telemetry keyframe (control topic telemetry/resync)
+function requestTelemetryResync(vesselId, reason) {
+  const topic = CONTROL_TOPIC_PATTERN
+    .replace('{vesselId}', vesselId)
+    .replace('{system}', 'telemetry')
+    .replace('{action}', 'resync');
+
+  let command = {
+    schemaVersion: schemas.SCHEMA_VERSION,
+    commandId: uuidv4(),
+    timestamp: new Date().toISOString(),
+    reason
+  };
+  if (controlSigner) {
+    command = schemas.signing.sign({ vesselId, system: 'telemetry', action: 'resync' }, command, controlSigner);
+  }
+
+  console.log(`🔁 Requesting telemetry keyframe for ${vesselId} (${reason})`);
+  mqttClient.publish(topic, JSON.stringify(command), { qos: 1 });
+}
+
 // WebSocket server for real-time monitoring updates
 const server = require('http').createServer(app);
 const wss = new WebSocket.Server({ server });
@@ -170,61 +278,22 @@ function broadcastToClients(data) {
   });
 }
 
-// Alert condition monitoring
+// Alert condition monitoring - every message a rule fires on is an alert
 function checkAlertConditions(vesselId, telemetryData) {
-  const alerts = [];
-  
-  // Engine temperature critical
-  if (telemetryData.engine && telemetryData.engine.temperature > 105) {
-    alerts.push({
-      type: 'critical',
-      system: 'engine',
-      message: `Engine temperature critical: ${telemetryData.engine.temperature}°C`,
+  const alerts = alertRules.evaluate(vesselId, telemetryData)
+    .filter(result => result.firing)
+    .map(result => ({
+      type: result.severity,
+      system: result.type,
+      rule: result.ruleId,
+      message: result.message,
       vesselId,
       timestamp: new Date().toISOString()
-    });
-  }
-  
-  // Low battery warning
-  if (telemetryData.power && telemetryData.power.batterySOC < 15) {
-    alerts.push({
-      type: 'critical',
-      system: 'power',
-      message: `Battery critically low: ${telemetryData.power.batterySOC}%`,
-      vesselId,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  // High bilge level
-  if (telemetryData.safety && telemetryData.safety.bilgeLevel > 70) {
-    alerts.push({
-      type: 'warning',
-      system: 'safety',
-      message: `High bilge level: ${telemetryData.safety.bilgeLevel}cm`,
-      vesselId,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  // Fire alarm
-  if (telemetryData.safety && telemetryData.safety.fireAlarm) {
-    alerts.push({
-      type: 'critical',
-      system: 'safety',
-      message: 'Fire alarm activated',
-      vesselId,
-      timestamp: new Date().toISOString()
-    });
-  }
+    }));
   
   // Process alerts
   alerts.forEach(alert => {
-    if (alert.type === 'critical') {
-      monitoringState.alertSummary.critical++;
-    } else if (alert.type === 'warning') {
-      monitoringState.alertSummary.warning++;
-    }
+    monitoringState.alertSummary[alert.type]++;
     
     // Broadcast alert
     broadcastToClients({
@@ -399,6 +468,7 @@ setInterval(() => {
     if (now - lastSeen > cutoff) {
       console.log(`🚢 Vessel ${vesselId} connection timeout - removing from active list`);
       monitoringState.connectedVessels.delete(vesselId);
+      telemetryFrames.forget(vesselId);
     }
   }
 }, 60000); // Every minute
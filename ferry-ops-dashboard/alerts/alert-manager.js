@@ -0,0 +1,246 @@
+const EventEmitter = require('events');
+const schemas = require('ferry-schemas');
+
+// Alerts are keyed by vessel + condition, so a condition that stays bad is one
+// alert with an occurrence count rather than a new alert per update. Lifecycle:
+//
+//   raised -> acknowledged -> cleared (condition went away) or resolved (by an
+//   operator) -> closed
+//
+// Conditions come from the shared alert rules (ferry-schemas): an alert is raised
+// while its rule fires and cleared when the rule stops firing. Rules clear on the
+// safe side of where they fire (hysteresis), so a value hovering at the limit
+// doesn't flap. A cleared or resolved alert that comes back before it closes is
+// reopened, not duplicated. Severity only goes up while an alert is open.
+//
+// An operator can shelve an open alert for a while: it stays in the list but
+// isn't counted or escalated until it is unshelved or the time runs out. During
+// a maintenance window no alert is raised (or reopened) for what the window
+// covers; every suppressed breach is counted on the window and emitted as
+// 'suppressed' (first: true for the first one per window and condition).
+//
+// Every change is emitted as 'transition' with { transition, alert }:
+// raised, escalated, acknowledged, cleared, resolved, reopened, closed, shelved,
+// unshelved. Another occurrence of an open alert with no transition is emitted as
+// 'occurrence'.
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+class AlertManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.rules = options.rules || new schemas.AlertRuleEngine();
+    this.closeAfter = options.closeAfter || 15 * 60 * 1000; // ms a cleared/resolved alert can reopen
+    this.historyLimit = options.historyLimit || 100; // closed alerts kept
+    this.maintenance = options.maintenance || null; // MaintenanceWindows
+    this.open = new Map(); // `${vesselId}:${condition}` -> alert
+    this.closed = []; // newest first
+    this.suppressed = new Map(); // `${vesselId}:${condition}` -> ID of the window suppressing it
+  }
+
+  // Checks one vessel update against the rules. Rules on values missing from the
+  // update (partial status messages) leave their alerts as they are.
+  evaluate(vesselData) {
+    const vesselId = vesselData.vesselId;
+    this.rules.evaluate(vesselId, vesselData).forEach(result => {
+      // Between the firing and clearing thresholds nothing changes
+      if (result.firing && result.breached) {
+        this.raise(vesselId, result.ruleId, {
+          type: result.type,
+          severity: result.severity,
+          message: result.message,
+          value: result.value
+        });
+      } else if (!result.firing) {
+        const alert = this.open.get(this.keyFor(vesselId, result.ruleId));
+        if (alert && ['raised', 'acknowledged'].includes(alert.state)) {
+          this.transition(alert, 'cleared', { clearedAt: new Date().toISOString(), value: result.value });
+        }
+      }
+    });
+  }
+
+  // Raises an alert, or counts another occurrence of the open one. Also used for
+  // events with no clear condition (emergencies), which stay open until resolved.
+  raise(vesselId, condition, details) {
+    const key = this.keyFor(vesselId, condition);
+    const now = new Date().toISOString();
+    const alert = this.open.get(key);
+
+    if (!alert || alert.state === 'cleared' || alert.state === 'resolved') {
+      const window = this.maintenance && this.maintenance.match({ vesselId, condition, type: details.type });
+      if (window) {
+        const first = this.suppressed.get(key) !== window.id;
+        this.suppressed.set(key, window.id);
+        const suppression = this.maintenance.recordSuppression(window, { vesselId, condition });
+        this.emit('suppressed', { vesselId, condition, details, window, count: suppression.count, first });
+        return null;
+      }
+      this.suppressed.delete(key);
+    }
+
+    if (!alert) {
+      const created = {
+        id: `${vesselId}-${condition}-${Date.now()}`,
+        vesselId,
+        condition,
+        ...details,
+        state: 'raised',
+        occurrences: 1,
+        firstSeen: now,
+        lastSeen: now,
+        raisedAt: now,
+        timestamp: now,
+        acknowledged: false,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        clearedAt: null,
+        resolvedAt: null,
+        resolvedBy: null,
+        closedAt: null
+      };
+      this.open.set(key, created);
+      this.emit('transition', { transition: 'raised', alert: created });
+      return created;
+    }
+
+    const escalated = SEVERITY_RANK[details.severity] > SEVERITY_RANK[alert.severity];
+    Object.assign(alert, details, {
+      severity: escalated ? details.severity : alert.severity,
+      occurrences: alert.occurrences + 1,
+      lastSeen: now
+    });
+
+    if (alert.state === 'cleared' || alert.state === 'resolved') {
+      this.transition(alert, 'reopened', {
+        state: 'raised',
+        raisedAt: now,
+        acknowledged: false,
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        clearedAt: null,
+        resolvedAt: null,
+        resolvedBy: null
+      });
+    } else if (escalated) {
+      this.emit('transition', { transition: 'escalated', alert });
+    } else {
+      this.emit('occurrence', { alert });
+    }
+    return alert;
+  }
+
+  // Puts back alerts that hadn't closed (from the alert store, after a restart).
+  // An alert raised in the meantime for the same vessel + condition is kept.
+  restore(alerts) {
+    let restored = 0;
+    alerts.forEach(alert => {
+      const key = this.keyFor(alert.vesselId, alert.condition);
+      if (alert.state === 'closed' || this.open.has(key)) return;
+      this.open.set(key, alert);
+      restored++;
+    });
+    return restored;
+  }
+
+  // Returns the alert, or null when there is no open alert with that ID
+  acknowledge(alertId, by = null) {
+    const alert = this.findOpen(alertId);
+    if (!alert || alert.acknowledged) return alert;
+
+    // A cleared or resolved alert stays in that state; it is only marked as seen
+    return this.transition(alert, 'acknowledged', {
+      state: alert.state === 'raised' ? 'acknowledged' : alert.state,
+      acknowledged: true,
+      acknowledgedAt: new Date().toISOString(),
+      acknowledgedBy: by
+    });
+  }
+
+  resolve(alertId, by = null) {
+    const alert = this.findOpen(alertId);
+    if (!alert || alert.state === 'resolved') return alert;
+    return this.transition(alert, 'resolved', { resolvedAt: new Date().toISOString(), resolvedBy: by });
+  }
+
+  // Shelves an open alert for duration ms; returns it, or null when there is no
+  // open alert with that ID
+  shelve(alertId, duration, by = null, reason = null) {
+    const alert = this.findOpen(alertId);
+    if (!alert) return null;
+    return this.transition(alert, 'shelved', {
+      state: alert.state,
+      shelvedUntil: new Date(Date.now() + duration).toISOString(),
+      shelvedBy: by,
+      shelveReason: reason
+    });
+  }
+
+  unshelve(alertId, by = null) {
+    const alert = this.findOpen(alertId);
+    if (!alert || !alert.shelvedUntil) return alert;
+    return this.transition(alert, 'unshelved', {
+      state: alert.state,
+      shelvedUntil: null,
+      shelvedBy: null,
+      shelveReason: null,
+      unshelvedBy: by
+    });
+  }
+
+  // Unshelves alerts whose shelving time has run out
+  unshelveExpired(now = Date.now()) {
+    this.openAlerts()
+      .filter(alert => alert.shelvedUntil && Date.parse(alert.shelvedUntil) <= now)
+      .forEach(alert => this.unshelve(alert.id));
+  }
+
+  isShelved(alert, now = Date.now()) {
+    return Boolean(alert.shelvedUntil) && Date.parse(alert.shelvedUntil) > now;
+  }
+
+  // Closes cleared and resolved alerts that stayed that way for closeAfter
+  closeStale(now = Date.now()) {
+    this.open.forEach((alert, key) => {
+      const since = alert.state === 'cleared' ? alert.clearedAt : alert.state === 'resolved' ? alert.resolvedAt : null;
+      if (!since || now - Date.parse(since) < this.closeAfter) return;
+
+      this.open.delete(key);
+      this.closed.unshift(alert);
+      this.transition(alert, 'closed', { closedAt: new Date(now).toISOString() });
+    });
+    this.closed = this.closed.slice(0, this.historyLimit);
+  }
+
+  // Drops closed alerts that closed before the cutoff
+  pruneClosed(cutoff) {
+    this.closed = this.closed.filter(alert => Date.parse(alert.closedAt) > cutoff);
+  }
+
+  // state is the alert's new state unless changes say otherwise
+  transition(alert, transition, changes = {}) {
+    Object.assign(alert, { state: transition, ...changes });
+    this.emit('transition', { transition, alert });
+    return alert;
+  }
+
+  findOpen(alertId) {
+    return Array.from(this.open.values()).find(alert => alert.id === alertId) || null;
+  }
+
+  keyFor(vesselId, condition) {
+    return `${vesselId}:${condition}`;
+  }
+
+  // Open alerts (most recently seen first), then closed ones
+  list() {
+    const open = Array.from(this.open.values()).sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+    return [...open, ...this.closed];
+  }
+
+  openAlerts() {
+    return Array.from(this.open.values());
+  }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+// Notification channels for alert escalation. Each has a type and its own
+// settings; send(notification) resolves when the message was handed over and
+// rejects with the reason otherwise. A notification is
+// { alert, policy, step, contact, address, subject, text }, where address is the
+// contact's address on this channel (email address, phone number).
+//
+//   webhook  POST the notification as JSON to url (optional headers)
+//   smtp     email through host:port (optional secure, auth, from)
+//   sms      POST body to an HTTP SMS gateway at url; body values may use {to} and {message}
+//   mqtt     publish the notification on topic; the topic may use {vesselId}, {severity}, {contact}
+const TIMEOUT = 10000; // ms
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+function payloadOf(notification) {
+  const { alert, policy, step, contact } = notification;
+  return {
+    event: 'alert_escalation',
+    policy,
+    step,
+    contact: contact.id,
+    message: notification.text,
+    alert,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const CHANNEL_TYPES = {
+  webhook: (spec) => ({
+    needsAddress: false,
+    send: notification => axios.post(spec.url, payloadOf(notification), {
+      headers: spec.headers || {},
+      timeout: TIMEOUT
+    })
+  }),
+
+  smtp: (spec) => {
+    const transport = nodemailer.createTransport({
+      host: spec.host,
+      port: Number(spec.port) || 587,
+      secure: String(spec.secure) === 'true',
+      ignoreTLS: String(spec.ignoreTLS) === 'true',
+      auth: spec.user ? { user: spec.user, pass: spec.password } : undefined,
+      connectionTimeout: TIMEOUT
+    });
+    return {
+      needsAddress: true,
+      send: notification => transport.sendMail({
+        from: spec.from || 'ferry-ops@localhost',
+        to: notification.address,
+        subject: notification.subject,
+        text: notification.text
+      })
+    };
+  },
+
+  sms: (spec) => ({
+    needsAddress: true,
+    send: notification => {
+      const template = spec.body || { to: '{to}', message: '{message}' };
+      const values = { to: notification.address, message: notification.text };
+      const body = Object.fromEntries(Object.entries(template)
+        .map(([key, value]) => [key, typeof value === 'string' ? fill(value, values) : value]));
+      return axios.post(spec.url, body, { headers: spec.headers || {}, timeout: TIMEOUT });
+    }
+  }),
+
+  mqtt: (spec, { mqttClient }) => ({
+    needsAddress: false,
+    send: async notification => {
+      const topic = fill(spec.topic, {
+        vesselId: notification.alert.vesselId,
+        severity: notification.alert.severity,
+        contact: notification.contact.id
+      });
+      if (!mqttClient.publish(topic, payloadOf(notification))) {
+        throw new Error('MQTT client is not connected');
+      }
+    }
+  })
+};
+
+// Returns { name, type, needsAddress, send }
+function createChannel(name, spec, context = {}) {
+  const factory = CHANNEL_TYPES[spec.type];
+  if (!factory) {
+    throw new Error(`Unknown channel type '${spec.type}'. Valid types: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+  }
+  if (spec.type === 'smtp' ? !spec.host : spec.type === 'mqtt' ? !spec.topic : !spec.url) {
+    throw new Error(`Channel ${name} is missing its ${spec.type === 'smtp' ? 'host' : spec.type === 'mqtt' ? 'topic' : 'url'}`);
+  }
+  return { name, type: spec.type, ...factory(spec, context) };
+}
+
+module.exports = { CHANNEL_TYPES, createChannel };
@@ -0,0 +1,138 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { createChannel } = require('./channels');
+
+// Escalates alerts nobody acknowledges. A policy matches alerts by severity,
+// type, condition or vessel and has steps, each notifying contacts on channels
+// once the alert has been raised (unacknowledged) for `after` seconds:
+//
+//   { "id": "critical-unacknowledged", "match": { "severity": ["critical"] },
+//     "steps": [ { "after": 120, "contacts": ["shift-supervisor"], "channels": ["email", "sms"] },
+//                { "after": 300, "contacts": ["fleet-manager"], "channels": ["email", "sms"] } ] }
+//
+// The clock restarts when an alert is reopened. Alerts shelved until a later time
+// and alerts covered by a maintenance window (context.maintenance) aren't escalated.
+// Steps already taken are kept on the alert (escalations) and every send on it
+// (notifications), so both survive a restart with the alert store.
+// Each send is emitted as 'notification' with { alert, attempt }.
+const NOTIFICATIONS_KEPT = 50; // per alert
+
+// "${NAME}" in any string of the config is replaced with the environment variable
+function withEnv(value, env) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+  if (Array.isArray(value)) return value.map(item => withEnv(item, env));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, withEnv(item, env)]));
+  }
+  return value;
+}
+
+class EscalationManager extends EventEmitter {
+  constructor(config = {}, context = {}) {
+    super();
+    this.policies = config.policies || [];
+    this.contacts = config.contacts || {};
+    this.channels = new Map();
+    this.maintenance = context.maintenance || null; // MaintenanceWindows
+
+    // A channel without its settings (e.g. no SMTP host) is left out, not fatal
+    Object.entries(config.channels || {}).forEach(([name, spec]) => {
+      try {
+        this.channels.set(name, createChannel(name, spec, context));
+      } catch (error) {
+        console.warn(`⚠️ Escalation channel ${name} disabled: ${error.message}`);
+      }
+    });
+  }
+
+  static fromFile(file, context = {}, env = process.env) {
+    return new EscalationManager(withEnv(JSON.parse(fs.readFileSync(file, 'utf8')), env), context);
+  }
+
+  // Takes every step that is due for the given alerts
+  check(alerts, now = Date.now()) {
+    const shelved = alert => Boolean(alert.shelvedUntil) && Date.parse(alert.shelvedUntil) > now;
+    alerts.filter(alert => alert.state === 'raised' && !shelved(alert)).forEach(alert => {
+      if (this.maintenance && this.maintenance.isCovered(alert, now)) return;
+
+      const policy = this.policyFor(alert);
+      if (!policy) return;
+
+      const since = Date.parse(alert.raisedAt || alert.firstSeen);
+      policy.steps.forEach((step, index) => {
+        if (now - since < step.after * 1000) return;
+
+        const escalations = alert.escalations || [];
+        const taken = escalations.some(escalation =>
+          escalation.policy === policy.id && escalation.step === index && Date.parse(escalation.at) >= since);
+        if (taken) return;
+
+        alert.escalations = [...escalations, { policy: policy.id, step: index, at: new Date(now).toISOString() }];
+        console.log(`📣 Escalating alert ${alert.id} (${policy.id} step ${index + 1})`);
+        this.notify(alert, policy, index, step);
+      });
+    });
+  }
+
+  policyFor(alert) {
+    return this.policies.find(({ match = {} }) =>
+      ['severity', 'type', 'condition', 'vesselId'].every(field => !match[field] || match[field].includes(alert[field])));
+  }
+
+  // One send per contact and channel; returns a Promise of the attempts
+  notify(alert, policy, index, step) {
+    const subject = `BC Ferries ${String(alert.severity).toUpperCase()} alert - ${alert.vesselId}`;
+    const text = `${alert.message}\n\nVessel: ${alert.vesselId}\nSeverity: ${alert.severity}\n` +
+      `Raised: ${alert.raisedAt || alert.firstSeen}\nNot acknowledged after ${step.after} seconds (${policy.id}).`;
+
+    const sends = [];
+    (step.contacts || []).forEach(contactId => {
+      const contact = { id: contactId, ...(this.contacts[contactId] || {}) };
+      (step.channels || []).forEach(channelName => {
+        const channel = this.channels.get(channelName);
+        if (!channel) return;
+
+        const address = contact[channelName] || contact[channel.type] || null;
+        if (channel.needsAddress && !address) return;
+
+        const notification = { alert, policy: policy.id, step: index, contact, address, subject, text };
+        sends.push(channel.send(notification)
+          .then(() => this.record(alert, notification, channel, null))
+          .catch(error => this.record(alert, notification, channel, error)));
+      });
+    });
+    return Promise.all(sends);
+  }
+
+  record(alert, notification, channel, error) {
+    const attempt = {
+      policy: notification.policy,
+      step: notification.step,
+      contact: notification.contact.id,
+      channel: channel.name,
+      address: notification.address,
+      success: !error,
+      error: error ? error.message : null,
+      at: new Date().toISOString()
+    };
+    alert.notifications = [...(alert.notifications || []), attempt].slice(-NOTIFICATIONS_KEPT);
+
+    if (error) {
+      console.error(`❌ Escalation via ${channel.name} to ${attempt.contact} failed: ${error.message}`);
+    } else {
+      console.log(`📨 Escalation sent via ${channel.name} to ${attempt.contact}`);
+    }
+    this.emit('notification', { alert, attempt });
+    return attempt;
+  }
+
+  describe() {
+    return {
+      policies: this.policies,
+      channels: Array.from(this.channels.values()).map(({ name, type }) => ({ name, type })),
+      contacts: Object.keys(this.contacts)
+    };
+  }
+}
+
+module.exports = EscalationManager;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Maintenance windows suppress new alerts while work is planned on a vessel. A
+// window names a vessel, a system (alert type: engine, power, safety, ...), a
+// rule (alert condition) or a combination, and applies from start to end.
+// Emergencies are only suppressed by a window that names them (system
+// 'emergency' or the emergency's condition), never by a vessel-wide one.
+// Each window counts what it suppressed per vessel and condition (suppressions).
+class MaintenanceWindows {
+  constructor() {
+    this.windows = new Map(); // id -> window
+  }
+
+  // Throws when the window is invalid; start defaults to now, and end can be
+  // given as duration (seconds) instead
+  create(spec, now = Date.now()) {
+    const { vesselId = null, system = null, rule = null, reason = null, createdBy = null } = spec;
+    if (!vesselId && !system && !rule) {
+      throw new Error('A maintenance window needs a vesselId, system or rule');
+    }
+
+    const start = spec.start ? Date.parse(spec.start) : now;
+    const end = spec.end ? Date.parse(spec.end) : start + Number(spec.duration) * 1000;
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new Error('A maintenance window needs a valid start and an end or duration');
+    }
+    if (end <= start || end <= now) {
+      throw new Error('A maintenance window must end after it starts and in the future');
+    }
+
+    const window = {
+      id: `mw-${crypto.randomBytes(4).toString('hex')}`,
+      vesselId,
+      system,
+      rule,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      reason,
+      createdBy,
+      createdAt: new Date(now).toISOString(),
+      suppressions: []
+    };
+    this.windows.set(window.id, window);
+    return window;
+  }
+
+  // Puts back windows from the alert store after a restart
+  restore(windows) {
+    windows.forEach(window => this.windows.set(window.id, { ...window, suppressions: window.suppressions || [] }));
+  }
+
+  // Ends a window now; returns it, or null when there is no such window
+  end(windowId, now = Date.now()) {
+    const window = this.windows.get(windowId);
+    if (!window) return null;
+    this.windows.delete(windowId);
+    return { ...window, end: new Date(Math.min(now, Date.parse(window.end))).toISOString() };
+  }
+
+  // The window suppressing an alert for this vessel and condition, if any
+  match({ vesselId, condition, type }, now = Date.now()) {
+    return this.active(now).find(window => {
+      if (window.vesselId && window.vesselId !== vesselId) return false;
+      if (window.system && window.system !== type) return false;
+      if (window.rule && window.rule !== condition) return false;
+      return type !== 'emergency' || window.system === 'emergency' || window.rule === condition;
+    }) || null;
+  }
+
+  // Whether an active window covers this alert (escalation leaves those alone)
+  isCovered(alert, now = Date.now()) {
+    return this.match({ vesselId: alert.vesselId, condition: alert.condition, type: alert.type }, now) !== null;
+  }
+
+  // Counts a breach the window kept from raising an alert; returns the
+  // { vesselId, condition, count, firstSeen, lastSeen } record for it
+  recordSuppression(window, { vesselId, condition }, now = Date.now()) {
+    const at = new Date(now).toISOString();
+    let record = window.suppressions.find(entry => entry.vesselId === vesselId && entry.condition === condition);
+    if (!record) {
+      record = { vesselId, condition, count: 0, firstSeen: at, lastSeen: at };
+      window.suppressions.push(record);
+    }
+    record.count++;
+    record.lastSeen = at;
+    return record;
+  }
+
+  active(now = Date.now()) {
+    return this.list().filter(window => Date.parse(window.start) <= now && now < Date.parse(window.end));
+  }
+
+  // Windows that haven't ended, soonest first
+  list() {
+    return Array.from(this.windows.values()).sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+  }
+
+  // Drops windows that have ended; returns them
+  prune(now = Date.now()) {
+    const ended = this.list().filter(window => Date.parse(window.end) <= now);
+    ended.forEach(window => this.windows.delete(window.id));
+    return ended;
+  }
+}
+
+module.exports = MaintenanceWindows;
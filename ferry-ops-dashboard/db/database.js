@@ -104,7 +104,6 @@ function initializeDatabase() {
         )
       `, (err) => {
         if (err) console.error('Error creating events table:', err);
-        else resolve();
       });
 
       db.run(`
@@ -112,12 +111,76 @@ function initializeDatabase() {
         ON vessel_events(vessel_id, timestamp DESC)
       `);
 
-      console.log('✅ Database schema initialized');
+      // Alerts with their lifecycle, one row per alert (see alerts/alert-manager.js);
+      // data holds the whole alert as JSON
+      db.run(`
+        CREATE TABLE IF NOT EXISTS alerts (
+          id TEXT PRIMARY KEY,
+          vessel_id TEXT NOT NULL,
+          condition TEXT NOT NULL,
+          type TEXT,
+          severity TEXT,
+          message TEXT,
+          state TEXT NOT NULL,
+          occurrences INTEGER DEFAULT 1,
+          first_seen DATETIME NOT NULL,
+          last_seen DATETIME NOT NULL,
+          acknowledged_at DATETIME,
+          acknowledged_by TEXT,
+          cleared_at DATETIME,
+          resolved_at DATETIME,
+          resolved_by TEXT,
+          closed_at DATETIME,
+          data TEXT NOT NULL
+        )
+      `, (err) => {
+        if (err) console.error('Error creating alerts table:', err);
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_alerts_vessel_time
+        ON alerts(vessel_id, first_seen DESC)
+      `);
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_alerts_state
+        ON alerts(state)
+      `);
+
+      // Maintenance windows suppressing alerts (see alerts/maintenance.js)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS maintenance_windows (
+          id TEXT PRIMARY KEY,
+          vessel_id TEXT,
+          system TEXT,
+          rule TEXT,
+          start_time DATETIME NOT NULL,
+          end_time DATETIME NOT NULL,
+          reason TEXT,
+          created_by TEXT,
+          created_at DATETIME NOT NULL,
+          suppressions TEXT
+        )
+      `, (err) => {
+        if (err) console.error('Error creating maintenance windows table:', err);
+      });
+
+      // Statements run in order inside serialize(), so this one finishing means
+      // every table before it is in place
+      db.run('SELECT 1', (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log('✅ Database schema initialized');
+          resolve();
+        }
+      });
     });
   });
 }
 
-// Initialize database on module load
-initializeDatabase().catch(console.error);
+// Initialize database on module load; db.ready settles once the schema is in place
+db.ready = initializeDatabase();
+db.ready.catch(error => console.error('Error initializing database:', error));
 
 module.exports = db;
\ No newline at end of file
@@ -13,6 +13,11 @@ class HistoricalDataService {
     ];
   }
 
+  // Resolves once the database schema has been created
+  ready() {
+    return db.ready;
+  }
+
   // Save telemetry data point
   saveTelemetry(vesselData) {
     const sql = `
@@ -70,6 +75,149 @@ class HistoricalDataService {
     });
   }
 
+  // Save an alert with its current lifecycle state (insert or update)
+  saveAlert(alert) {
+    const sql = `
+      INSERT OR REPLACE INTO alerts (
+        id, vessel_id, condition, type, severity, message, state, occurrences,
+        first_seen, last_seen, acknowledged_at, acknowledged_by,
+        cleared_at, resolved_at, resolved_by, closed_at, data
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [
+      alert.id,
+      alert.vesselId,
+      alert.condition,
+      alert.type || null,
+      alert.severity || null,
+      alert.message || null,
+      alert.state,
+      alert.occurrences,
+      alert.firstSeen,
+      alert.lastSeen,
+      alert.acknowledgedAt,
+      alert.acknowledgedBy,
+      alert.clearedAt,
+      alert.resolvedAt,
+      alert.resolvedBy,
+      alert.closedAt,
+      JSON.stringify(alert)
+    ], (err) => {
+      if (err) {
+        console.error('Error saving alert:', err);
+      }
+    });
+  }
+
+  // Alerts that haven't closed, to reload into memory on startup (returns a Promise)
+  getActiveAlerts() {
+    return new Promise((resolve, reject) => {
+      db.all(`SELECT data FROM alerts WHERE state != 'closed' ORDER BY first_seen ASC`, [], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve((rows || []).map(row => JSON.parse(row.data)));
+        }
+      });
+    });
+  }
+
+  // Alert history, newest first. Filters: vesselId, severity, type, state and a
+  // from/to range that alerts overlap. Returns a Promise of { alerts, total }.
+  getAlertHistory(filters = {}) {
+    const where = [];
+    const params = [];
+    const filter = (clause, value) => {
+      if (value !== undefined && value !== null && value !== '') {
+        where.push(clause);
+        params.push(value);
+      }
+    };
+    filter('vessel_id = ?', filters.vesselId);
+    filter('severity = ?', filters.severity);
+    filter('type = ?', filters.type);
+    filter('state = ?', filters.state);
+    filter('last_seen >= ?', filters.from);
+    filter('first_seen <= ?', filters.to);
+
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const limit = filters.limit || 50;
+    const offset = filters.offset || 0;
+
+    return new Promise((resolve, reject) => {
+      db.get(`SELECT COUNT(*) as total FROM alerts ${whereSql}`, params, (err, count) => {
+        if (err) return reject(err);
+
+        db.all(
+          `SELECT data FROM alerts ${whereSql} ORDER BY first_seen DESC LIMIT ? OFFSET ?`,
+          [...params, limit, offset],
+          (err, rows) => {
+            if (err) return reject(err);
+            resolve({
+              alerts: (rows || []).map(row => JSON.parse(row.data)),
+              total: count.total
+            });
+          }
+        );
+      });
+    });
+  }
+
+  // Save a maintenance window (insert or update, e.g. when it is ended early)
+  saveMaintenanceWindow(window) {
+    const sql = `
+      INSERT OR REPLACE INTO maintenance_windows (
+        id, vessel_id, system, rule, start_time, end_time, reason, created_by, created_at, suppressions
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    db.run(sql, [
+      window.id,
+      window.vesselId,
+      window.system,
+      window.rule,
+      window.start,
+      window.end,
+      window.reason,
+      window.createdBy,
+      window.createdAt,
+      JSON.stringify(window.suppressions || [])
+    ], (err) => {
+      if (err) {
+        console.error('Error saving maintenance window:', err);
+      }
+    });
+  }
+
+  // Maintenance windows that haven't ended (returns a Promise)
+  getMaintenanceWindows() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM maintenance_windows WHERE end_time > ? ORDER BY start_time ASC`,
+        [new Date().toISOString()],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              id: row.id,
+              vesselId: row.vessel_id,
+              system: row.system,
+              rule: row.rule,
+              start: row.start_time,
+              end: row.end_time,
+              reason: row.reason,
+              createdBy: row.created_by,
+              createdAt: row.created_at,
+              suppressions: row.suppressions ? JSON.parse(row.suppressions) : []
+            })));
+          }
+        }
+      );
+    });
+  }
+
   // Get historical data for charting (returns a Promise)
   getHistoricalData(vesselId, metric, timeRange) {
     return new Promise((resolve, reject) => {
@@ -212,6 +360,14 @@ class HistoricalDataService {
       if (err) console.error('Error cleaning aggregates:', err);
     });
 
+    db.run(`DELETE FROM alerts WHERE state = 'closed' AND closed_at < ?`, [oneWeekAgo], (err) => {
+      if (err) console.error('Error cleaning alerts:', err);
+    });
+
+    db.run(`DELETE FROM maintenance_windows WHERE end_time < ?`, [oneWeekAgo], (err) => {
+      if (err) console.error('Error cleaning maintenance windows:', err);
+    });
+
     db.run(`DELETE FROM vessel_events WHERE timestamp < ?`, [oneWeekAgo], (err) => {
       if (err) console.error('Error cleaning events:', err);
       else console.log('🧹 Cleaned up old data');
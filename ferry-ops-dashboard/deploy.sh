@@ -59,7 +59,8 @@ fly secrets set FERRY_CONTROL_API=https://ferry.linknote.com --app "$APP_NAME" 2
 fly secrets set FERRY_CONTROL_WS=wss://ferry.linknote.com --app "$APP_NAME" 2>/dev/null || echo "   FERRY_CONTROL_WS already set"
 
 echo "🚀 Deploying to Fly.io..."
-fly deploy --app "$APP_NAME"
+# Build from the repository root so the shared ferry-schemas package is in context
+fly deploy .. --config fly.toml --dockerfile Dockerfile --app "$APP_NAME"
 
 if [ $? -eq 0 ]; then
     echo ""
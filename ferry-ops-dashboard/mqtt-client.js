@@ -1,5 +1,7 @@
 const mqtt = require('mqtt');
 const EventEmitter = require('events');
+const crypto = require('crypto');
+const schemas = require('ferry-schemas');
 
 class MQTTClient extends EventEmitter {
   constructor() {
@@ -11,9 +13,25 @@ class MQTTClient extends EventEmitter {
       reconnectPeriod: 5000,
       connectTimeout: 30000,
       clean: true,
-      clientId: `ops-dashboard-${Date.now()}`
+      clientId: `ops-dashboard-${Date.now()}`,
+      protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION, 10) || 4
     };
 
+    // Control commands sent over MQTT, awaiting their ack/result by commandId
+    this.pendingCommands = new Map();
+    this.controlTopicPattern = process.env.CONTROL_TOPIC_PATTERN || 'fleet/bcferries/{vesselId}/control/{system}/{action}';
+    this.commandTimeout = parseInt(process.env.COMMAND_TIMEOUT, 10) || 10000;
+    this.deadLetterTopic = process.env.DEAD_LETTER_TOPIC || schemas.DEAD_LETTER_TOPIC;
+    // Commands are signed with this service's operator key (CONTROL_KEY_ID, CONTROL_SIGNING_KEY)
+    this.signer = this.loadSigner();
+    // Delta telemetry: keyframes and the deltas merged onto them, per vessel
+    this.frames = new schemas.FrameTracker();
+    // On MQTT 5, responses come back on our own response topic with the commandId as
+    // correlation data; the /ack and /result topics remain the 3.1.1 fallback
+    this.responseTopic = this.options.protocolVersion === 5
+      ? `ops-dashboard/${this.options.clientId}/responses`
+      : null;
+
     // Add auth if configured
     if (process.env.MQTT_USERNAME) {
       this.options.username = process.env.MQTT_USERNAME;
@@ -21,6 +39,25 @@ class MQTTClient extends EventEmitter {
     }
   }
 
+  loadSigner() {
+    try {
+      const signer = schemas.signing.keyFromEnv();
+      if (!signer) {
+        console.warn('[MQTT] No control signing key configured - commands are sent unsigned');
+      }
+      return signer;
+    } catch (error) {
+      console.error(`[MQTT] Invalid control signing key: ${error.message} - commands are sent unsigned`);
+      return null;
+    }
+  }
+
+  // Adds the signature ferry-control checks; the payload should carry a timestamp
+  signCommand(vesselId, system, action, payload) {
+    if (!this.signer) return payload;
+    return schemas.signing.sign({ vesselId, system, action }, payload, this.signer);
+  }
+
   connect() {
     console.log(`[MQTT] Connecting to broker at ${this.brokerUrl}`);
 
@@ -37,8 +74,11 @@ class MQTTClient extends EventEmitter {
         'ferry/+/+/telemetry/#',
         'operations/#',
         'alerts/#',
-        'weather/#'
+        'weather/#',
+        // Command acknowledgements and results: <control topic>/ack|result
+        `${this.controlTopicPattern.replace(/\{\w+\}/g, '+')}/+`
       ];
+      if (this.responseTopic) topics.push(this.responseTopic);
 
       topics.forEach(topic => {
         this.client.subscribe(topic, (err) => {
@@ -51,9 +91,35 @@ class MQTTClient extends EventEmitter {
       });
     });
 
-    this.client.on('message', (topic, message) => {
+    this.client.on('message', (topic, message, packet) => {
       try {
-        const payload = JSON.parse(message.toString());
+        // Payloads may be compressed or MessagePack; the codec reads the content-type marker
+        const payload = schemas.codec.decode(message, packet.properties && packet.properties.contentType);
+
+        if (topic === this.responseTopic) {
+          const properties = packet.properties || {};
+          const userProperties = properties.userProperties || {};
+          const correlationId = properties.correlationData ? properties.correlationData.toString() : payload.commandId;
+          const kind = userProperties.responseType || (['accepted', 'rejected'].includes(payload.status) ? 'ack' : 'result');
+          this.handleCommandResponse(topic, kind, { ...payload, commandId: correlationId });
+          return;
+        }
+
+        if (topic.endsWith('/ack') || topic.endsWith('/result')) {
+          this.handleCommandResponse(topic, topic.endsWith('/ack') ? 'ack' : 'result', payload);
+          return;
+        }
+
+        // Vessel messages must match their schema; anything else is dead-lettered
+        const messageType = schemas.messageTypeForTopic(topic);
+        if (messageType) {
+          const validation = schemas.validate(messageType, payload);
+          if (!validation.valid) {
+            this.rejectMessage(topic, messageType, payload, validation.errors);
+            return;
+          }
+        }
+
         this.emit('message', { topic, payload, timestamp: new Date() });
 
         // Parse vessel updates
@@ -63,8 +129,17 @@ class MQTTClient extends EventEmitter {
           const category = parts[3];
           const component = parts[4];
 
-          // Handle systems status which contains full telemetry
-          if (category === 'status' && component === 'systems' && payload.systems) {
+          // Retained presence; the offline form is the vessel's last will
+          if (category === 'status' && component === 'presence') {
+            this.emit('vessel-presence', {
+              vesselId,
+              online: payload.status === 'online',
+              instanceId: payload.instanceId || null,
+              reason: payload.reason || null,
+              timestamp: new Date()
+            });
+          } else if (category === 'status' && component === 'systems' && payload.systems) {
+            // Handle systems status which contains full telemetry
             // Extract full telemetry from systems message
             const telemetryData = {
               vesselId,
@@ -83,6 +158,19 @@ class MQTTClient extends EventEmitter {
               data: telemetryData,
               timestamp: new Date()
             });
+          } else if (category === 'telemetry') {
+            // Keyframes replace the vessel's telemetry and deltas are merged onto them;
+            // after a gap we ask ferry-control for a fresh keyframe
+            const { state, resync } = this.frames.accept({ ...payload, vesselId });
+            if (resync) this.requestResync(vesselId, resync);
+            if (state) {
+              this.emit('vessel-update', {
+                vesselId,
+                category,
+                data: payload.late ? { ...state, late: true, bufferedAt: payload.bufferedAt } : state,
+                timestamp: new Date()
+              });
+            }
           } else {
             // Regular vessel update
             this.emit('vessel-update', {
@@ -143,6 +231,15 @@ class MQTTClient extends EventEmitter {
     });
   }
 
+  rejectMessage(topic, messageType, message, errors) {
+    console.warn(`[MQTT] Invalid ${messageType} message on ${topic}: ${errors.join('; ')}`);
+    this.emit('invalid-message', { topic, messageType, errors });
+    this.publish(
+      schemas.deadLetterTopic(messageType, this.deadLetterTopic),
+      schemas.deadLetter({ source: 'ops-dashboard', topic, messageType, message, errors })
+    );
+  }
+
   publish(topic, data) {
     if (!this.connected) {
       console.error('[MQTT] Cannot publish - not connected');
@@ -159,6 +256,91 @@ class MQTTClient extends EventEmitter {
     }
   }
 
+  // Publishes a control command and resolves with its outcome: the result
+  // (applied/failed), or the ack if the vessel rejected it. Rejects on timeout.
+  sendCommand(vesselId, system, action, payload = {}, timeout = this.commandTimeout) {
+    return new Promise((resolve, reject) => {
+      const commandId = crypto.randomUUID();
+      const topic = this.controlTopicPattern
+        .replace('{vesselId}', vesselId)
+        .replace('{system}', system)
+        .replace('{action}', action);
+
+      const command = this.signCommand(vesselId, system, action, {
+        ...payload,
+        schemaVersion: schemas.SCHEMA_VERSION,
+        commandId,
+        timestamp: new Date().toISOString()
+      });
+      const validation = schemas.validate('control', command);
+      if (!validation.valid) {
+        const error = new Error(`Invalid command: ${validation.errors.join('; ')}`);
+        error.code = 'INVALID_COMMAND';
+        reject(error);
+        return;
+      }
+
+      // Checked after validation so a bad command is reported as such either way
+      if (!this.connected) {
+        const error = new Error('MQTT broker not connected');
+        error.code = 'NOT_CONNECTED';
+        reject(error);
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        const pending = this.pendingCommands.get(commandId);
+        this.pendingCommands.delete(commandId);
+        const error = new Error(pending && pending.ack
+          ? `Command ${system}/${action} accepted by ${vesselId} but no result within ${timeout}ms`
+          : `No acknowledgement from ${vesselId} within ${timeout}ms`);
+        error.code = 'COMMAND_TIMEOUT';
+        error.commandId = commandId;
+        reject(error);
+      }, timeout);
+
+      const publishOptions = { qos: 1 };
+      if (this.responseTopic) {
+        publishOptions.properties = {
+          responseTopic: this.responseTopic,
+          correlationData: Buffer.from(commandId)
+        };
+      }
+
+      this.pendingCommands.set(commandId, { resolve, reject, timer, ack: null });
+      this.client.publish(topic, JSON.stringify(command), publishOptions, (error) => {
+        if (!error || !this.pendingCommands.has(commandId)) return;
+        clearTimeout(timer);
+        this.pendingCommands.delete(commandId);
+        error.commandId = commandId;
+        reject(error);
+      });
+      console.log(`[MQTT] Sent command ${system}/${action} to ${vesselId} (${commandId})`);
+    });
+  }
+
+  requestResync(vesselId, reason) {
+    console.log(`[MQTT] Requesting telemetry keyframe for ${vesselId} (${reason})`);
+    this.sendCommand(vesselId, 'telemetry', 'resync', { reason })
+      .then(response => console.log(`[MQTT] Resync for ${vesselId}: ${response.reason || response.status}`))
+      .catch(error => console.warn(`[MQTT] Resync request for ${vesselId} failed: ${error.message}`));
+  }
+
+  handleCommandResponse(topic, kind, response) {
+    const pending = this.pendingCommands.get(response.commandId);
+    this.emit('command-response', { topic, kind, ...response });
+    if (!pending) return;
+
+    if (kind === 'ack' && response.status === 'accepted') {
+      pending.ack = response;
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    this.pendingCommands.delete(response.commandId);
+    pending.resolve(response);
+  }
+
   disconnect() {
     if (this.client) {
       this.client.end();
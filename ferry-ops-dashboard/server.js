@@ -7,8 +7,13 @@ const axios = require('axios');
 const cron = require('node-cron');
 const compression = require('compression');
 const path = require('path');
+const fs = require('fs');
+const schemas = require('ferry-schemas');
 const MQTTClient = require('./mqtt-client');
 const DataCollector = require('./workers/data-collector');
+const AlertManager = require('./alerts/alert-manager');
+const EscalationManager = require('./alerts/escalation');
+const MaintenanceWindows = require('./alerts/maintenance');
 const historicalData = require('./db/historical-data');
 
 const app = express();
@@ -45,7 +50,7 @@ app.use(express.static('public'));
 // Operations center state
 let opsState = {
   fleet: new Map(),
-  alerts: [],
+  presence: new Map(), // vesselId -> { online, instanceId, reason, changedAt }
   systemStatus: {
     monitoring: true,
     lastUpdate: new Date().toISOString(),
@@ -61,10 +66,11 @@ let opsState = {
     temperature: 18,
     conditions: 'Partly Cloudy'
   },
+  // Computed from vessel positions by updateRouteStatus()
   routeStatus: new Map([
-    ['SWB-TSA', { status: 'active', vessels: 1, delays: 0 }],
-    ['TSA-SWB', { status: 'active', vessels: 1, delays: 0 }],
-    ['HOR-NAV', { status: 'active', vessels: 1, delays: 0 }],
+    ['SWB-TSA', { status: 'scheduled', vessels: 0, delays: 0 }],
+    ['TSA-SWB', { status: 'scheduled', vessels: 0, delays: 0 }],
+    ['HOR-NAV', { status: 'scheduled', vessels: 0, delays: 0 }],
     ['NAV-HOR', { status: 'scheduled', vessels: 0, delays: 0 }]
   ]),
   historicalData: {
@@ -75,6 +81,75 @@ let opsState = {
   }
 };
 
+// Alert rules shared with ferry-monitoring and the IoT bridge: ALERT_RULES is a
+// file or URL, the rules bundled with ferry-schemas otherwise
+const ALERT_RULES = process.env.ALERT_RULES || null;
+const ALERT_RULES_REFRESH = parseInt(process.env.ALERT_RULES_REFRESH) || 60000;
+const alertRules = new schemas.AlertRuleEngine();
+
+if (ALERT_RULES) {
+  alertRules.load(ALERT_RULES)
+    .then(ruleSet => console.log(`📏 Loaded ${ruleSet.rules.length} alert rules from ${ALERT_RULES}`))
+    .catch(error => console.error('❌ Failed to load alert rules, using the defaults:', error.message));
+  if (/^https?:\/\//.test(ALERT_RULES)) {
+    alertRules.watch(ALERT_RULES, ALERT_RULES_REFRESH, error => console.error('❌ Failed to refresh alert rules:', error.message));
+  }
+}
+
+// Planned maintenance: no new alerts for what a window covers
+const maintenanceWindows = new MaintenanceWindows();
+
+// One alert per vessel + condition, raised → acknowledged → cleared/resolved → closed
+const alertManager = new AlertManager({ rules: alertRules, maintenance: maintenanceWindows });
+
+// Longest an alert can be shelved; longer quiet periods are maintenance windows
+const MAX_SHELVE_SECONDS = 24 * 60 * 60;
+
+alertManager.on('transition', ({ transition, alert }) => {
+  // Only lifecycle changes are stored, not every occurrence
+  dataCollector.trackAlert(alert, transition);
+  updateAlertCounts();
+
+  if (transition === 'raised') {
+    broadcastToClients({
+      type: alert.type === 'emergency' ? 'emergency_alert' : 'new_alert',
+      data: alert
+    });
+  } else if (transition === 'acknowledged') {
+    broadcastToClients({
+      type: 'alert_acknowledged',
+      data: { alertId: alert.id, acknowledgedAt: alert.acknowledgedAt, alert }
+    });
+  } else {
+    broadcastToClients({
+      type: 'alert_updated',
+      data: { transition, alert }
+    });
+  }
+});
+
+alertManager.on('occurrence', ({ alert }) => {
+  dataCollector.saveAlert(alert);
+});
+
+// Suppressed alerts are logged, not raised. Every one is counted on the window
+// (saved with it); the first per window and condition is also an event.
+alertManager.on('suppressed', ({ vesselId, condition, details, window, first }) => {
+  historicalData.saveMaintenanceWindow(window);
+  if (!first) return;
+
+  console.log(`🔕 ${condition} on ${vesselId} suppressed by maintenance window ${window.id}`);
+  dataCollector.trackEvent(vesselId, 'alert_suppressed', details.severity, details.message, {
+    condition,
+    type: details.type,
+    windowId: window.id
+  });
+  broadcastToClients({
+    type: 'alert_suppressed',
+    data: { vesselId, condition, severity: details.severity, message: details.message, windowId: window.id }
+  });
+});
+
 // Initialize a default vessel with full telemetry structure
 function initializeDefaultVessel() {
   const defaultVessel = {
@@ -127,6 +202,7 @@ function initializeDefaultVessel() {
 
   opsState.fleet.set('island-class-001', defaultVessel);
   opsState.systemStatus.connectedVessels = 1;
+  updateRouteStatus();
   console.log('✅ Initialized default vessel with full telemetry');
 }
 
@@ -215,7 +291,8 @@ function updateVesselData(vesselData) {
     ...existingVessel,
     ...vesselData,
     lastSeen: new Date().toISOString(),
-    status: determineVesselStatus(vesselData)
+    status: isVesselOffline(vesselId) ? 'offline' : determineVesselStatus(vesselData),
+    presence: opsState.presence.get(vesselId) || existingVessel.presence || null
   };
 
   // Calculate operational state using merged data to ensure we have all fields
@@ -243,7 +320,14 @@ function updateVesselData(vesselData) {
 
   opsState.fleet.set(vesselId, mergedVessel);
 
-  opsState.systemStatus.connectedVessels = opsState.fleet.size;
+  opsState.systemStatus.connectedVessels = countConnectedVessels();
+
+  if (updateRouteStatus()) {
+    broadcastToClients({
+      type: 'route_status',
+      data: Array.from(opsState.routeStatus.entries()).map(([route, status]) => ({ route, ...status }))
+    });
+  }
   
   // Check for automatic alerts
   checkForAlerts(vesselData);
@@ -258,6 +342,77 @@ function updateVesselData(vesselData) {
   });
 }
 
+// Rebuild per-route status from the routes vessels report they are on.
+// Returns true when anything changed.
+function updateRouteStatus() {
+  const routeStatus = new Map();
+
+  opsState.routeStatus.forEach((status, route) => {
+    routeStatus.set(route, { status: 'scheduled', vessels: 0, delays: status.delays || 0, vesselIds: [] });
+  });
+
+  opsState.fleet.forEach((vessel, vesselId) => {
+    const route = vessel.navigation?.route;
+    if (!route) return;
+
+    const entry = routeStatus.get(route) || { status: 'scheduled', vessels: 0, delays: 0, vesselIds: [] };
+    const underway = (vessel.navigation.status || vessel.operationalState) === 'underway';
+
+    entry.vessels++;
+    entry.vesselIds.push(vesselId);
+    if (underway) {
+      entry.status = 'active';
+    } else if (entry.status !== 'active') {
+      entry.status = 'docked';
+    }
+    routeStatus.set(route, entry);
+  });
+
+  const changed = JSON.stringify(Array.from(routeStatus)) !== JSON.stringify(Array.from(opsState.routeStatus));
+  opsState.routeStatus = routeStatus;
+  return changed;
+}
+
+// Vessels count as connected until their presence says otherwise, so a simulator
+// without presence support still shows up
+function isVesselOffline(vesselId) {
+  const presence = opsState.presence.get(vesselId);
+  return Boolean(presence && !presence.online);
+}
+
+function countConnectedVessels() {
+  return Array.from(opsState.fleet.keys()).filter(vesselId => !isVesselOffline(vesselId)).length;
+}
+
+function updateVesselPresence(update) {
+  const { vesselId, online } = update;
+  const presence = {
+    online,
+    instanceId: update.instanceId,
+    reason: update.reason,
+    changedAt: update.timestamp.toISOString()
+  };
+  opsState.presence.set(vesselId, presence);
+
+  const vessel = opsState.fleet.get(vesselId);
+  if (vessel) {
+    vessel.presence = presence;
+    vessel.status = online ? determineVesselStatus(vessel) : 'offline';
+  }
+  opsState.systemStatus.connectedVessels = countConnectedVessels();
+
+  broadcastToClients({
+    type: 'vessel_presence',
+    data: { vesselId, ...presence }
+  });
+  if (vessel) {
+    broadcastToClients({
+      type: 'vessel_update',
+      data: { vesselId, vessel }
+    });
+  }
+}
+
 function determineVesselStatus(vesselData) {
   if (vesselData.safety?.fireAlarm) return 'emergency';
   if (vesselData.engine?.temperature > 100) return 'warning';
@@ -300,111 +455,57 @@ function getOperationalState(vesselData) {
 }
 
 function checkForAlerts(vesselData) {
-  const alerts = [];
-  const vesselId = vesselData.vesselId;
-  
-  // Engine alerts
-  if (vesselData.engine?.temperature > 95) {
-    alerts.push({
-      id: `${vesselId}-engine-temp-${Date.now()}`,
-      vesselId,
-      type: 'engine',
-      severity: vesselData.engine.temperature > 105 ? 'critical' : 'warning',
-      message: `Engine temperature high: ${vesselData.engine.temperature}°C`,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  if (vesselData.engine?.rpm > 1800) {
-    alerts.push({
-      id: `${vesselId}-engine-rpm-${Date.now()}`,
-      vesselId,
-      type: 'engine',
-      severity: 'warning',
-      message: `Engine RPM high: ${vesselData.engine.rpm}`,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  // Power system alerts
-  if (vesselData.power?.batterySOC < 25) {
-    alerts.push({
-      id: `${vesselId}-battery-low-${Date.now()}`,
-      vesselId,
-      type: 'power',
-      severity: vesselData.power.batterySOC < 15 ? 'critical' : 'warning',
-      message: `Battery SOC low: ${vesselData.power.batterySOC}%`,
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  // Safety alerts
-  if (vesselData.safety?.bilgeLevel > 40) {
-    alerts.push({
-      id: `${vesselId}-bilge-high-${Date.now()}`,
-      vesselId,
-      type: 'safety',
-      severity: vesselData.safety.bilgeLevel > 60 ? 'critical' : 'warning',
-      message: `Bilge level high: ${vesselData.safety.bilgeLevel}cm`,
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  // Fire alarm alert
-  if (vesselData.safety?.fireAlarm === true) {
-    alerts.push({
-      id: `${vesselId}-fire-alarm-${Date.now()}`,
-      vesselId,
-      type: 'emergency',
-      severity: 'critical',
-      message: `🔥 FIRE ALARM ACTIVATED on ${vesselId}`,
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  // Add new alerts
-  alerts.forEach(alert => {
-    opsState.alerts.unshift(alert);
-    broadcastToClients({
-      type: 'new_alert',
-      data: alert
-    });
-    // Track alert in historical data
-    dataCollector.trackAlert(alert);
-  });
-  
-  // Trim alerts to last 100
-  if (opsState.alerts.length > 100) {
-    opsState.alerts = opsState.alerts.slice(0, 100);
-  }
-  
-  updateAlertCounts();
+  alertManager.evaluate(vesselData);
 }
 
+// Emergencies have no condition that clears them; they stay open until resolved
 function handleEmergencyAlert(alertData) {
-  const alert = {
-    id: `emergency-${Date.now()}`,
-    vesselId: alertData.vesselId,
+  alertManager.raise(alertData.vesselId, `emergency_${alertData.type || 'unknown'}`, {
     type: 'emergency',
     severity: 'critical',
     message: alertData.message || 'Emergency situation detected',
-    timestamp: alertData.timestamp || new Date().toISOString(),
     location: alertData.location,
     emergencyType: alertData.type
-  };
-  
-  opsState.alerts.unshift(alert);
-  updateAlertCounts();
-  
-  broadcastToClients({
-    type: 'emergency_alert',
-    data: alert
   });
 }
 
+// Shelves an alert for duration seconds; returns { alert } or { status, message }
+function shelveAlert(alertId, { duration, operator, reason } = {}) {
+  const seconds = Number(duration);
+  if (!(seconds > 0 && seconds <= MAX_SHELVE_SECONDS)) {
+    return { status: 400, message: `duration must be between 1 and ${MAX_SHELVE_SECONDS} seconds` };
+  }
+  const alert = alertManager.shelve(alertId, seconds * 1000, operator || null, reason || null);
+  return alert ? { alert } : { status: 404, message: `No open alert ${alertId}` };
+}
+
+// Creates a maintenance window; returns { window } or { status, message }
+function createMaintenanceWindow({ vesselId, system, rule, start, end, duration, reason, operator } = {}) {
+  try {
+    const window = maintenanceWindows.create({ vesselId, system, rule, start, end, duration, reason, createdBy: operator || null });
+    historicalData.saveMaintenanceWindow(window);
+    console.log(`🛠️ Maintenance window ${window.id} for ${[vesselId, system, rule].filter(Boolean).join('/')} until ${window.end}`);
+    broadcastToClients({ type: 'maintenance_window_created', data: window });
+    return { window };
+  } catch (error) {
+    return { status: 400, message: error.message };
+  }
+}
+
+function endMaintenanceWindow(windowId) {
+  const window = maintenanceWindows.end(windowId);
+  if (window) {
+    historicalData.saveMaintenanceWindow(window);
+    broadcastToClients({ type: 'maintenance_window_ended', data: window });
+  }
+  return window;
+}
+
+// Counts alerts that haven't closed yet, leaving out shelved ones
 function updateAlertCounts() {
-  opsState.systemStatus.totalAlerts = opsState.alerts.length;
-  opsState.systemStatus.criticalAlerts = opsState.alerts.filter(a => a.severity === 'critical').length;
+  const open = alertManager.openAlerts().filter(alert => !alertManager.isShelved(alert));
+  opsState.systemStatus.totalAlerts = open.length;
+  opsState.systemStatus.criticalAlerts = open.filter(a => a.severity === 'critical').length;
 }
 
 // Dashboard WebSocket handling
@@ -418,7 +519,8 @@ wss.on('connection', (ws) => {
     type: 'initial_data',
     data: {
       fleet: fleetArray,
-      alerts: opsState.alerts.slice(0, 20),
+      alerts: alertManager.list().slice(0, 20),
+      maintenanceWindows: maintenanceWindows.list(),
       systemStatus: {
         ...opsState.systemStatus,
         monitoring: mqttClient.isConnected(),
@@ -456,7 +558,22 @@ wss.on('connection', (ws) => {
 function handleDashboardMessage(ws, message) {
   switch (message.type) {
     case 'acknowledge_alert':
-      acknowledgeAlert(message.alertId);
+      alertManager.acknowledge(message.alertId, message.operator || null);
+      break;
+    case 'resolve_alert':
+      alertManager.resolve(message.alertId, message.operator || null);
+      break;
+    case 'shelve_alert':
+      replyIfFailed(ws, message, shelveAlert(message.alertId, message));
+      break;
+    case 'unshelve_alert':
+      alertManager.unshelve(message.alertId, message.operator || null);
+      break;
+    case 'create_maintenance_window':
+      replyIfFailed(ws, message, createMaintenanceWindow(message));
+      break;
+    case 'end_maintenance_window':
+      endMaintenanceWindow(message.windowId);
       break;
     case 'acknowledge_emergency':
       acknowledgeEmergency(message);
@@ -473,16 +590,12 @@ function handleDashboardMessage(ws, message) {
   }
 }
 
-function acknowledgeAlert(alertId) {
-  const alertIndex = opsState.alerts.findIndex(a => a.id === alertId);
-  if (alertIndex !== -1) {
-    opsState.alerts[alertIndex].acknowledged = true;
-    opsState.alerts[alertIndex].acknowledgedAt = new Date().toISOString();
-    
-    broadcastToClients({
-      type: 'alert_acknowledged',
-      data: { alertId, acknowledgedAt: opsState.alerts[alertIndex].acknowledgedAt }
-    });
+function replyIfFailed(ws, message, outcome) {
+  if (outcome.message) {
+    ws.send(JSON.stringify({
+      type: 'request_failed',
+      data: { request: message.type, message: outcome.message }
+    }));
   }
 }
 
@@ -577,7 +690,7 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    connectedVessels: opsState.fleet.size,
+    connectedVessels: countConnectedVessels(),
     dashboardClients: dashboardClients.size,
     ferryControlConnected: ferryControlWs?.readyState === WebSocket.OPEN
   });
@@ -595,24 +708,193 @@ app.get('/api/fleet', (req, res) => {
   });
 });
 
-// Alerts
+// Alerts (open ones first); state=open leaves out closed alerts
 app.get('/api/alerts', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
-  const severity = req.query.severity;
+  const { severity, state } = req.query;
   
-  let alerts = opsState.alerts.slice(0, limit);
+  let alerts = alertManager.list();
+  if (state) {
+    alerts = alerts.filter(a => (state === 'open' ? a.state !== 'closed' : a.state === state));
+  }
   if (severity) {
     alerts = alerts.filter(a => a.severity === severity);
   }
   
   res.json({
-    alerts,
-    totalCount: opsState.alerts.length,
+    alerts: alerts.slice(0, limit),
+    totalCount: opsState.systemStatus.totalAlerts,
     criticalCount: opsState.systemStatus.criticalAlerts,
     timestamp: new Date().toISOString()
   });
 });
 
+// Stored alerts, newest first: vesselId, severity, type, state, from/to (ISO
+// times the alert was active in), limit and offset
+app.get('/api/alerts/history', async (req, res) => {
+  const { vesselId, severity, type, state, from, to } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${name} time: ${value}`
+      });
+    }
+  }
+
+  try {
+    const history = await historicalData.getAlertHistory({
+      vesselId,
+      severity,
+      type,
+      state,
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString(),
+      limit,
+      offset
+    });
+    res.json({
+      alerts: history.alerts,
+      total: history.total,
+      limit,
+      offset,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error getting alert history:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get alert history',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/alerts/:alertId/acknowledge', (req, res) => {
+  const alert = alertManager.acknowledge(req.params.alertId, (req.body || {}).operator || null);
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      message: `No open alert ${req.params.alertId}`
+    });
+  }
+  res.json({ success: true, message: 'Alert acknowledged', alert });
+});
+
+app.post('/api/alerts/:alertId/resolve', (req, res) => {
+  const alert = alertManager.resolve(req.params.alertId, (req.body || {}).operator || null);
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      message: `No open alert ${req.params.alertId}`
+    });
+  }
+  res.json({ success: true, message: 'Alert resolved', alert });
+});
+
+// The alert rules in use; ferry-monitoring and the IoT bridge can load them from here
+app.get('/api/alert-rules', (req, res) => {
+  res.json({
+    success: true,
+    source: ALERT_RULES || 'default',
+    ruleSet: alertRules.ruleSet
+  });
+});
+
+// Replaces the alert rules; saved back when ALERT_RULES is a file
+app.put('/api/alert-rules', (req, res) => {
+  const errors = schemas.alertRules.validateRules(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert rules',
+      errors
+    });
+  }
+
+  if (ALERT_RULES && !/^https?:\/\//.test(ALERT_RULES)) {
+    // Written beside the file and renamed over it, so a failed write never leaves half a rule set
+    const tmpPath = `${ALERT_RULES}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(req.body, null, 2));
+      fs.renameSync(tmpPath, ALERT_RULES);
+    } catch (error) {
+      console.error('❌ Failed to save alert rules:', error.message);
+      fs.rmSync(tmpPath, { force: true });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save alert rules',
+        error: error.message
+      });
+    }
+  }
+
+  alertRules.setRules(req.body);
+  console.log(`📏 Alert rules updated (${req.body.rules.length} rules)`);
+  broadcastToClients({ type: 'alert_rules_updated', data: alertRules.ruleSet });
+  res.json({ success: true, message: 'Alert rules updated', ruleSet: alertRules.ruleSet });
+});
+
+// Shelve an open alert for duration seconds (optional operator, reason)
+app.post('/api/alerts/:alertId/shelve', (req, res) => {
+  const { alert, status, message } = shelveAlert(req.params.alertId, req.body || {});
+  if (!alert) {
+    return res.status(status).json({ success: false, message });
+  }
+  res.json({ success: true, message: `Alert shelved until ${alert.shelvedUntil}`, alert });
+});
+
+app.post('/api/alerts/:alertId/unshelve', (req, res) => {
+  const alert = alertManager.unshelve(req.params.alertId, (req.body || {}).operator || null);
+  if (!alert) {
+    return res.status(404).json({
+      success: false,
+      message: `No open alert ${req.params.alertId}`
+    });
+  }
+  res.json({ success: true, message: 'Alert unshelved', alert });
+});
+
+// Maintenance windows that haven't ended; active=true leaves out future ones
+app.get('/api/maintenance-windows', (req, res) => {
+  const windows = req.query.active === 'true' ? maintenanceWindows.active() : maintenanceWindows.list();
+  res.json({ windows, count: windows.length, timestamp: new Date().toISOString() });
+});
+
+// vesselId, system and/or rule; start (default now) and end or duration (seconds)
+app.post('/api/maintenance-windows', (req, res) => {
+  const { window, status, message } = createMaintenanceWindow(req.body || {});
+  if (!window) {
+    return res.status(status).json({ success: false, message });
+  }
+  res.status(201).json({ success: true, message: 'Maintenance window created', window });
+});
+
+app.delete('/api/maintenance-windows/:windowId', (req, res) => {
+  const window = endMaintenanceWindow(req.params.windowId);
+  if (!window) {
+    return res.status(404).json({
+      success: false,
+      message: `No maintenance window ${req.params.windowId}`
+    });
+  }
+  res.json({ success: true, message: 'Maintenance window ended', window });
+});
+
+// Escalation policies, channels and contacts in use
+app.get('/api/escalation', (req, res) => {
+  if (!escalation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Alert escalation is not configured'
+    });
+  }
+  res.json({ success: true, ...escalation.describe() });
+});
+
 // System status
 app.get('/api/status', (req, res) => {
   res.json({
@@ -703,10 +985,12 @@ app.post('/api/control/:vesselId/:system/:action', async (req, res) => {
   const { value } = req.body;
   
   try {
-    // Forward command to ferry control system
-    const response = await axios.post(`${FERRY_CONTROL_API}/api/override/${system}/${action}`, {
-      value
+    // Forward command to ferry control system, signed with our operator key
+    const command = mqttClient.signCommand(vesselId, system, action, {
+      value,
+      timestamp: new Date().toISOString()
     });
+    const response = await axios.post(`${FERRY_CONTROL_API}/api/override/${vesselId}/${system}/${action}`, command);
     
     res.json({
       success: true,
@@ -723,6 +1007,31 @@ app.post('/api/control/:vesselId/:system/:action', async (req, res) => {
   }
 });
 
+// Control commands over MQTT - waits for the vessel's acknowledgement and result
+app.post('/api/commands/:vesselId/:system/:action', async (req, res) => {
+  const { vesselId, system, action } = req.params;
+
+  try {
+    const result = await mqttClient.sendCommand(vesselId, system, action, req.body || {});
+    const applied = result.status === 'applied';
+
+    res.status(applied ? 200 : 400).json({
+      success: applied,
+      message: result.reason || `Command ${result.status}`,
+      result
+    });
+  } catch (error) {
+    console.error(`Command ${system}/${action} to ${vesselId} failed:`, error.message);
+    // Anything without a code is a transport failure publishing the command
+    const statusCodes = { INVALID_COMMAND: 400, NOT_CONNECTED: 503, COMMAND_TIMEOUT: 504 };
+    res.status(statusCodes[error.code] || 500).json({
+      success: false,
+      message: error.message,
+      commandId: error.commandId
+    });
+  }
+});
+
 // Serve dashboard
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -734,16 +1043,21 @@ cron.schedule('*/30 * * * *', () => {
   updateWeatherData();
 });
 
+cron.schedule('* * * * *', () => {
+  // Close alerts that have stayed cleared or resolved
+  alertManager.closeStale();
+  alertManager.unshelveExpired();
+
+  maintenanceWindows.prune().forEach(window => {
+    const suppressed = window.suppressions.reduce((total, entry) => total + entry.count, 0);
+    console.log(`🛠️ Maintenance window ${window.id} ended (${suppressed} alerts suppressed)`);
+    broadcastToClients({ type: 'maintenance_window_ended', data: window });
+  });
+});
+
 cron.schedule('0 * * * *', () => {
-  // Clean old alerts every hour
-  const oneHourAgo = new Date();
-  oneHourAgo.setHours(oneHourAgo.getHours() - 24);
-  
-  opsState.alerts = opsState.alerts.filter(alert => 
-    new Date(alert.timestamp) > oneHourAgo || alert.severity === 'critical'
-  );
-  
-  updateAlertCounts();
+  // Forget alerts that closed more than a day ago
+  alertManager.pruneClosed(Date.now() - 24 * 60 * 60 * 1000);
 });
 
 function updateWeatherData() {
@@ -766,6 +1080,32 @@ function updateWeatherData() {
 // Initialize MQTT client
 const mqttClient = new MQTTClient();
 
+// Escalation of unacknowledged alerts (config/escalation-policies.json)
+const ESCALATION_POLICIES = process.env.ESCALATION_POLICIES || path.join(__dirname, 'config', 'escalation-policies.json');
+const ESCALATION_CHECK_INTERVAL = parseInt(process.env.ESCALATION_CHECK_INTERVAL) || 15000;
+let escalation = null;
+try {
+  escalation = EscalationManager.fromFile(ESCALATION_POLICIES, { mqttClient, maintenance: maintenanceWindows });
+  console.log(`📣 Loaded ${escalation.policies.length} escalation policies from ${ESCALATION_POLICIES}`);
+} catch (error) {
+  console.warn(`⚠️ Alert escalation disabled: ${error.message}`);
+}
+
+if (escalation) {
+  escalation.on('notification', ({ alert, attempt }) => {
+    dataCollector.saveAlert(alert);
+    dataCollector.trackEvent(alert.vesselId, 'alert_notification', alert.severity,
+      `${attempt.success ? 'Notified' : 'Failed to notify'} ${attempt.contact} via ${attempt.channel}`,
+      { alertId: alert.id, ...attempt });
+    broadcastToClients({
+      type: 'alert_notification',
+      data: { alertId: alert.id, attempt }
+    });
+  });
+
+  setInterval(() => escalation.check(alertManager.openAlerts()), ESCALATION_CHECK_INTERVAL);
+}
+
 // Handle MQTT events
 mqttClient.on('connected', () => {
   console.log('✅ MQTT client connected to broker');
@@ -797,6 +1137,12 @@ mqttClient.on('disconnected', () => {
 mqttClient.on('vessel-update', (update) => {
   console.log(`📡 Vessel update for ${update.vesselId} - category: ${update.category}`);
 
+  // Messages replayed from ferry-control's outage buffer are history, not live state
+  if (update.data.late) {
+    console.log(`  └─ Skipping late message buffered at ${update.data.bufferedAt}`);
+    return;
+  }
+
   // Log operational field if present
   if (update.data.operational) {
     console.log(`  └─ Operational state from MQTT: ${update.data.operational}`);
@@ -808,6 +1154,14 @@ mqttClient.on('vessel-update', (update) => {
   });
 });
 
+// Presence from ferry-control: a vessel goes offline as soon as its last will fires
+mqttClient.on('vessel-presence', (update) => {
+  console.log(update.online
+    ? `🟢 Vessel ${update.vesselId} online (${update.instanceId})`
+    : `🔴 Vessel ${update.vesselId} offline (${update.reason || 'unknown'})`);
+  updateVesselPresence(update);
+});
+
 mqttClient.on('alert', (alert) => {
   console.log('🚨 Alert received:', alert);
   handleEmergencyAlert(alert);
@@ -830,8 +1184,21 @@ mqttClient.on('operations-update', (update) => {
   });
 });
 
-// Connect to MQTT broker
-mqttClient.connect();
+// Once the schema exists, reload alerts that were open and maintenance windows that
+// hadn't ended before a restart, then connect to the MQTT broker
+historicalData.ready()
+  .then(() => Promise.all([
+    historicalData.getActiveAlerts().then(alerts => {
+      const restored = alertManager.restore(alerts);
+      if (restored > 0) {
+        console.log(`🔁 Restored ${restored} open alerts from the alert store`);
+        updateAlertCounts();
+      }
+    }),
+    historicalData.getMaintenanceWindows().then(windows => maintenanceWindows.restore(windows))
+  ]))
+  .catch(error => console.error('❌ Failed to restore alerts:', error.message))
+  .finally(() => mqttClient.connect());
 
 // Keep the old ferry control connection as fallback for now
 // connectToFerryControl();
@@ -879,6 +1246,7 @@ function acknowledgeEmergency(message) {
   if (ferryControlWs && ferryControlWs.readyState === WebSocket.OPEN) {
     ferryControlWs.send(JSON.stringify({
       type: 'acknowledge_fire_alarm',
+      vesselId: message.vesselId,
       timestamp: message.timestamp
     }));
     console.log('🔥 Fire alarm acknowledgment sent to ferry control');
@@ -887,6 +1255,6 @@ function acknowledgeEmergency(message) {
   // Broadcast emergency acknowledgment to all ops dashboard clients
   broadcastToClients({
     type: 'emergency_acknowledged',
-    data: { timestamp: message.timestamp }
+    data: { vesselId: message.vesselId, timestamp: message.timestamp }
   });
 }
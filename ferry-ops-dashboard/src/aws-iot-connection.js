@@ -2,6 +2,7 @@ const AWS = require('aws-sdk');
 const mqtt = require('mqtt');
 const fs = require('fs');
 const path = require('path');
+const schemas = require('ferry-schemas');
 
 // AWS IoT Configuration
 const AWS_IOT_ENDPOINT = process.env.AWS_IOT_ENDPOINT;
@@ -14,6 +15,7 @@ const HIVEMQ_HOST = process.env.HIVEMQ_HOST;
 const HIVEMQ_PORT = process.env.HIVEMQ_PORT || 8883;
 const HIVEMQ_USERNAME = process.env.HIVEMQ_USERNAME;
 const HIVEMQ_PASSWORD = process.env.HIVEMQ_PASSWORD;
+const DEAD_LETTER_TOPIC = process.env.BRIDGE_DEAD_LETTER_TOPIC || 'fleet/bcferries/deadletter';
 
 class IoTBridge {
   constructor() {
@@ -122,8 +124,8 @@ class IoTBridge {
         });
       });
 
-      this.hiveMQClient.on('message', (topic, message) => {
-        this.handleHiveMQMessage(topic, message);
+      this.hiveMQClient.on('message', (topic, message, packet) => {
+        this.handleHiveMQMessage(topic, message, packet);
       });
 
       this.hiveMQClient.on('error', (error) => {
@@ -142,20 +144,30 @@ class IoTBridge {
   }
 
   /**
-   * Handle incoming messages from HiveMQ and bridge to AWS IoT
+   * Handle incoming messages from HiveMQ and bridge to AWS IoT.
+   * Returns false when the message was refused (unparseable or failing its schema).
    */
-  handleHiveMQMessage(topic, message) {
+  handleHiveMQMessage(topic, message, packet = {}) {
     try {
-      const messageStr = message.toString();
-      console.log(`📨 Received from HiveMQ - Topic: ${topic}, Message: ${messageStr}`);
-      
-      // Parse message
+      // Parse message (JSON, compressed JSON or MessagePack)
       let messageData;
       try {
-        messageData = JSON.parse(messageStr);
+        messageData = schemas.codec.decode(message, packet.properties && packet.properties.contentType);
       } catch (parseError) {
-        console.error('Invalid JSON message from HiveMQ:', parseError);
-        return;
+        console.error('Undecodable message from HiveMQ:', parseError);
+        return false;
+      }
+      const messageStr = JSON.stringify(messageData);
+      console.log(`📨 Received from HiveMQ - Topic: ${topic}, Message: ${messageStr}`);
+
+      // Only schema-valid vessel messages reach AWS; the rest are dead-lettered on HiveMQ
+      const messageType = schemas.messageTypeForTopic(topic);
+      if (messageType) {
+        const validation = schemas.validate(messageType, messageData);
+        if (!validation.valid) {
+          this.publishDeadLetter(topic, messageType, messageStr, validation.errors);
+          return false;
+        }
       }
 
       // Add metadata
@@ -171,12 +183,23 @@ class IoTBridge {
       
       // Handle specific message types
       this.processMessageByType(topic, enrichedMessage);
+      return true;
       
     } catch (error) {
       console.error('Error handling HiveMQ message:', error);
+      return false;
     }
   }
 
+  /**
+   * Report a message that failed schema validation on the dead-letter topic
+   */
+  publishDeadLetter(topic, messageType, message, errors) {
+    console.warn(`⚠️ Invalid ${messageType} message on ${topic}: ${errors.join('; ')}`);
+    const deadLetter = schemas.deadLetter({ source: 'iot-bridge', topic, messageType, message, errors });
+    this.hiveMQClient.publish(schemas.deadLetterTopic(messageType, DEAD_LETTER_TOPIC), JSON.stringify(deadLetter), { qos: 1 });
+  }
+
   /**
    * Publish message to AWS IoT Core
    */
@@ -2,6 +2,7 @@
 
 const IoTBridge = require('./aws-iot-connection');
 const IoTMessageProcessor = require('./iot-message-processor');
+const schemas = require('ferry-schemas');
 const express = require('express');
 const WebSocket = require('ws');
 
@@ -240,13 +241,15 @@ class IoTBridgeService {
     // Override the bridge's message handling to include processing
     const originalHandler = this.bridge.handleHiveMQMessage.bind(this.bridge);
     
-    this.bridge.handleHiveMQMessage = async (topic, message) => {
+    this.bridge.handleHiveMQMessage = async (topic, message, packet = {}) => {
       try {
-        // Call original bridge handler
-        originalHandler(topic, message);
+        // Call original bridge handler; messages it refuses are not processed
+        if (originalHandler(topic, message, packet) === false) {
+          return;
+        }
         
         // Process message
-        const messageData = JSON.parse(message.toString());
+        const messageData = schemas.codec.decode(message, packet.properties && packet.properties.contentType);
         const result = await this.processor.processMessage(topic, messageData);
         
         // Update metrics
@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const schemas = require('ferry-schemas');
 
 class IoTMessageProcessor {
   constructor() {
@@ -16,20 +17,18 @@ class IoTMessageProcessor {
     this.snsTopicArn = process.env.SNS_TOPIC_ARN;
     this.telemetryTable = process.env.DYNAMODB_TABLE || 'bc-ferries-telemetry';
     
-    this.alertThresholds = {
-      engine: {
-        temperature: { warning: 95, critical: 105 },
-        rpm: { warning: 1800, critical: 2000 }
-      },
-      power: {
-        batterySOC: { warning: 25, critical: 15 },
-        voltage: { warning: 11.5, critical: 11.0 }
-      },
-      safety: {
-        bilgeLevel: { warning: 40, critical: 60 },
-        fireAlarm: { critical: true }
+    // Same alert rules as the ops dashboard and monitoring; ALERT_RULES is a file
+    // or URL (e.g. the ops dashboard's /api/alert-rules)
+    this.alertRules = new schemas.AlertRuleEngine();
+    const rulesSource = process.env.ALERT_RULES;
+    if (rulesSource) {
+      this.alertRules.load(rulesSource)
+        .catch(error => console.error('❌ Failed to load alert rules, using the defaults:', error.message));
+      if (/^https?:\/\//.test(rulesSource)) {
+        this.alertRules.watch(rulesSource, parseInt(process.env.ALERT_RULES_REFRESH) || 60000,
+          error => console.error('❌ Failed to refresh alert rules:', error.message));
       }
-    };
+    }
   }
 
   /**
@@ -326,74 +325,30 @@ class IoTMessageProcessor {
   }
 
   /**
-   * Check telemetry data for alert conditions
+   * Sensor readings by system. Schema v1 telemetry carries engine, power, safety and
+   * navigation at the top level; older test payloads nest them under `sensors`.
    */
-  checkTelemetryAlerts(message) {
-    const alerts = [];
-    const { vesselId, sensors = {} } = message;
-
-    // Engine temperature alerts
-    if (sensors.engine?.temperature) {
-      const temp = sensors.engine.temperature;
-      const thresholds = this.alertThresholds.engine.temperature;
-      
-      if (temp >= thresholds.critical) {
-        alerts.push(this.createAlert(vesselId, 'ENGINE_TEMPERATURE_CRITICAL', 
-          `Engine temperature critically high: ${temp}°C`, 'CRITICAL'));
-      } else if (temp >= thresholds.warning) {
-        alerts.push(this.createAlert(vesselId, 'ENGINE_TEMPERATURE_WARNING', 
-          `Engine temperature high: ${temp}°C`, 'WARNING'));
-      }
-    }
-
-    // Engine RPM alerts
-    if (sensors.engine?.rpm) {
-      const rpm = sensors.engine.rpm;
-      const thresholds = this.alertThresholds.engine.rpm;
-      
-      if (rpm >= thresholds.critical) {
-        alerts.push(this.createAlert(vesselId, 'ENGINE_RPM_CRITICAL', 
-          `Engine RPM critically high: ${rpm}`, 'CRITICAL'));
-      } else if (rpm >= thresholds.warning) {
-        alerts.push(this.createAlert(vesselId, 'ENGINE_RPM_WARNING', 
-          `Engine RPM high: ${rpm}`, 'WARNING'));
-      }
-    }
+  sensorsOf(message) {
+    if (message.sensors) return message.sensors;
 
-    // Battery SOC alerts
-    if (sensors.power?.batterySOC !== undefined) {
-      const soc = sensors.power.batterySOC;
-      const thresholds = this.alertThresholds.power.batterySOC;
-      
-      if (soc <= thresholds.critical) {
-        alerts.push(this.createAlert(vesselId, 'BATTERY_SOC_CRITICAL', 
-          `Battery SOC critically low: ${soc}%`, 'CRITICAL'));
-      } else if (soc <= thresholds.warning) {
-        alerts.push(this.createAlert(vesselId, 'BATTERY_SOC_WARNING', 
-          `Battery SOC low: ${soc}%`, 'WARNING'));
-      }
-    }
-
-    // Safety alerts
-    if (sensors.safety?.fireAlarm === true) {
-      alerts.push(this.createAlert(vesselId, 'FIRE_ALARM', 
-        'Fire alarm activated', 'CRITICAL'));
-    }
+    return ['engine', 'power', 'safety', 'navigation'].reduce((sensors, system) => {
+      if (message[system]) sensors[system] = message[system];
+      return sensors;
+    }, {});
+  }
 
-    if (sensors.safety?.bilgeLevel) {
-      const level = sensors.safety.bilgeLevel;
-      const thresholds = this.alertThresholds.safety.bilgeLevel;
-      
-      if (level >= thresholds.critical) {
-        alerts.push(this.createAlert(vesselId, 'BILGE_LEVEL_CRITICAL', 
-          `Bilge level critically high: ${level}cm`, 'CRITICAL'));
-      } else if (level >= thresholds.warning) {
-        alerts.push(this.createAlert(vesselId, 'BILGE_LEVEL_WARNING', 
-          `Bilge level high: ${level}cm`, 'WARNING'));
-      }
-    }
+  /**
+   * Check telemetry data against the alert rules. Only rules that start firing or
+   * change severity produce an alert, not every message while they fire.
+   */
+  checkTelemetryAlerts(message) {
+    const { vesselId } = message;
+    const state = { ...this.sensorsOf(message), timestamp: message.timestamp };
 
-    return alerts;
+    return this.alertRules.evaluate(vesselId, state)
+      .filter(result => result.firing && result.changed)
+      .map(result => this.createAlert(vesselId, `${result.ruleId}_${result.severity}`.toUpperCase(),
+        result.message, result.severity.toUpperCase()));
   }
 
   /**
@@ -504,7 +459,8 @@ class IoTMessageProcessor {
       systemsReporting: []
     };
 
-    if (message.sensors) {
+    const sensors = this.sensorsOf(message);
+    if (Object.keys(sensors).length > 0) {
       // Count data points
       const flattenData = (obj, prefix = '') => {
         let count = 0;
@@ -518,8 +474,8 @@ class IoTMessageProcessor {
         return count;
       };
 
-      metrics.dataPoints = flattenData(message.sensors);
-      metrics.systemsReporting = Object.keys(message.sensors);
+      metrics.dataPoints = flattenData(sensors);
+      metrics.systemsReporting = Object.keys(sensors);
     }
 
     return metrics;
@@ -0,0 +1,105 @@
+const AlertManager = require('../alerts/alert-manager');
+const MaintenanceWindows = require('../alerts/maintenance');
+
+const status = (vesselId, engine) => ({
+  vesselId,
+  timestamp: new Date().toISOString(),
+  engine: { rpm: 1200, ...engine }
+});
+
+describe('AlertManager', () => {
+  let manager;
+  let transitions;
+
+  beforeEach(() => {
+    manager = new AlertManager();
+    transitions = [];
+    manager.on('transition', ({ transition }) => transitions.push(transition));
+  });
+
+  test('raises one alert per condition and counts occurrences', () => {
+    manager.evaluate(status('island-sky', { temperature: 97 }));
+    manager.evaluate(status('island-sky', { temperature: 98 }));
+
+    const [alert] = manager.openAlerts();
+    expect(alert).toMatchObject({ vesselId: 'island-sky', condition: 'engine_temperature', severity: 'warning', occurrences: 2 });
+    expect(transitions).toEqual(['raised']);
+  });
+
+  test('escalates severity but never lowers it while open', () => {
+    manager.evaluate(status('island-sky', { temperature: 97 }));
+    manager.evaluate(status('island-sky', { temperature: 106 }));
+    manager.evaluate(status('island-sky', { temperature: 97 }));
+
+    expect(manager.openAlerts()[0].severity).toBe('critical');
+    expect(transitions).toEqual(['raised', 'escalated']);
+  });
+
+  test('clears on the safe side of the limit and reopens the same alert', () => {
+    manager.evaluate(status('island-sky', { temperature: 97 }));
+    manager.evaluate(status('island-sky', { temperature: 93 }));
+    expect(manager.openAlerts()[0].state).toBe('raised');
+
+    manager.evaluate(status('island-sky', { temperature: 85 }));
+    expect(manager.openAlerts()[0].state).toBe('cleared');
+
+    manager.evaluate(status('island-sky', { temperature: 99 }));
+    expect(manager.openAlerts()).toHaveLength(1);
+    expect(transitions).toEqual(['raised', 'cleared', 'reopened']);
+  });
+
+  test('acknowledges, resolves and closes stale alerts', () => {
+    const alert = manager.raise('island-sky', 'fire', { type: 'emergency', severity: 'critical', message: 'Fire' });
+    expect(manager.acknowledge('missing')).toBeNull();
+    expect(manager.acknowledge(alert.id, 'ops')).toMatchObject({ state: 'acknowledged', acknowledgedBy: 'ops' });
+    expect(manager.resolve(alert.id, 'ops').state).toBe('resolved');
+
+    manager.closeStale(Date.now());
+    expect(manager.openAlerts()).toHaveLength(1);
+
+    manager.closeStale(Date.now() + manager.closeAfter);
+    expect(manager.openAlerts()).toEqual([]);
+    expect(manager.list()).toEqual([expect.objectContaining({ id: alert.id, state: 'closed' })]);
+    expect(transitions).toEqual(['raised', 'acknowledged', 'resolved', 'closed']);
+  });
+
+  test('shelves alerts until the time runs out', () => {
+    const alert = manager.raise('island-sky', 'fire', { type: 'emergency', severity: 'critical' });
+    manager.shelve(alert.id, 60000, 'ops', 'Drill');
+    expect(manager.isShelved(alert)).toBe(true);
+    expect(alert.state).toBe('raised');
+
+    manager.unshelveExpired(Date.now() + 60000);
+    expect(manager.isShelved(alert)).toBe(false);
+    expect(transitions).toEqual(['raised', 'shelved', 'unshelved']);
+  });
+
+  test('suppresses and counts breaches covered by a maintenance window', () => {
+    const maintenance = new MaintenanceWindows();
+    const window = maintenance.create({ vesselId: 'island-sky', system: 'engine', duration: 3600 });
+    manager = new AlertManager({ maintenance });
+    const suppressed = [];
+    manager.on('suppressed', event => suppressed.push([event.count, event.first]));
+
+    manager.evaluate(status('island-sky', { temperature: 97 }));
+    manager.evaluate(status('island-sky', { temperature: 98 }));
+    manager.evaluate(status('coastal-class-001', { temperature: 97 }));
+
+    expect(suppressed).toEqual([[1, true], [2, false]]);
+    expect(window.suppressions).toEqual([expect.objectContaining({ vesselId: 'island-sky', condition: 'engine_temperature', count: 2 })]);
+    expect(manager.openAlerts().map(alert => alert.vesselId)).toEqual(['coastal-class-001']);
+  });
+
+  test('restores unclosed alerts without replacing newer ones', () => {
+    const current = manager.raise('island-sky', 'fire', { type: 'emergency', severity: 'critical' });
+    const restored = manager.restore([
+      { id: 'old-fire', vesselId: 'island-sky', condition: 'fire', state: 'raised' },
+      { id: 'old-bilge', vesselId: 'island-sky', condition: 'bilge_high', state: 'acknowledged' },
+      { id: 'old-closed', vesselId: 'island-sky', condition: 'engine_rpm', state: 'closed' }
+    ]);
+
+    expect(restored).toBe(1);
+    expect(manager.findOpen(current.id)).toBe(current);
+    expect(manager.findOpen('old-bilge')).not.toBeNull();
+  });
+});
@@ -0,0 +1,286 @@
+const http = require('http');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EscalationManager = require('../alerts/escalation');
+const { createChannel } = require('../alerts/channels');
+
+const now = Date.parse('2026-03-01T12:00:00Z');
+
+const alert = (fields = {}) => ({
+  id: 'a1',
+  vesselId: 'island-sky',
+  condition: 'engine_temperature',
+  type: 'engine',
+  severity: 'critical',
+  state: 'raised',
+  message: 'Engine temperature high: 108°C',
+  raisedAt: new Date(now).toISOString(),
+  ...fields
+});
+
+// Waits for the sends of every step check() took
+async function checked(escalation, alerts, at) {
+  const notify = jest.spyOn(escalation, 'notify');
+  escalation.check(alerts, at);
+  const attempts = await Promise.all(notify.mock.results.map(result => result.value));
+  notify.mockRestore();
+  return attempts.flat();
+}
+
+describe('EscalationManager', () => {
+  let mqttClient;
+
+  const createEscalation = (config = {}) => new EscalationManager({
+    channels: { mqtt: { type: 'mqtt', topic: 'ferry/ops/escalations/{vesselId}/{contact}' } },
+    contacts: { supervisor: {}, manager: {} },
+    policies: [
+      {
+        id: 'critical-unacknowledged',
+        match: { severity: ['critical'] },
+        steps: [
+          { after: 120, contacts: ['supervisor'], channels: ['mqtt'] },
+          { after: 300, contacts: ['manager'], channels: ['mqtt'] }
+        ]
+      },
+      { id: 'island-sky-engine', match: { vesselId: ['island-sky'], type: ['engine'] }, steps: [{ after: 60, contacts: ['supervisor'], channels: ['mqtt'] }] }
+    ],
+    ...config
+  }, { mqttClient });
+
+  const published = () => mqttClient.publish.mock.calls.map(([topic]) => topic);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mqttClient = { publish: jest.fn(() => true) };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('uses the first policy that matches the alert', () => {
+    const escalation = createEscalation();
+    expect(escalation.policyFor(alert()).id).toBe('critical-unacknowledged');
+    expect(escalation.policyFor(alert({ severity: 'warning' })).id).toBe('island-sky-engine');
+    expect(escalation.policyFor(alert({ severity: 'warning', vesselId: 'coastal-class-001' }))).toBeUndefined();
+  });
+
+  test('takes each step once it is due, and only once', async () => {
+    const escalation = createEscalation();
+    const raised = alert();
+
+    await checked(escalation, [raised], now + 119000);
+    expect(raised.escalations).toBeUndefined();
+
+    await checked(escalation, [raised], now + 120000);
+    await checked(escalation, [raised], now + 180000);
+    expect(published()).toEqual(['ferry/ops/escalations/island-sky/supervisor']);
+
+    await checked(escalation, [raised], now + 300000);
+    expect(published()).toEqual(['ferry/ops/escalations/island-sky/supervisor', 'ferry/ops/escalations/island-sky/manager']);
+    expect(raised.escalations).toEqual([
+      { policy: 'critical-unacknowledged', step: 0, at: new Date(now + 120000).toISOString() },
+      { policy: 'critical-unacknowledged', step: 1, at: new Date(now + 300000).toISOString() }
+    ]);
+  });
+
+  test('starts over when an alert is reopened', async () => {
+    const escalation = createEscalation();
+    const reopened = alert();
+    await checked(escalation, [reopened], now + 120000);
+
+    reopened.raisedAt = new Date(now + 600000).toISOString();
+    await checked(escalation, [reopened], now + 700000);
+    expect(published()).toHaveLength(1);
+    await checked(escalation, [reopened], now + 720000);
+    expect(published()).toHaveLength(2);
+  });
+
+  test('leaves acknowledged alerts and alerts shelved until later alone', async () => {
+    const escalation = createEscalation();
+    const acknowledged = alert({ state: 'acknowledged' });
+    const shelved = alert({ shelvedUntil: new Date(now + 600000).toISOString() });
+
+    await checked(escalation, [acknowledged, shelved], now + 300000);
+    expect(mqttClient.publish).not.toHaveBeenCalled();
+  });
+
+  test('escalates an alert whose shelving has run out', async () => {
+    const escalation = createEscalation();
+    const expired = alert({ shelvedUntil: new Date(now + 60000).toISOString() });
+
+    await checked(escalation, [expired], now + 120000);
+    expect(published()).toEqual(['ferry/ops/escalations/island-sky/supervisor']);
+  });
+
+  test('records every attempt on the alert and emits it', async () => {
+    const escalation = createEscalation();
+    const events = [];
+    escalation.on('notification', ({ attempt }) => events.push(attempt));
+    mqttClient.publish.mockReturnValue(false);
+
+    const raised = alert();
+    await checked(escalation, [raised], now + 120000);
+    expect(raised.notifications).toEqual([expect.objectContaining({
+      policy: 'critical-unacknowledged',
+      step: 0,
+      contact: 'supervisor',
+      channel: 'mqtt',
+      success: false,
+      error: 'MQTT client is not connected'
+    })]);
+    expect(events).toEqual(raised.notifications);
+  });
+
+  test('disables channels that are missing their settings', () => {
+    const escalation = createEscalation({
+      channels: { webhook: { type: 'webhook', url: '' }, pager: { type: 'pager', url: 'http://pager' } }
+    });
+    expect(escalation.describe().channels).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Escalation channel webhook disabled: Channel webhook is missing its url');
+    expect(() => createChannel('pager', { type: 'pager' })).toThrow("Unknown channel type 'pager'");
+  });
+
+  test('reads the bundled policies with settings from the environment', () => {
+    jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail: jest.fn() });
+    const file = path.join(__dirname, '..', 'config', 'escalation-policies.json');
+
+    const bare = EscalationManager.fromFile(file, { mqttClient }, {});
+    expect(bare.describe().channels).toEqual([{ name: 'mqtt', type: 'mqtt' }]);
+
+    const configured = EscalationManager.fromFile(file, { mqttClient }, {
+      ESCALATION_WEBHOOK_URL: 'http://127.0.0.1/hook',
+      SMTP_HOST: 'localhost',
+      SMS_GATEWAY_URL: 'http://127.0.0.1/sms',
+      SHIFT_SUPERVISOR_PHONE: '+12505550100'
+    });
+    expect(configured.describe().channels.map(channel => channel.name)).toEqual(['webhook', 'email', 'sms', 'mqtt']);
+    expect(configured.contacts['shift-supervisor']).toEqual({ email: '', sms: '+12505550100' });
+  });
+
+  describe('channels', () => {
+    let server;
+    let url;
+    let requests;
+    let status;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+          res.writeHead(status);
+          res.end();
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      requests = [];
+      status = 200;
+    });
+
+    const escalateVia = (channels, contacts = { supervisor: { email: 'supervisor@ferries.test', sms: '+12505550100' } }) => {
+      const escalation = createEscalation({
+        channels,
+        contacts,
+        policies: [{ id: 'critical', match: { severity: ['critical'] }, steps: [{ after: 120, contacts: ['supervisor'], channels: Object.keys(channels) }] }]
+      });
+      const raised = alert();
+      return checked(escalation, [raised], now + 120000).then(attempts => ({ attempts, raised }));
+    };
+
+    test('webhook posts the notification as JSON', async () => {
+      const { attempts } = await escalateVia({ webhook: { type: 'webhook', url: `${url}/hook`, headers: { 'X-Ops-Key': 'k' } } });
+
+      expect(attempts).toEqual([expect.objectContaining({ channel: 'webhook', contact: 'supervisor', address: null, success: true })]);
+      expect(requests).toEqual([expect.objectContaining({
+        path: '/hook',
+        headers: expect.objectContaining({ 'x-ops-key': 'k', 'content-type': 'application/json' }),
+        body: expect.objectContaining({
+          event: 'alert_escalation',
+          policy: 'critical',
+          step: 0,
+          contact: 'supervisor',
+          alert: expect.objectContaining({ id: 'a1', vesselId: 'island-sky' })
+        })
+      })]);
+      expect(requests[0].body.message).toContain('Not acknowledged after 120 seconds (critical)');
+    });
+
+    test('webhook failures are recorded with the reason', async () => {
+      status = 503;
+      const { raised } = await escalateVia({ webhook: { type: 'webhook', url: `${url}/hook` } });
+      expect(raised.notifications[0]).toMatchObject({ success: false, error: 'Request failed with status code 503' });
+    });
+
+    test('sms fills the gateway body with the number and message', async () => {
+      const { attempts } = await escalateVia({
+        sms: { type: 'sms', url: `${url}/sms`, body: { recipient: '{to}', text: 'ALERT: {message}', priority: 1 } }
+      });
+
+      expect(attempts).toEqual([expect.objectContaining({ channel: 'sms', address: '+12505550100', success: true })]);
+      expect(requests[0].path).toBe('/sms');
+      expect(requests[0].body).toMatchObject({ recipient: '+12505550100', priority: 1 });
+      expect(requests[0].body.text).toMatch(/^ALERT: Engine temperature high: 108°C\n/);
+    });
+
+    test('sms and email skip contacts without an address', async () => {
+      const sendMail = jest.fn();
+      jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+
+      const { attempts } = await escalateVia({
+        sms: { type: 'sms', url: `${url}/sms` },
+        email: { type: 'smtp', host: 'localhost' }
+      }, { supervisor: {} });
+      expect(attempts).toEqual([]);
+      expect(requests).toEqual([]);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    test('smtp sends email through the configured transport', async () => {
+      const sendMail = jest.fn().mockResolvedValue({ messageId: 'm1' });
+      const createTransport = jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail });
+
+      const { attempts } = await escalateVia({
+        email: { type: 'smtp', host: 'smtp.ferries.test', port: '2525', secure: 'false', user: 'ops', password: 'secret', from: 'ops@ferries.test' }
+      });
+
+      expect(createTransport).toHaveBeenCalledWith(expect.objectContaining({
+        host: 'smtp.ferries.test',
+        port: 2525,
+        secure: false,
+        auth: { user: 'ops', pass: 'secret' }
+      }));
+      expect(sendMail).toHaveBeenCalledWith({
+        from: 'ops@ferries.test',
+        to: 'supervisor@ferries.test',
+        subject: 'BC Ferries CRITICAL alert - island-sky',
+        text: expect.stringContaining('Vessel: island-sky\nSeverity: critical')
+      });
+      expect(attempts).toEqual([expect.objectContaining({ channel: 'email', address: 'supervisor@ferries.test', success: true })]);
+    });
+
+    test('smtp failures are recorded with the reason', async () => {
+      jest.spyOn(nodemailer, 'createTransport').mockReturnValue({ sendMail: jest.fn().mockRejectedValue(new Error('Connection refused')) });
+      const { raised } = await escalateVia({ email: { type: 'smtp', host: 'smtp.ferries.test' } });
+      expect(raised.notifications[0]).toMatchObject({ channel: 'email', success: false, error: 'Connection refused' });
+    });
+
+    test('mqtt publishes the notification on the filled-in topic', async () => {
+      const { attempts } = await escalateVia({ mqtt: { type: 'mqtt', topic: 'ferry/ops/escalations/{severity}/{vesselId}' } });
+
+      expect(mqttClient.publish).toHaveBeenCalledWith('ferry/ops/escalations/critical/island-sky', expect.objectContaining({
+        event: 'alert_escalation',
+        contact: 'supervisor',
+        alert: expect.objectContaining({ id: 'a1' })
+      }));
+      expect(attempts).toEqual([expect.objectContaining({ channel: 'mqtt', success: true })]);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const MaintenanceWindows = require('../alerts/maintenance');
+const EscalationManager = require('../alerts/escalation');
+
+const now = Date.parse('2026-03-01T12:00:00Z');
+
+describe('MaintenanceWindows', () => {
+  test('validates new windows', () => {
+    const windows = new MaintenanceWindows();
+    expect(() => windows.create({ duration: 60 }, now)).toThrow('needs a vesselId, system or rule');
+    expect(() => windows.create({ vesselId: 'island-sky' }, now)).toThrow('valid start and an end or duration');
+    expect(() => windows.create({ vesselId: 'island-sky', end: '2026-03-01T11:00:00Z' }, now)).toThrow('in the future');
+
+    const window = windows.create({ vesselId: 'island-sky', duration: 3600, reason: 'Drydock' }, now);
+    expect(window).toMatchObject({ start: '2026-03-01T12:00:00.000Z', end: '2026-03-01T13:00:00.000Z', suppressions: [] });
+  });
+
+  test('matches by vessel, system and rule, and only suppresses emergencies it names', () => {
+    const windows = new MaintenanceWindows();
+    windows.create({ vesselId: 'island-sky', system: 'engine', duration: 3600 }, now);
+    windows.create({ rule: 'fire_alarm', duration: 3600 }, now);
+
+    expect(windows.match({ vesselId: 'island-sky', condition: 'engine_rpm', type: 'engine' }, now)).not.toBeNull();
+    expect(windows.match({ vesselId: 'island-sky', condition: 'battery_low', type: 'power' }, now)).toBeNull();
+    expect(windows.match({ vesselId: 'coastal-class-001', condition: 'engine_rpm', type: 'engine' }, now)).toBeNull();
+    expect(windows.match({ vesselId: 'coastal-class-001', condition: 'fire_alarm', type: 'emergency' }, now)).not.toBeNull();
+
+    const vesselWide = new MaintenanceWindows();
+    vesselWide.create({ vesselId: 'island-sky', duration: 3600 }, now);
+    expect(vesselWide.match({ vesselId: 'island-sky', condition: 'fire', type: 'emergency' }, now)).toBeNull();
+  });
+
+  test('tells whether an alert is covered while the window is active', () => {
+    const windows = new MaintenanceWindows();
+    windows.create({ vesselId: 'island-sky', start: '2026-03-01T13:00:00Z', duration: 600 }, now);
+    const alert = { vesselId: 'island-sky', condition: 'engine_rpm', type: 'engine' };
+
+    expect(windows.isCovered(alert, now)).toBe(false);
+    expect(windows.isCovered(alert, Date.parse('2026-03-01T13:05:00Z'))).toBe(true);
+    expect(windows.isCovered(alert, Date.parse('2026-03-01T13:10:00Z'))).toBe(false);
+  });
+
+  test('counts suppressions per vessel and condition', () => {
+    const windows = new MaintenanceWindows();
+    const window = windows.create({ system: 'engine', duration: 3600 }, now);
+
+    windows.recordSuppression(window, { vesselId: 'island-sky', condition: 'engine_rpm' }, now);
+    windows.recordSuppression(window, { vesselId: 'island-sky', condition: 'engine_rpm' }, now + 5000);
+    windows.recordSuppression(window, { vesselId: 'coastal-class-001', condition: 'engine_rpm' }, now);
+
+    expect(window.suppressions).toEqual([
+      { vesselId: 'island-sky', condition: 'engine_rpm', count: 2, firstSeen: '2026-03-01T12:00:00.000Z', lastSeen: '2026-03-01T12:00:05.000Z' },
+      { vesselId: 'coastal-class-001', condition: 'engine_rpm', count: 1, firstSeen: '2026-03-01T12:00:00.000Z', lastSeen: '2026-03-01T12:00:00.000Z' }
+    ]);
+  });
+
+  test('ends and prunes windows', () => {
+    const windows = new MaintenanceWindows();
+    const window = windows.create({ vesselId: 'island-sky', duration: 600 }, now);
+    windows.create({ vesselId: 'coastal-class-001', duration: 60 }, now);
+
+    expect(windows.end('missing', now)).toBeNull();
+    expect(windows.end(window.id, now + 1000).end).toBe('2026-03-01T12:00:01.000Z');
+    expect(windows.prune(now + 120000).map(ended => ended.vesselId)).toEqual(['coastal-class-001']);
+    expect(windows.list()).toEqual([]);
+  });
+});
+
+describe('EscalationManager with maintenance windows', () => {
+  function createEscalation(maintenance) {
+    const mqttClient = { publish: jest.fn(() => true) };
+    const escalation = new EscalationManager({
+      channels: { mqtt: { type: 'mqtt', topic: 'ferry/ops/escalations/{vesselId}' } },
+      contacts: { supervisor: {} },
+      policies: [{ id: 'critical', match: { severity: ['critical'] }, steps: [{ after: 60, contacts: ['supervisor'], channels: ['mqtt'] }] }]
+    }, { mqttClient, maintenance });
+    return { escalation, mqttClient };
+  }
+
+  const alert = () => ({
+    id: 'a1', vesselId: 'island-sky', condition: 'engine_temperature', type: 'engine',
+    severity: 'critical', state: 'raised', raisedAt: new Date(now - 120000).toISOString()
+  });
+
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('leaves alerts covered by an active window alone', () => {
+    const maintenance = new MaintenanceWindows();
+    maintenance.create({ vesselId: 'island-sky', system: 'engine', duration: 600 }, now - 1000);
+    const { escalation, mqttClient } = createEscalation(maintenance);
+
+    const covered = alert();
+    escalation.check([covered], now);
+    expect(covered.escalations).toBeUndefined();
+    expect(mqttClient.publish).not.toHaveBeenCalled();
+  });
+
+  test('escalates once the window is over', () => {
+    const maintenance = new MaintenanceWindows();
+    maintenance.create({ vesselId: 'island-sky', duration: 60 }, now - 1000);
+    const { escalation, mqttClient } = createEscalation(maintenance);
+
+    const due = alert();
+    escalation.check([due], now + 60000);
+    expect(due.escalations).toEqual([{ policy: 'critical', step: 0, at: new Date(now + 60000).toISOString() }]);
+    expect(mqttClient.publish).toHaveBeenCalledWith('ferry/ops/escalations/island-sky', expect.objectContaining({ event: 'alert_escalation' }));
+  });
+});
@@ -0,0 +1,58 @@
+const MQTTClient = require('../mqtt-client');
+
+function connectedClient(publish = jest.fn()) {
+  const client = new MQTTClient();
+  client.connected = true;
+  client.client = { publish };
+  return client;
+}
+
+describe('MQTTClient.sendCommand', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('rejects a command that fails schema validation, connected or not', async () => {
+    const client = new MQTTClient();
+    await expect(client.sendCommand('island-sky', 'engine', 'set_rpm', { value: 'fast' }))
+      .rejects.toMatchObject({ code: 'INVALID_COMMAND' });
+  });
+
+  test('rejects a valid command while the broker is down', async () => {
+    const client = new MQTTClient();
+    await expect(client.sendCommand('island-sky', 'engine', 'set_rpm', { value: 1200 }))
+      .rejects.toMatchObject({ code: 'NOT_CONNECTED' });
+  });
+
+  test('publishes on the control topic and resolves with the result', async () => {
+    const publish = jest.fn();
+    const client = connectedClient(publish);
+    const pending = client.sendCommand('island-sky', 'engine', 'set_rpm', { value: 1200 });
+
+    const [topic, body] = publish.mock.calls[0];
+    const command = JSON.parse(body);
+    expect(topic).toBe('fleet/bcferries/island-sky/control/engine/set_rpm');
+    expect(command).toMatchObject({ value: 1200, schemaVersion: expect.any(String) });
+
+    client.handleCommandResponse(topic, 'ack', { commandId: command.commandId, status: 'accepted' });
+    client.handleCommandResponse(topic, 'result', { commandId: command.commandId, status: 'applied' });
+    await expect(pending).resolves.toMatchObject({ status: 'applied' });
+    expect(client.pendingCommands.size).toBe(0);
+  });
+
+  test('rejects without a code when the publish itself fails', async () => {
+    const client = connectedClient(jest.fn((topic, body, options, callback) => callback(new Error('socket closed'))));
+    const error = await client.sendCommand('island-sky', 'engine', 'set_rpm', { value: 1200 }).catch(e => e);
+    expect(error.message).toBe('socket closed');
+    expect(error.code).toBeUndefined();
+    expect(client.pendingCommands.size).toBe(0);
+  });
+
+  test('times out when the vessel never answers', async () => {
+    const client = connectedClient();
+    await expect(client.sendCommand('island-sky', 'engine', 'set_rpm', { value: 1200 }, 10))
+      .rejects.toMatchObject({ code: 'COMMAND_TIMEOUT' });
+  });
+});
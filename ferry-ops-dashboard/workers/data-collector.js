@@ -66,17 +66,31 @@ class DataCollector {
     historicalData.saveEvent(vesselId, eventType, severity, message, data);
   }
 
-  // Track alert creation
-  trackAlert(alert) {
+  // Track alert lifecycle changes (raised, acknowledged, cleared, ...) and keep
+  // the alert store up to date
+  trackAlert(alert, transition = 'raised') {
+    historicalData.saveAlert(alert);
     this.trackEvent(
       alert.vesselId,
       'alert',
       alert.severity,
       alert.message,
-      { alertId: alert.id, type: alert.type }
+      {
+        alertId: alert.id,
+        type: alert.type,
+        condition: alert.condition,
+        transition,
+        state: alert.state,
+        occurrences: alert.occurrences
+      }
     );
   }
 
+  // Another occurrence of an open alert; only the stored alert changes
+  saveAlert(alert) {
+    historicalData.saveAlert(alert);
+  }
+
   stop() {
     console.log('📊 Stopping data collection...');
 
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { validateAgainst } = require('./lib/validator');
+const codec = require('./lib/codec');
+const frames = require('./lib/frames');
+const signing = require('./lib/signing');
+const alertRules = require('./lib/alert-rules');
+
+// Version stamped on every payload we publish; receivers validate a payload against
+// the schemas of the major version it declares
+const SCHEMA_VERSION = '1.3';
+
+const MESSAGE_TYPES = ['telemetry', 'delta', 'emergency', 'status', 'heartbeat', 'control'];
+
+// Invalid messages are republished here as <prefix>/<messageType>
+const DEAD_LETTER_TOPIC = 'ferry/deadletter';
+
+const schemas = loadSchemas(path.join(__dirname, 'schemas'));
+
+// { 1: { telemetry: {...}, emergency: {...}, ... } } from schemas/v<major>/<type>.json
+function loadSchemas(root) {
+  return fs.readdirSync(root)
+    .filter(dir => /^v\d+$/.test(dir))
+    .reduce((all, dir) => {
+      const major = parseInt(dir.slice(1), 10);
+      all[major] = {};
+      MESSAGE_TYPES.forEach(type => {
+        const file = path.join(root, dir, `${type}.json`);
+        if (fs.existsSync(file)) {
+          all[major][type] = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+      });
+      return all;
+    }, {});
+}
+
+function getSchema(type, version = SCHEMA_VERSION) {
+  const major = parseInt(String(version).split('.')[0], 10);
+  return (schemas[major] && schemas[major][type]) || null;
+}
+
+// Returns { valid, errors, version }
+function validate(type, payload) {
+  if (!MESSAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown message type '${type}'. Valid types: ${MESSAGE_TYPES.join(', ')}`);
+  }
+
+  const version = payload && typeof payload === 'object' ? payload.schemaVersion : undefined;
+  if (typeof version !== 'string') {
+    return { valid: false, errors: ['schemaVersion: is required'], version: null };
+  }
+
+  const schema = getSchema(type, version);
+  if (!schema) {
+    return { valid: false, errors: [`schemaVersion: unsupported version ${version}`], version };
+  }
+
+  const errors = validateAgainst(schema, payload);
+  return { valid: errors.length === 0, errors, version };
+}
+
+// Message type of a vessel topic in either namespace (ferry/vessel/{id}/... or
+// fleet/bcferries/{id}/...), or null for topics no schema covers: command
+// responses, alerts, the audit topic and the dead-letter topic itself. Telemetry
+// deltas are published on .../telemetry/delta.
+function messageTypeForTopic(topic) {
+  const levels = topic.split('/');
+  if (levels.includes('deadletter') || levels.includes('audit')) return null;
+  if (['ack', 'result', 'response'].includes(levels[levels.length - 1])) return null;
+  if (levels[3] === 'telemetry' && levels[4] === 'delta') return 'delta';
+  return MESSAGE_TYPES.includes(levels[3]) && levels[3] !== 'delta' ? levels[3] : null;
+}
+
+function deadLetterTopic(messageType, prefix = DEAD_LETTER_TOPIC) {
+  return `${prefix}/${messageType}`;
+}
+
+// What goes on the dead-letter topic: the original message (as JSON text if it arrived
+// compressed or binary) plus why it was refused
+function deadLetter({ source, topic, messageType, message, errors }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    source,
+    originalTopic: topic,
+    messageType,
+    errors,
+    payload: typeof message === 'string' ? message : JSON.stringify(message),
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MESSAGE_TYPES,
+  DEAD_LETTER_TOPIC,
+  getSchema,
+  validate,
+  messageTypeForTopic,
+  deadLetterTopic,
+  deadLetter,
+  codec,
+  signing,
+  mergeDelta: frames.mergeDelta,
+  FrameTracker: frames.FrameTracker,
+  alertRules,
+  AlertRuleEngine: alertRules.AlertRuleEngine
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+
+// Alert rules shared by every service that raises alerts, so they agree on what
+// is worth an alert. A rule set is JSON:
+//
+//   { "rules": [ { "id", "type", "when", "clear"?, "for"?, "severity", "message" } ],
+//     "overrides": { "<vesselId>": { "<ruleId>": { ...rule fields, "enabled"? } } } }
+//
+// Conditions are
+//   { "field": "engine.temperature", "op": ">", "value": 95 }          comparison
+//   { "rate": "safety.bilgeLevel", "per": 60, "op": ">", "value": 5 }  change per `per` seconds
+//   { "all": [...] }, { "any": [...] }, { "not": {...} }               combinations
+//
+// A rule fires once `when` has held for `for` seconds (of message time) and stops
+// when `clear` holds, or when `when` no longer does if it has no `clear`. A
+// condition on a field the message doesn't carry is unknown and changes nothing.
+// `severity` is a level or a list of { "when"?, "level" }, the first match winning.
+// `message` may name fields: "Engine temperature high: {engine.temperature}°C".
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+const LEVELS = ['info', 'warning', 'critical'];
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'rules', 'alert-rules.json');
+
+function valueAt(state, field) {
+  return field.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), state);
+}
+
+// Returns a list of problems; empty when the rule set is usable
+function validateRules(ruleSet) {
+  const errors = [];
+  if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+    return ['rules: must be an array'];
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+      errors.push(`${at}.id: is required`);
+      return;
+    }
+    if (ids.has(rule.id)) errors.push(`${at}.id: duplicate rule ${rule.id}`);
+    ids.add(rule.id);
+    errors.push(...validateRule(rule, `rules.${rule.id}`));
+  });
+
+  Object.entries(ruleSet.overrides || {}).forEach(([vesselId, overrides]) => {
+    Object.entries(overrides || {}).forEach(([ruleId, override]) => {
+      const rule = ruleSet.rules.find(candidate => candidate.id === ruleId);
+      if (!rule) {
+        errors.push(`overrides.${vesselId}.${ruleId}: no such rule`);
+        return;
+      }
+      errors.push(...validateRule({ ...rule, ...override }, `overrides.${vesselId}.${ruleId}`));
+    });
+  });
+  return errors;
+}
+
+function validateRule(rule, at) {
+  const errors = [];
+  if (typeof rule.message !== 'string') errors.push(`${at}.message: must be a string`);
+  errors.push(...validateCondition(rule.when, `${at}.when`));
+  if (rule.clear !== undefined) errors.push(...validateCondition(rule.clear, `${at}.clear`));
+  if (rule.for !== undefined && !(typeof rule.for === 'number' && rule.for >= 0)) {
+    errors.push(`${at}.for: must be a number of seconds`);
+  }
+
+  const levels = Array.isArray(rule.severity) ? rule.severity : [{ level: rule.severity }];
+  levels.forEach((entry, index) => {
+    if (!entry || !LEVELS.includes(entry.level)) {
+      errors.push(`${at}.severity[${index}]: level must be one of ${LEVELS.join(', ')}`);
+    } else if (entry.when !== undefined) {
+      errors.push(...validateCondition(entry.when, `${at}.severity[${index}].when`));
+    }
+  });
+  return errors;
+}
+
+function validateCondition(condition, at) {
+  if (!condition || typeof condition !== 'object') return [`${at}: must be a condition`];
+  if (condition.all || condition.any) {
+    const list = condition.all || condition.any;
+    if (!Array.isArray(list) || list.length === 0) return [`${at}: must list conditions`];
+    return list.flatMap((item, index) => validateCondition(item, `${at}[${index}]`));
+  }
+  if (condition.not) return validateCondition(condition.not, `${at}.not`);
+
+  const errors = [];
+  if (typeof (condition.field || condition.rate) !== 'string') errors.push(`${at}: needs a field or rate`);
+  if (!OPERATORS[condition.op]) errors.push(`${at}.op: must be one of ${Object.keys(OPERATORS).join(' ')}`);
+  if (condition.value === undefined) errors.push(`${at}.value: is required`);
+  if (condition.rate && condition.per !== undefined && !(condition.per > 0)) errors.push(`${at}.per: must be positive`);
+  return errors;
+}
+
+// Reads a rule set from a file or an http(s) URL (e.g. the ops dashboard's
+// /api/alert-rules)
+async function loadRules(source = DEFAULT_RULES_PATH) {
+  let ruleSet;
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Fetching alert rules from ${source} failed: HTTP ${response.status}`);
+    ruleSet = await response.json();
+    if (ruleSet && ruleSet.ruleSet) ruleSet = ruleSet.ruleSet; // the ops API wraps it
+  } else {
+    ruleSet = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+
+  const errors = validateRules(ruleSet);
+  if (errors.length > 0) throw new Error(`Invalid alert rules from ${source}: ${errors.join('; ')}`);
+  return ruleSet;
+}
+
+class AlertRuleEngine {
+  constructor(ruleSet = null) {
+    this.vessels = new Map(); // vesselId -> { rules: Map(ruleId -> state), samples: Map(field -> sample) }
+    this.setRules(ruleSet || JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, 'utf8')));
+  }
+
+  // Replaces the rule set; rules that keep their ID keep their firing state
+  setRules(ruleSet) {
+    const errors = validateRules(ruleSet);
+    if (errors.length > 0) throw new Error(`Invalid alert rules: ${errors.join('; ')}`);
+    this.ruleSet = ruleSet;
+  }
+
+  async load(source) {
+    this.setRules(await loadRules(source));
+    return this.ruleSet;
+  }
+
+  // Reloads every interval ms; failures keep the rules in use
+  watch(source, interval, onError = () => {}) {
+    const timer = setInterval(() => this.load(source).catch(onError), interval);
+    if (timer.unref) timer.unref();
+    return timer;
+  }
+
+  // The rules as they apply to one vessel
+  rulesFor(vesselId) {
+    const overrides = (this.ruleSet.overrides || {})[vesselId] || {};
+    return this.ruleSet.rules
+      .map(rule => (overrides[rule.id] ? { ...rule, ...overrides[rule.id] } : rule))
+      .filter(rule => rule.enabled !== false);
+  }
+
+  // Returns one result per rule whose condition is known for this message:
+  // { ruleId, type, firing, breached, changed, severity, message, value }.
+  // changed is true when the rule starts or stops firing or its severity changes;
+  // value is that of the first field or rate the condition names.
+  evaluate(vesselId, state, now = Date.parse(state.timestamp) || Date.now()) {
+    const vessel = this.vesselState(vesselId);
+    const rates = this.sampleRates(vessel, state, now);
+    const context = { state, rates };
+    const results = [];
+
+    this.rulesFor(vesselId).forEach(rule => {
+      const breached = this.test(rule.when, context);
+      if (breached === undefined) return;
+
+      const previous = vessel.rules.get(rule.id) || { firing: false, severity: null, since: null };
+      let firing = previous.firing;
+      const since = breached ? (previous.since ?? now) : null;
+
+      if (!firing && breached && now - since >= (rule.for || 0) * 1000) {
+        firing = true;
+      } else if (firing && !breached) {
+        firing = rule.clear ? this.test(rule.clear, context) !== true : false;
+      }
+
+      const severity = firing ? this.severityOf(rule, context) : null;
+      vessel.rules.set(rule.id, { firing, severity, since });
+
+      results.push({
+        ruleId: rule.id,
+        type: rule.type || null,
+        firing,
+        breached,
+        changed: firing !== previous.firing || severity !== previous.severity,
+        severity,
+        message: this.format(rule.message, state, vesselId),
+        value: this.valueOf(rule.when, context)
+      });
+    });
+    return results;
+  }
+
+  // true, false or undefined (a field the message doesn't carry)
+  test(condition, context) {
+    if (condition.all) {
+      const results = condition.all.map(item => this.test(item, context));
+      if (results.includes(false)) return false;
+      return results.includes(undefined) ? undefined : true;
+    }
+    if (condition.any) {
+      const results = condition.any.map(item => this.test(item, context));
+      if (results.includes(true)) return true;
+      return results.includes(undefined) ? undefined : false;
+    }
+    if (condition.not) {
+      const result = this.test(condition.not, context);
+      return result === undefined ? undefined : !result;
+    }
+
+    const value = this.valueOf(condition, context);
+    if (value === undefined || value === null) return undefined;
+    return OPERATORS[condition.op](value, condition.value);
+  }
+
+  valueOf(condition, context) {
+    if (condition.rate) return context.rates.get(`${condition.rate}/${condition.per || 60}`);
+    if (condition.field) return valueAt(context.state, condition.field);
+    const first = condition.not || (condition.all || condition.any)[0];
+    return this.valueOf(first, context);
+  }
+
+  severityOf(rule, context) {
+    if (!Array.isArray(rule.severity)) return rule.severity;
+    const match = rule.severity.find(entry => !entry.when || this.test(entry.when, context) === true);
+    return match ? match.level : rule.severity[rule.severity.length - 1].level;
+  }
+
+  // Rates of change for every field a rate condition names, against the previous
+  // message that carried the field
+  sampleRates(vessel, state, now) {
+    const rates = new Map();
+    this.rateConditions().forEach(({ rate, per = 60 }) => {
+      const value = valueAt(state, rate);
+      if (typeof value !== 'number') return;
+
+      const sample = vessel.samples.get(rate);
+      if (sample && now > sample.time) {
+        rates.set(`${rate}/${per}`, ((value - sample.value) / ((now - sample.time) / 1000)) * per);
+      }
+    });
+    this.rateConditions().forEach(({ rate }) => {
+      const value = valueAt(state, rate);
+      if (typeof value === 'number') vessel.samples.set(rate, { value, time: now });
+    });
+    return rates;
+  }
+
+  rateConditions() {
+    const found = [];
+    const visit = condition => {
+      if (!condition) return;
+      if (condition.rate) found.push(condition);
+      (condition.all || condition.any || []).forEach(visit);
+      visit(condition.not);
+    };
+    const rules = [this.ruleSet.rules, ...Object.values(this.ruleSet.overrides || {}).map(Object.values)].flat();
+    rules.forEach(rule => {
+      visit(rule.when);
+      visit(rule.clear);
+      (Array.isArray(rule.severity) ? rule.severity : []).forEach(entry => visit(entry.when));
+    });
+    return found;
+  }
+
+  format(template, state, vesselId) {
+    return template.replace(/\{([\w.]+)\}/g, (placeholder, field) => {
+      if (field === 'vesselId') return vesselId;
+      const value = valueAt(state, field);
+      return value === undefined ? placeholder : String(value);
+    });
+  }
+
+  vesselState(vesselId) {
+    if (!this.vessels.has(vesselId)) {
+      this.vessels.set(vesselId, { rules: new Map(), samples: new Map() });
+    }
+    return this.vessels.get(vesselId);
+  }
+
+  forget(vesselId) {
+    this.vessels.delete(vesselId);
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH,
+  LEVELS,
+  validateRules,
+  loadRules,
+  AlertRuleEngine
+};
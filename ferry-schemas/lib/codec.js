@@ -0,0 +1,87 @@
+const zlib = require('zlib');
+const msgpack = require('./msgpack');
+
+// Wire encodings for MQTT payloads. Plain JSON goes out as it is; every other
+// encoding is prefixed with a content-type marker (a 0x00 byte, the length of the
+// content type and the content type itself), so receivers can tell the formats
+// apart on MQTT 3.1.1 and behind bridges that drop MQTT 5 properties. JSON text
+// never starts with 0x00.
+const CONTENT_TYPES = {
+  json: 'application/json',
+  gzip: 'application/json+gzip',
+  deflate: 'application/json+deflate',
+  msgpack: 'application/msgpack'
+};
+const ENCODINGS = Object.keys(CONTENT_TYPES);
+const MARKER = 0x00;
+
+// Limit for decompressed payloads, so a small compressed message can't exhaust memory
+const MAX_DECODED_BYTES = 1024 * 1024;
+
+function contentTypeFor(encoding) {
+  if (!CONTENT_TYPES[encoding]) {
+    throw new Error(`Unknown encoding '${encoding}'. Valid encodings: ${ENCODINGS.join(', ')}`);
+  }
+  return CONTENT_TYPES[encoding];
+}
+
+// Parameters such as "; charset=utf-8" are ignored
+function encodingFor(contentType) {
+  const type = String(contentType).split(';')[0].trim().toLowerCase();
+  const encoding = ENCODINGS.find(name => CONTENT_TYPES[name] === type);
+  if (!encoding) throw new Error(`Unsupported content type '${contentType}'`);
+  return encoding;
+}
+
+// Takes JSON text or a value and returns what to publish: the JSON text itself
+// for 'json', otherwise a marked Buffer
+function encode(message, encoding = 'json') {
+  const contentType = contentTypeFor(encoding);
+  const text = typeof message === 'string' ? message : JSON.stringify(message);
+  if (encoding === 'json') return text;
+
+  let body;
+  if (encoding === 'gzip') body = zlib.gzipSync(text);
+  else if (encoding === 'deflate') body = zlib.deflateSync(text);
+  else body = msgpack.encode(JSON.parse(text));
+
+  const type = Buffer.from(contentType, 'ascii');
+  return Buffer.concat([Buffer.from([MARKER, type.length]), type, body]);
+}
+
+// Returns the payload of a received message in any encoding. The in-band marker
+// takes precedence; the MQTT 5 contentType property only matters for publishers
+// that don't add one.
+function decode(message, contentType = null) {
+  let buffer = Buffer.isBuffer(message) ? message : Buffer.from(String(message), 'utf8');
+  let encoding = 'json';
+
+  if (buffer.length >= 2 && buffer[0] === MARKER) {
+    const length = buffer[1];
+    encoding = encodingFor(buffer.subarray(2, 2 + length).toString('ascii'));
+    buffer = buffer.subarray(2 + length);
+  } else if (contentType) {
+    encoding = encodingFor(contentType);
+  }
+
+  const limits = { maxOutputLength: MAX_DECODED_BYTES };
+  switch (encoding) {
+    case 'gzip':
+      return JSON.parse(zlib.gunzipSync(buffer, limits).toString('utf8'));
+    case 'deflate':
+      return JSON.parse(zlib.inflateSync(buffer, limits).toString('utf8'));
+    case 'msgpack':
+      return msgpack.decode(buffer);
+    default:
+      return JSON.parse(buffer.toString('utf8'));
+  }
+}
+
+module.exports = {
+  ENCODINGS,
+  CONTENT_TYPES,
+  contentTypeFor,
+  encodingFor,
+  encode,
+  decode
+};
@@ -0,0 +1,90 @@
+// Receiving side of delta telemetry. A keyframe (full telemetry on .../telemetry)
+// replaces a vessel's state; a delta (.../telemetry/delta) is merged onto it. After
+// a delta for a keyframe we never got, or a gap in frame.seq, the state can't be
+// trusted until the next keyframe, so the tracker says to request a resync.
+
+// Fields that describe one message rather than the vessel; not kept in the state
+const TRANSIENT_FIELDS = ['late', 'bufferedAt'];
+
+// Nested objects are merged, anything else replaced; null removes a field
+function mergeDelta(state, changes) {
+  const merged = { ...state };
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else if (isObject(value) && isObject(merged[key])) {
+      merged[key] = mergeDelta(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+function withoutTransient(message) {
+  const state = { ...message };
+  TRANSIENT_FIELDS.forEach(field => delete state[field]);
+  return state;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class FrameTracker {
+  constructor(options = {}) {
+    this.resyncHoldoff = options.resyncHoldoff || 5000; // ms between resync requests per vessel
+    this.vessels = new Map(); // vesselId -> { keyframe, seq, state, resyncRequestedAt }
+  }
+
+  // Returns { state, resync }: the vessel's merged state (null until the first
+  // keyframe) and, when one should be requested, the reason for a resync
+  accept(message) {
+    const frame = message.frame || {};
+    const entry = this.entryFor(message.vesselId);
+
+    if (frame.type !== 'delta') {
+      entry.keyframe = Number.isInteger(frame.seq) ? frame.seq : null;
+      entry.seq = entry.keyframe;
+      entry.state = withoutTransient(message);
+      entry.resyncRequestedAt = null;
+      return { state: entry.state, resync: null };
+    }
+
+    if (!entry.state) {
+      return { state: null, resync: this.resync(entry, 'no_keyframe') };
+    }
+    // Deltas from before our keyframe (reordered or replayed) are already in it
+    if (entry.keyframe !== null && (frame.keyframe < entry.keyframe || frame.seq <= entry.seq)) {
+      return { state: entry.state, resync: null };
+    }
+    if (frame.keyframe !== entry.keyframe) {
+      return { state: entry.state, resync: this.resync(entry, 'missed_keyframe') };
+    }
+
+    const gap = frame.seq !== entry.seq + 1;
+    entry.seq = frame.seq;
+    entry.state = mergeDelta(entry.state, withoutTransient(message));
+    return { state: entry.state, resync: gap ? this.resync(entry, 'sequence_gap') : null };
+  }
+
+  entryFor(vesselId) {
+    if (!this.vessels.has(vesselId)) {
+      this.vessels.set(vesselId, { keyframe: null, seq: null, state: null, resyncRequestedAt: null });
+    }
+    return this.vessels.get(vesselId);
+  }
+
+  resync(entry, reason) {
+    const now = Date.now();
+    if (entry.resyncRequestedAt && now - entry.resyncRequestedAt < this.resyncHoldoff) return null;
+    entry.resyncRequestedAt = now;
+    return reason;
+  }
+
+  forget(vesselId) {
+    this.vessels.delete(vesselId);
+  }
+}
+
+module.exports = { mergeDelta, FrameTracker };
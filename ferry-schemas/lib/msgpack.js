@@ -0,0 +1,145 @@
+// Minimal MessagePack (https://msgpack.org) for JSON-shaped values: null, booleans,
+// numbers, strings, arrays and plain objects. Integers use the smallest int/uint
+// format that fits, other numbers float64. Decoding also accepts float32, 64-bit
+// integers and bin (returned as a Buffer); ext types are not supported.
+
+function encode(value) {
+  const chunks = [];
+  write(value, chunks);
+  return Buffer.concat(chunks);
+}
+
+function write(value, chunks) {
+  if (value === null || value === undefined) {
+    chunks.push(Buffer.from([0xc0]));
+  } else if (typeof value === 'boolean') {
+    chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+  } else if (typeof value === 'number') {
+    writeNumber(value, chunks);
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    chunks.push(header(bytes.length, 0xa0, 31, 0xd9, 0xda, 0xdb), bytes);
+  } else if (Array.isArray(value)) {
+    chunks.push(header(value.length, 0x90, 15, null, 0xdc, 0xdd));
+    value.forEach(item => write(item, chunks));
+  } else if (typeof value === 'object') {
+    // Like JSON.stringify, undefined members are left out and toJSON is honoured
+    if (typeof value.toJSON === 'function') return write(value.toJSON(), chunks);
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    chunks.push(header(entries.length, 0x80, 15, null, 0xde, 0xdf));
+    entries.forEach(([key, item]) => {
+      write(key, chunks);
+      write(item, chunks);
+    });
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+  }
+}
+
+function writeNumber(value, chunks) {
+  if (!Number.isFinite(value)) {
+    chunks.push(Buffer.from([0xc0])); // as JSON.stringify does
+  } else if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+    if (value < 0x80) chunks.push(Buffer.from([value]));
+    else if (value <= 0xff) chunks.push(Buffer.from([0xcc, value]));
+    else if (value <= 0xffff) chunks.push(fixed(0xcd, 2, (buf) => buf.writeUInt16BE(value, 1)));
+    else chunks.push(fixed(0xce, 4, (buf) => buf.writeUInt32BE(value, 1)));
+  } else if (Number.isInteger(value) && value < 0 && value >= -0x80000000) {
+    if (value >= -32) chunks.push(Buffer.from([value & 0xff]));
+    else if (value >= -0x80) chunks.push(fixed(0xd0, 1, (buf) => buf.writeInt8(value, 1)));
+    else if (value >= -0x8000) chunks.push(fixed(0xd1, 2, (buf) => buf.writeInt16BE(value, 1)));
+    else chunks.push(fixed(0xd2, 4, (buf) => buf.writeInt32BE(value, 1)));
+  } else {
+    chunks.push(fixed(0xcb, 8, (buf) => buf.writeDoubleBE(value, 1)));
+  }
+}
+
+function fixed(type, size, fill) {
+  const buf = Buffer.alloc(size + 1);
+  buf[0] = type;
+  fill(buf);
+  return buf;
+}
+
+// Type byte plus length for str/array/map: the fix form when the length fits,
+// otherwise the 8 (strings only), 16 or 32 bit form
+function header(length, fixBase, fixMax, type8, type16, type32) {
+  if (length <= fixMax) return Buffer.from([fixBase | length]);
+  if (type8 !== null && length <= 0xff) return Buffer.from([type8, length]);
+  if (length <= 0xffff) return fixed(type16, 2, (buf) => buf.writeUInt16BE(length, 1));
+  return fixed(type32, 4, (buf) => buf.writeUInt32BE(length, 1));
+}
+
+function decode(buffer) {
+  const reader = { buffer, offset: 0 };
+  const value = read(reader);
+  if (reader.offset !== buffer.length) {
+    throw new Error(`Unexpected ${buffer.length - reader.offset} trailing bytes after MessagePack value`);
+  }
+  return value;
+}
+
+function read(reader) {
+  const type = take(reader, 1).readUInt8(0);
+
+  if (type <= 0x7f) return type;
+  if (type >= 0xe0) return type - 0x100;
+  if (type >= 0x80 && type <= 0x8f) return readMap(reader, type & 0x0f);
+  if (type >= 0x90 && type <= 0x9f) return readArray(reader, type & 0x0f);
+  if (type >= 0xa0 && type <= 0xbf) return take(reader, type & 0x1f).toString('utf8');
+
+  switch (type) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return Buffer.from(take(reader, take(reader, 1).readUInt8(0)));
+    case 0xc5: return Buffer.from(take(reader, take(reader, 2).readUInt16BE(0)));
+    case 0xc6: return Buffer.from(take(reader, take(reader, 4).readUInt32BE(0)));
+    case 0xca: return take(reader, 4).readFloatBE(0);
+    case 0xcb: return take(reader, 8).readDoubleBE(0);
+    case 0xcc: return take(reader, 1).readUInt8(0);
+    case 0xcd: return take(reader, 2).readUInt16BE(0);
+    case 0xce: return take(reader, 4).readUInt32BE(0);
+    case 0xcf: return Number(take(reader, 8).readBigUInt64BE(0));
+    case 0xd0: return take(reader, 1).readInt8(0);
+    case 0xd1: return take(reader, 2).readInt16BE(0);
+    case 0xd2: return take(reader, 4).readInt32BE(0);
+    case 0xd3: return Number(take(reader, 8).readBigInt64BE(0));
+    case 0xd9: return take(reader, take(reader, 1).readUInt8(0)).toString('utf8');
+    case 0xda: return take(reader, take(reader, 2).readUInt16BE(0)).toString('utf8');
+    case 0xdb: return take(reader, take(reader, 4).readUInt32BE(0)).toString('utf8');
+    case 0xdc: return readArray(reader, take(reader, 2).readUInt16BE(0));
+    case 0xdd: return readArray(reader, take(reader, 4).readUInt32BE(0));
+    case 0xde: return readMap(reader, take(reader, 2).readUInt16BE(0));
+    case 0xdf: return readMap(reader, take(reader, 4).readUInt32BE(0));
+    default:
+      throw new Error(`Unsupported MessagePack type 0x${type.toString(16)}`);
+  }
+}
+
+function readArray(reader, length) {
+  const items = [];
+  for (let i = 0; i < length; i++) items.push(read(reader));
+  return items;
+}
+
+function readMap(reader, size) {
+  const object = {};
+  for (let i = 0; i < size; i++) {
+    const key = String(read(reader));
+    // Own property even for "__proto__", as JSON.parse does
+    Object.defineProperty(object, key, { value: read(reader), enumerable: true, writable: true, configurable: true });
+  }
+  return object;
+}
+
+function take(reader, length) {
+  if (reader.offset + length > reader.buffer.length) {
+    throw new Error('Truncated MessagePack value');
+  }
+  const slice = reader.buffer.subarray(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return slice;
+}
+
+module.exports = { encode, decode };
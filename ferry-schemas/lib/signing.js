@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+
+// Signed control commands. The signature covers the command's address (vessel,
+// system, action) as well as its payload, so a signed set_rpm can't be replayed as
+// an emergency_stop or sent to another vessel. Payloads are signed in a canonical
+// form (keys sorted), so signer and verifier don't depend on key order.
+const ALGORITHMS = ['hmac-sha256', 'ed25519'];
+
+// Returns { keyId, role, algorithm, key } from a spec such as
+// { keyId, role, algorithm: 'hmac-sha256', secret } or
+// { keyId, role, algorithm: 'ed25519', privateKey | publicKey }.
+// Ed25519 keys are PEM or base64 DER (PKCS#8 private, SPKI public).
+function createKey(spec) {
+  const algorithm = spec.algorithm || 'hmac-sha256';
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown signing algorithm '${algorithm}'. Valid algorithms: ${ALGORITHMS.join(', ')}`);
+  }
+  if (!spec.keyId) throw new Error('Signing key needs a keyId');
+
+  let key;
+  if (algorithm === 'hmac-sha256') {
+    if (!spec.secret) throw new Error(`HMAC key ${spec.keyId} needs a secret`);
+    key = crypto.createSecretKey(Buffer.from(spec.secret, 'utf8'));
+  } else if (spec.privateKey) {
+    key = crypto.createPrivateKey(keyInput(spec.privateKey, 'pkcs8'));
+  } else if (spec.publicKey) {
+    key = crypto.createPublicKey(keyInput(spec.publicKey, 'spki'));
+  } else {
+    throw new Error(`Ed25519 key ${spec.keyId} needs a privateKey or publicKey`);
+  }
+  if (algorithm === 'ed25519' && key.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`Key ${spec.keyId} is not an Ed25519 key`);
+  }
+
+  return { keyId: spec.keyId, role: spec.role || null, algorithm, key };
+}
+
+function keyInput(material, type) {
+  const text = String(material).replace(/\\n/g, '\n');
+  if (text.includes('-----BEGIN')) return text;
+  return { key: Buffer.from(text, 'base64'), format: 'der', type };
+}
+
+// The signing key of a service that sends commands: CONTROL_KEY_ID,
+// CONTROL_SIGNING_KEY (the HMAC secret or the Ed25519 private key) and
+// CONTROL_KEY_ALGORITHM (default hmac-sha256). Null when none is configured.
+function keyFromEnv(env = process.env) {
+  if (!env.CONTROL_KEY_ID || !env.CONTROL_SIGNING_KEY) return null;
+  const algorithm = env.CONTROL_KEY_ALGORITHM || 'hmac-sha256';
+  return createKey({
+    keyId: env.CONTROL_KEY_ID,
+    algorithm,
+    [algorithm === 'ed25519' ? 'privateKey' : 'secret']: env.CONTROL_SIGNING_KEY
+  });
+}
+
+// JSON with object keys sorted at every level
+function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Everything but the signature value itself
+function signingInput(command, payload) {
+  const { signature = {}, ...body } = payload;
+  const { value, ...params } = signature;
+  return Buffer.from(canonicalize({
+    vesselId: command.vesselId,
+    system: command.system,
+    action: command.action,
+    payload: { ...body, signature: params }
+  }), 'utf8');
+}
+
+// Returns the payload with a signature block { keyId, algorithm, nonce, value }.
+// The payload should carry a timestamp; verifiers reject stale commands.
+function sign(command, payload, signer) {
+  const signature = {
+    keyId: signer.keyId,
+    algorithm: signer.algorithm,
+    nonce: crypto.randomBytes(16).toString('hex')
+  };
+  const signed = { ...payload, signature };
+  const data = signingInput(command, signed);
+
+  signature.value = signer.algorithm === 'ed25519'
+    ? crypto.sign(null, data, signer.key).toString('base64')
+    : crypto.createHmac('sha256', signer.key).update(data).digest('base64');
+  return signed;
+}
+
+// Checks the signature only; freshness, nonces and permissions are up to the
+// receiver. keys is a Map of keyId -> key from createKey. Returns { valid, reason, key }.
+function verify(command, payload, keys) {
+  const signature = payload && payload.signature;
+  if (!signature || typeof signature !== 'object') {
+    return { valid: false, reason: 'Command is not signed', key: null };
+  }
+
+  const key = keys.get(signature.keyId);
+  if (!key) {
+    return { valid: false, reason: `Unknown signing key ${signature.keyId}`, key: null };
+  }
+  if (signature.algorithm !== key.algorithm) {
+    return { valid: false, reason: `Key ${key.keyId} does not sign with ${signature.algorithm}`, key };
+  }
+
+  const data = signingInput(command, payload);
+  const value = Buffer.from(String(signature.value || ''), 'base64');
+  let valid;
+  if (key.algorithm === 'ed25519') {
+    valid = crypto.verify(null, data, key.key, value);
+  } else {
+    const expected = crypto.createHmac('sha256', key.key).update(data).digest();
+    valid = value.length === expected.length && crypto.timingSafeEqual(value, expected);
+  }
+
+  return { valid, reason: valid ? null : 'Invalid signature', key };
+}
+
+module.exports = {
+  ALGORITHMS,
+  createKey,
+  keyFromEnv,
+  canonicalize,
+  sign,
+  verify
+};
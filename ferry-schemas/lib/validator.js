@@ -0,0 +1,99 @@
+// Validates a value against the subset of JSON Schema (draft-07) the ferry schemas
+// use: type, required, properties, additionalProperties, items, enum, const,
+// minimum/maximum, minLength, pattern and the date-time format. Returns a list of
+// "path: problem" strings, empty when the value is valid.
+function validateAgainst(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${at}: expected ${[].concat(schema.type).join(' or ')}, got ${describeType(value)}`);
+    return errors;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && !isDateTime(value)) {
+      errors.push(`${at}: must be an ISO 8601 date-time`);
+    }
+  }
+
+  if (isObject(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${join(path, key)}: is required`);
+    });
+
+    Object.keys(value).forEach(key => {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validateAgainst(propertySchema, value[key], join(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${join(path, key)}: is not allowed`);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainst(schema.items, item, `${at}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some(name => {
+    switch (name) {
+      case 'object': return isObject(value);
+      case 'array': return Array.isArray(value);
+      case 'null': return value === null;
+      // NaN and Infinity don't survive JSON serialization
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      default: return typeof value === name;
+    }
+  });
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDateTime(value) {
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+module.exports = { validateAgainst };
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { alertRules, AlertRuleEngine } = require('..');
+
+const { validateRules, loadRules, DEFAULT_RULES_PATH } = alertRules;
+
+describe('alert rules', () => {
+  const start = Date.parse('2026-03-01T08:00:00Z');
+  const at = (seconds, state) => ({ timestamp: new Date(start + seconds * 1000).toISOString(), ...state });
+  const rule = (fields) => ({ id: 'r', type: 'engine', severity: 'warning', message: 'm', ...fields });
+  const engineFor = (...rules) => new AlertRuleEngine({ rules });
+  const evaluate = (engine, seconds, state, vesselId = 'island-sky') => engine.evaluate(vesselId, at(seconds, state))[0];
+
+  describe('validateRules', () => {
+    test('accepts the bundled rules', () => {
+      expect(validateRules(JSON.parse(fs.readFileSync(DEFAULT_RULES_PATH, 'utf8')))).toEqual([]);
+    });
+
+    test('reports every problem with where it is', () => {
+      expect(validateRules({})).toEqual(['rules: must be an array']);
+      expect(validateRules({
+        rules: [
+          rule({ id: 'a', when: { field: 'x', op: '~', value: 1 }, for: -1 }),
+          rule({ id: 'a', when: { all: [] }, severity: [{ level: 'fatal' }] }),
+          rule({ id: 'b', when: { rate: 'y', per: 0, op: '>' }, message: 3 })
+        ],
+        overrides: { 'island-sky': { missing: {}, b: { severity: 'loud' } } }
+      })).toEqual([
+        'rules.a.when.op: must be one of > >= < <= == !=',
+        'rules.a.for: must be a number of seconds',
+        'rules[1].id: duplicate rule a',
+        'rules.a.when: must list conditions',
+        'rules.a.severity[0]: level must be one of info, warning, critical',
+        'rules.b.message: must be a string',
+        'rules.b.when.value: is required',
+        'rules.b.when.per: must be positive',
+        'overrides.island-sky.missing: no such rule',
+        'overrides.island-sky.b.message: must be a string',
+        'overrides.island-sky.b.when.value: is required',
+        'overrides.island-sky.b.when.per: must be positive',
+        'overrides.island-sky.b.severity[0]: level must be one of info, warning, critical'
+      ]);
+    });
+
+    test('refuses invalid rules in the engine', () => {
+      expect(() => engineFor(rule({ when: {} }))).toThrow('Invalid alert rules: rules.r.when: needs a field or rate');
+    });
+  });
+
+  describe('AlertRuleEngine', () => {
+    test('fires on a comparison and reports the value and message', () => {
+      const engine = engineFor(rule({ when: { field: 'engine.temperature', op: '>', value: 95 }, message: '{vesselId} at {engine.temperature}°C' }));
+      expect(evaluate(engine, 0, { engine: { temperature: 90 } })).toMatchObject({ firing: false, breached: false, changed: false });
+      expect(evaluate(engine, 1, { engine: { temperature: 98 } })).toEqual({
+        ruleId: 'r',
+        type: 'engine',
+        firing: true,
+        breached: true,
+        changed: true,
+        severity: 'warning',
+        message: 'island-sky at 98°C',
+        value: 98
+      });
+      expect(evaluate(engine, 2, { engine: { temperature: 99 } }).changed).toBe(false);
+    });
+
+    test('skips rules on fields the message does not carry', () => {
+      const engine = engineFor(rule({ when: { field: 'engine.temperature', op: '>', value: 95 } }));
+      evaluate(engine, 0, { engine: { temperature: 98 } });
+      expect(engine.evaluate('island-sky', at(1, { power: {} }))).toEqual([]);
+      expect(evaluate(engine, 2, { engine: { temperature: 98 } }).firing).toBe(true);
+    });
+
+    test('measures rates of change per `per` seconds against the previous sample', () => {
+      const engine = engineFor(rule({ when: { rate: 'safety.bilgeLevel', per: 60, op: '>', value: 5 } }));
+      expect(engine.evaluate('island-sky', at(0, { safety: { bilgeLevel: 10 } }))).toEqual([]);
+      expect(evaluate(engine, 30, { safety: { bilgeLevel: 12 } })).toMatchObject({ firing: false, value: 4 });
+      expect(evaluate(engine, 60, { safety: { bilgeLevel: 16 } })).toMatchObject({ firing: true, value: 8 });
+    });
+
+    test('fires only once the condition has held for `for` seconds', () => {
+      const engine = engineFor(rule({ when: { field: 'engine.temperature', op: '>', value: 95 }, for: 120 }));
+      expect(evaluate(engine, 0, { engine: { temperature: 98 } }).firing).toBe(false);
+      expect(evaluate(engine, 119, { engine: { temperature: 98 } }).firing).toBe(false);
+      expect(evaluate(engine, 120, { engine: { temperature: 98 } }).firing).toBe(true);
+
+      // A break in the breach starts the wait over
+      evaluate(engine, 121, { engine: { temperature: 90 } });
+      expect(evaluate(engine, 200, { engine: { temperature: 98 } }).firing).toBe(false);
+      expect(evaluate(engine, 320, { engine: { temperature: 98 } }).firing).toBe(true);
+    });
+
+    test('combines conditions with all, any and not', () => {
+      const engine = engineFor(rule({
+        when: {
+          all: [
+            { field: 'engine.temperature', op: '>', value: 90 },
+            { any: [{ field: 'engine.rpm', op: '<', value: 800 }, { field: 'engine.coolingFailure', op: '==', value: true }] },
+            { not: { field: 'engine.status', op: '==', value: 'stopped' } }
+          ]
+        }
+      }));
+      const engineState = (engine) => ({ engine: { temperature: 92, rpm: 1200, coolingFailure: false, status: 'running', ...engine } });
+
+      expect(evaluate(engine, 0, engineState({}))).toMatchObject({ firing: false, value: 92 });
+      expect(evaluate(engine, 1, engineState({ rpm: 700 }))).toMatchObject({ firing: true, value: 92 });
+      expect(evaluate(engine, 2, engineState({ coolingFailure: true, status: 'stopped' })).firing).toBe(false);
+      expect(evaluate(engine, 3, engineState({ coolingFailure: true })).firing).toBe(true);
+      // One unknown part leaves all undecided unless another part is false
+      expect(engine.evaluate('island-sky', at(4, { engine: { temperature: 92, rpm: 1200 } }))).toEqual([]);
+      expect(evaluate(engine, 5, { engine: { temperature: 80 } }).breached).toBe(false);
+    });
+
+    test('reports the first rate a combination names as its value', () => {
+      const engine = engineFor(rule({
+        when: { not: { any: [{ rate: 'power.batteryLevel', op: '>=', value: -2 }, { field: 'power.batteryLevel', op: '>', value: 50 }] } }
+      }));
+      evaluate(engine, 0, { power: { batteryLevel: 40 } });
+      expect(evaluate(engine, 60, { power: { batteryLevel: 36 } })).toMatchObject({ firing: true, value: -4 });
+    });
+
+    test('picks the first severity whose condition holds and follows changes', () => {
+      const engine = engineFor(rule({
+        when: { field: 'engine.temperature', op: '>', value: 95 },
+        severity: [
+          { when: { field: 'engine.temperature', op: '>', value: 105 }, level: 'critical' },
+          { level: 'warning' }
+        ]
+      }));
+      expect(evaluate(engine, 0, { engine: { temperature: 98 } })).toMatchObject({ severity: 'warning', changed: true });
+      expect(evaluate(engine, 1, { engine: { temperature: 108 } })).toMatchObject({ severity: 'critical', changed: true });
+      expect(evaluate(engine, 2, { engine: { temperature: 110 } })).toMatchObject({ severity: 'critical', changed: false });
+    });
+
+    test('keeps firing until the clear condition holds', () => {
+      const engine = engineFor(rule({
+        when: { field: 'engine.temperature', op: '>', value: 95 },
+        clear: { field: 'engine.temperature', op: '<', value: 92 }
+      }));
+      evaluate(engine, 0, { engine: { temperature: 98 } });
+      expect(evaluate(engine, 1, { engine: { temperature: 94 } })).toMatchObject({ firing: true, breached: false, changed: false });
+      expect(evaluate(engine, 2, { engine: { temperature: 91 } })).toMatchObject({ firing: false, changed: true, severity: null });
+    });
+
+    test('applies per-vessel overrides and disabled rules', () => {
+      const engine = new AlertRuleEngine({
+        rules: [rule({ id: 'temp', when: { field: 'engine.temperature', op: '>', value: 95 } }), rule({ id: 'rpm', when: { field: 'engine.rpm', op: '>', value: 1800 } })],
+        overrides: {
+          'coastal-class-001': { temp: { when: { field: 'engine.temperature', op: '>', value: 100 }, severity: 'critical' } },
+          'island-sky': { rpm: { enabled: false } }
+        }
+      });
+      const state = at(0, { engine: { temperature: 98, rpm: 1900 } });
+
+      expect(engine.evaluate('island-sky', state).map(result => [result.ruleId, result.firing])).toEqual([['temp', true]]);
+      expect(engine.evaluate('coastal-class-001', state).map(result => [result.ruleId, result.firing])).toEqual([['temp', false], ['rpm', true]]);
+      expect(engine.evaluate('coastal-class-001', at(1, { engine: { temperature: 101, rpm: 1900 } }))[0].severity).toBe('critical');
+    });
+
+    test('keeps the firing state of rules that survive a rule change', () => {
+      const temp = rule({ id: 'temp', when: { field: 'engine.temperature', op: '>', value: 95 } });
+      const engine = engineFor(temp);
+      evaluate(engine, 0, { engine: { temperature: 98 } });
+      engine.setRules({ rules: [{ ...temp, message: 'changed' }] });
+      expect(evaluate(engine, 1, { engine: { temperature: 98 } })).toMatchObject({ firing: true, changed: false, message: 'changed' });
+    });
+  });
+
+  describe('loadRules', () => {
+    const ruleSet = { rules: [rule({ when: { field: 'engine.rpm', op: '>', value: 1800 } })] };
+    let server;
+    let url;
+    let responses;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const { status, body } = responses[req.url] || { status: 404, body: {} };
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+      responses = {
+        '/rules.json': { status: 200, body: ruleSet },
+        '/api/alert-rules': { status: 200, body: { success: true, ruleSet } },
+        '/invalid.json': { status: 200, body: { rules: [rule({ when: { field: 'engine.rpm', op: '>' } })] } }
+      };
+    });
+
+    test('reads rules over http, unwrapping the ops API response', async () => {
+      await expect(loadRules(`${url}/rules.json`)).resolves.toEqual(ruleSet);
+      await expect(loadRules(`${url}/api/alert-rules`)).resolves.toEqual(ruleSet);
+    });
+
+    test('fails on HTTP errors and invalid rules', async () => {
+      await expect(loadRules(`${url}/missing.json`)).rejects.toThrow(`Fetching alert rules from ${url}/missing.json failed: HTTP 404`);
+      await expect(loadRules(`${url}/invalid.json`)).rejects.toThrow('rules.r.when.value: is required');
+    });
+
+    test('reads rules from a file', async () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-')), 'rules.json');
+      fs.writeFileSync(file, JSON.stringify(ruleSet));
+      await expect(loadRules(file)).resolves.toEqual(ruleSet);
+      fs.rmSync(path.dirname(file), { recursive: true });
+    });
+
+    test('keeps the rules in use when a reload fails', async () => {
+      const engine = new AlertRuleEngine(ruleSet);
+      await expect(engine.load(`${url}/invalid.json`)).rejects.toThrow('Invalid alert rules');
+      expect(engine.ruleSet).toBe(ruleSet);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const zlib = require('zlib');
+const { codec } = require('..');
+const msgpack = require('../lib/msgpack');
+
+describe('msgpack', () => {
+  test.each([
+    ['nested objects and arrays', { vessel: { engine: { rpm: 1200 }, alarms: [{ id: 'a', active: true }] }, tags: [[1, 2], []] }],
+    ['negative integers of every width', [-1, -32, -33, -128, -129, -32768, -32769, -2147483648]],
+    ['unsigned integers of every width', [0, 127, 128, 255, 256, 65535, 65536, 4294967295]],
+    ['floats and integers outside 32 bits', [48.6569, -123.3933, 0.1, -0.5, 1e300, 4294967296, -2147483649]],
+    ['strings of every length', ['', 'a'.repeat(31), 'b'.repeat(32), 'c'.repeat(255), 'd'.repeat(256), 'e'.repeat(70000)]],
+    ['multi-byte strings', ['Swartz Bay → Tsawwassen', '🔥'.repeat(10)]],
+    ['null and booleans', { none: null, yes: true, no: false }],
+    ['maps and arrays over 15 entries', { list: Array.from({ length: 20 }, (item, i) => i), map: Object.fromEntries(Array.from({ length: 20 }, (item, i) => [`k${i}`, i])) }]
+  ])('round-trips %s', (name, value) => {
+    expect(msgpack.decode(msgpack.encode(value))).toEqual(value);
+  });
+
+  test('uses the compact forms', () => {
+    expect(msgpack.encode(5)).toEqual(Buffer.from([0x05]));
+    expect(msgpack.encode(-5)).toEqual(Buffer.from([0xfb]));
+    expect(msgpack.encode('a'.repeat(31))[0]).toBe(0xbf);
+    expect(msgpack.encode('a'.repeat(32)).subarray(0, 2)).toEqual(Buffer.from([0xd9, 32]));
+    expect(msgpack.encode(1.5)[0]).toBe(0xcb);
+  });
+
+  test('encodes like JSON.stringify', () => {
+    expect(msgpack.decode(msgpack.encode({ a: undefined, b: NaN, c: new Date(0) }))).toEqual({ b: null, c: '1970-01-01T00:00:00.000Z' });
+    expect(() => msgpack.encode(() => {})).toThrow('Cannot encode function');
+  });
+
+  test('decodes own __proto__ keys without touching the prototype', () => {
+    const decoded = msgpack.decode(Buffer.concat([Buffer.from([0x81, 0xa9]), Buffer.from('__proto__'), Buffer.from([0xc3])]));
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(Object.keys(decoded)).toEqual(['__proto__']);
+  });
+
+  test('rejects truncated, trailing and unsupported input', () => {
+    expect(() => msgpack.decode(Buffer.from([0x92, 0x01]))).toThrow('Truncated MessagePack value');
+    expect(() => msgpack.decode(Buffer.from([0x01, 0x02]))).toThrow('1 trailing bytes');
+    expect(() => msgpack.decode(Buffer.from([0xd4, 0x00, 0x00]))).toThrow('Unsupported MessagePack type 0xd4');
+  });
+});
+
+describe('codec', () => {
+  const message = { vesselId: 'island-sky', engine: { rpm: 1200, temperature: 85.5 }, alarms: [true, null] };
+
+  test.each(codec.ENCODINGS)('round-trips %s payloads', encoding => {
+    expect(codec.decode(codec.encode(message, encoding))).toEqual(message);
+  });
+
+  test('publishes JSON as plain text and marks everything else', () => {
+    expect(codec.encode(message)).toBe(JSON.stringify(message));
+    const encoded = codec.encode(message, 'gzip');
+    expect(encoded[0]).toBe(0x00);
+    expect(encoded.subarray(2, 2 + encoded[1]).toString('ascii')).toBe('application/json+gzip');
+  });
+
+  test('falls back to the contentType property for unmarked payloads', () => {
+    const deflated = zlib.deflateSync(JSON.stringify(message));
+    expect(codec.decode(deflated, 'application/json+deflate; charset=utf-8')).toEqual(message);
+  });
+
+  test('refuses payloads that decompress past the size limit', () => {
+    const bomb = Buffer.concat([Buffer.from([0x00, 21]), Buffer.from('application/json+gzip'), zlib.gzipSync(Buffer.alloc(2 * 1024 * 1024, 0x20))]);
+    expect(() => codec.decode(bomb)).toThrow();
+  });
+
+  test('rejects unknown encodings and content types', () => {
+    expect(() => codec.encode(message, 'brotli')).toThrow("Unknown encoding 'brotli'");
+    expect(() => codec.encodingFor('text/plain')).toThrow("Unsupported content type 'text/plain'");
+  });
+});
@@ -0,0 +1,41 @@
+const { mergeDelta, FrameTracker } = require('..');
+
+describe('frames', () => {
+  const keyframe = (seq) => ({ vesselId: 'island-sky', frame: { type: 'keyframe', seq }, engine: { rpm: 1200, temperature: 85 }, late: true });
+  const delta = (keyframeSeq, seq, changes) => ({ vesselId: 'island-sky', frame: { type: 'delta', keyframe: keyframeSeq, seq }, ...changes });
+
+  test('merges nested changes and removes nulled fields', () => {
+    expect(mergeDelta({ a: { b: 1, c: 2 }, d: 3 }, { a: { b: 5 }, d: null, e: [1] })).toEqual({ a: { b: 5, c: 2 }, e: [1] });
+  });
+
+  test('applies deltas in sequence onto the last keyframe', () => {
+    const tracker = new FrameTracker();
+    expect(tracker.accept(keyframe(10)).state).not.toHaveProperty('late');
+
+    const { state, resync } = tracker.accept(delta(10, 11, { engine: { rpm: 1400 } }));
+    expect(resync).toBeNull();
+    expect(state.engine).toEqual({ rpm: 1400, temperature: 85 });
+
+    // A replayed delta is already part of the state
+    expect(tracker.accept(delta(10, 11, { engine: { rpm: 900 } })).state.engine.rpm).toBe(1400);
+  });
+
+  test('asks for a resync after a gap, a missed keyframe or without a keyframe', () => {
+    const tracker = () => new FrameTracker();
+    expect(tracker().accept(delta(10, 11, {}))).toEqual({ state: null, resync: 'no_keyframe' });
+
+    const gap = tracker();
+    gap.accept(keyframe(10));
+    expect(gap.accept(delta(10, 13, { engine: { rpm: 1500 } }))).toMatchObject({ resync: 'sequence_gap', state: { engine: { rpm: 1500 } } });
+
+    const missed = tracker();
+    missed.accept(keyframe(10));
+    expect(missed.accept(delta(20, 21, {})).resync).toBe('missed_keyframe');
+  });
+
+  test('holds off repeated resync requests', () => {
+    const tracker = new FrameTracker({ resyncHoldoff: 60000 });
+    expect(tracker.accept(delta(10, 11, {})).resync).toBe('no_keyframe');
+    expect(tracker.accept(delta(10, 12, {})).resync).toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const { signing } = require('..');
+
+describe('signing', () => {
+  const command = { vesselId: 'island-sky', system: 'engine', action: 'set_rpm' };
+  const payload = { rpm: 1400, timestamp: '2026-03-01T08:00:00.000Z' };
+  const hmac = signing.createKey({ keyId: 'ops', role: 'operator', secret: 'shared-secret' });
+
+  test('canonicalizes objects with sorted keys', () => {
+    expect(signing.canonicalize({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } })).toBe('{"a":{"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  test('verifies HMAC signatures regardless of key order', () => {
+    const signed = signing.sign(command, payload, hmac);
+    const reordered = { timestamp: signed.timestamp, signature: signed.signature, rpm: signed.rpm };
+    expect(signing.verify(command, reordered, new Map([['ops', hmac]]))).toMatchObject({ valid: true, reason: null });
+  });
+
+  test('binds the signature to the command address and payload', () => {
+    const keys = new Map([['ops', hmac]]);
+    const signed = signing.sign(command, payload, hmac);
+
+    expect(signing.verify({ ...command, action: 'emergency_stop' }, signed, keys).reason).toBe('Invalid signature');
+    expect(signing.verify(command, { ...signed, rpm: 1800 }, keys).valid).toBe(false);
+    expect(signing.verify(command, payload, keys).reason).toBe('Command is not signed');
+    expect(signing.verify(command, signed, new Map()).reason).toBe('Unknown signing key ops');
+  });
+
+  test('verifies Ed25519 signatures with the public key', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const signer = signing.createKey({ keyId: 'bridge', algorithm: 'ed25519', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+    const verifier = signing.createKey({
+      keyId: 'bridge',
+      algorithm: 'ed25519',
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+    });
+
+    const signed = signing.sign(command, payload, signer);
+    expect(signing.verify(command, signed, new Map([['bridge', verifier]])).valid).toBe(true);
+    expect(signing.verify(command, signed, new Map([['bridge', { ...hmac, keyId: 'bridge' }]])).reason).toBe('Key bridge does not sign with ed25519');
+  });
+
+  test('reads the signing key from the environment', () => {
+    expect(signing.keyFromEnv({})).toBeNull();
+    expect(signing.keyFromEnv({ CONTROL_KEY_ID: 'ops', CONTROL_SIGNING_KEY: 's' })).toMatchObject({ keyId: 'ops', algorithm: 'hmac-sha256' });
+    expect(() => signing.createKey({ keyId: 'x', algorithm: 'rsa' })).toThrow("Unknown signing algorithm 'rsa'");
+  });
+});
@@ -0,0 +1,46 @@
+const schemas = require('..');
+
+describe('schema validation', () => {
+  const telemetry = {
+    schemaVersion: schemas.SCHEMA_VERSION,
+    vesselId: 'island-sky',
+    timestamp: '2026-03-01T08:00:00.000Z',
+    messageId: 'm1',
+    location: { latitude: 48.6569, longitude: -123.3933, heading: 45 },
+    engine: { rpm: 1200, temperature: 85 },
+    power: { batterySOC: 85, mode: 'hybrid' },
+    safety: { fireAlarm: false, bilgeLevel: 15 }
+  };
+
+  test('accepts a valid payload', () => {
+    expect(schemas.validate('telemetry', telemetry)).toEqual({ valid: true, errors: [], version: schemas.SCHEMA_VERSION });
+  });
+
+  test('reports what is wrong with an invalid payload', () => {
+    const { engine, ...withoutEngine } = telemetry;
+    const result = schemas.validate('telemetry', { ...withoutEngine, location: { ...telemetry.location, latitude: null } });
+    expect(result.valid).toBe(false);
+    expect(result.errors.length).toBeGreaterThanOrEqual(2);
+  });
+
+  test('needs a supported schemaVersion', () => {
+    const { schemaVersion, ...unversioned } = telemetry;
+    expect(schemas.validate('telemetry', unversioned).errors).toEqual(['schemaVersion: is required']);
+    expect(schemas.validate('telemetry', { ...telemetry, schemaVersion: '9.0' }).errors).toEqual(['schemaVersion: unsupported version 9.0']);
+    expect(() => schemas.validate('gossip', telemetry)).toThrow("Unknown message type 'gossip'");
+  });
+
+  test('tells message types from topics in both namespaces', () => {
+    expect(schemas.messageTypeForTopic('ferry/vessel/island-sky/telemetry')).toBe('telemetry');
+    expect(schemas.messageTypeForTopic('fleet/bcferries/island-sky/telemetry/delta')).toBe('delta');
+    expect(schemas.messageTypeForTopic('ferry/vessel/island-sky/emergency/fire')).toBe('emergency');
+    expect(schemas.messageTypeForTopic('ferry/vessel/island-sky/control/engine/set_rpm/ack')).toBeNull();
+    expect(schemas.messageTypeForTopic('ferry/deadletter/telemetry')).toBeNull();
+  });
+
+  test('wraps refused messages for the dead-letter topic', () => {
+    expect(schemas.deadLetterTopic('telemetry')).toBe('ferry/deadletter/telemetry');
+    expect(schemas.deadLetter({ source: 'test', topic: 't', messageType: 'telemetry', message: { a: 1 }, errors: ['x'] }))
+      .toMatchObject({ source: 'test', originalTopic: 't', payload: '{"a":1}', errors: ['x'] });
+  });
+});